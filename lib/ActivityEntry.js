@@ -0,0 +1,23 @@
+'use strict';
+
+const { Model } = require('./Model');
+
+// ActivityEntry is one line of an org's activity log.
+class ActivityEntry extends Model {
+    static get SCHEMA_NAME() {
+        return 'activityEntry';
+    }
+
+    // record builds the entry for something the caller initiated in the current transaction.
+    static record(ctx, fields) {
+        return new ActivityEntry(Object.assign({
+            initiated: ctx.clientIdentity.getMSPID(),
+            timestamp: ctx.stub.getTxTimestamp().array[0],
+            txId: ctx.stub.getTxID(),
+        }, fields));
+    }
+}
+
+module.exports = {
+    ActivityEntry,
+};
@@ -1,6 +1,45 @@
-class Asset {
-    constructor(name, owner) {
-        this.name = name
-        this.owner = owner
+'use strict';
+
+const { Model } = require('./Model');
+
+// Public assets are told apart from other world state by their docType.
+const PUBLIC_DOC_TYPE = 'asset';
+
+// Asset is an item of the supply chain, held privately in an org collection or published
+// in the world state.
+class Asset extends Model {
+    static get SCHEMA_NAME() {
+        return 'asset';
     }
-}
\ No newline at end of file
+
+    // Before version 1 public assets were { ID, Color, Size, Owner, AppraisedValue }, and
+    // private ones could miss their tags or components.
+    static upgrade(fields) {
+        if (fields.ID !== undefined && fields.assetId === undefined) {
+            const tags = [];
+            for (const key of ['Color', 'Size', 'AppraisedValue']) {
+                if (fields[key] !== undefined) {
+                    tags.push({ key: key.charAt(0).toLowerCase() + key.slice(1), value: fields[key] });
+                }
+            }
+            return {
+                docType: PUBLIC_DOC_TYPE,
+                assetId: fields.ID,
+                tags,
+                subAssets: [],
+                history: [{ org: String(fields.Owner || 'unknown'), timestamp: 0 }],
+            };
+        }
+        return Object.assign({ tags: [], subAssets: [] }, fields);
+    }
+
+    // publish returns the world state copy of the asset.
+    static publish(fields) {
+        return new Asset(Object.assign({}, fields, { docType: PUBLIC_DOC_TYPE }));
+    }
+}
+
+module.exports = {
+    Asset,
+    PUBLIC_DOC_TYPE,
+};
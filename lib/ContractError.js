@@ -0,0 +1,34 @@
+'use strict';
+
+const ErrorCode = Object.freeze({
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+    INVALID_STATE: 'INVALID_STATE',
+    ASSET_NOT_FOUND: 'ASSET_NOT_FOUND',
+    TRANSACTION_NOT_FOUND: 'TRANSACTION_NOT_FOUND',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+});
+
+// ContractError is what contract functions throw. Its message is the JSON error envelope,
+// since the message is all a client receives of a failed invocation.
+class ContractError extends Error {
+    constructor(code, details) {
+        super(JSON.stringify({ message: 'Error', code, details }));
+        this.name = 'ContractError';
+        this.code = code;
+        this.details = details;
+    }
+
+    // from wraps any other error so that clients always get an envelope.
+    static from(error) {
+        if (error instanceof ContractError) {
+            return error;
+        }
+        return new ContractError(ErrorCode.INTERNAL_ERROR, error.message);
+    }
+}
+
+module.exports = {
+    ContractError,
+    ErrorCode,
+};
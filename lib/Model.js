@@ -0,0 +1,79 @@
+'use strict';
+
+const stringify = require('json-stringify-deterministic');
+const { ContractError, ErrorCode } = require('./ContractError');
+const { assertValid } = require('./schema');
+
+// Model is the base of every record the contract stores. Records carry the version of the
+// format they were written in, so that older ones can be brought up to date when read.
+class Model {
+    constructor(fields = {}) {
+        Object.assign(this, fields);
+        this.schemaVersion = this.constructor.SCHEMA_VERSION;
+    }
+
+    // The entry of the schema table records of this model must match.
+    static get SCHEMA_NAME() {
+        throw new Error(`${this.name} doesn't name its schema`);
+    }
+
+    // Bumped whenever the stored format changes, together with upgrade.
+    static get SCHEMA_VERSION() {
+        return 1;
+    }
+
+    // upgrade turns the fields of a record written in an older version into current ones.
+    static upgrade(fields) {
+        return fields;
+    }
+
+    // from wraps plain fields, which are taken to be current, in the model.
+    static from(fields) {
+        return fields instanceof this ? fields : new this(fields);
+    }
+
+    // fromJSON wraps fields as they were stored, upgrading them when needed.
+    static fromJSON(fields) {
+        const version = fields.schemaVersion || 0;
+        if (version > this.SCHEMA_VERSION) {
+            throw new ContractError(ErrorCode.INTERNAL_ERROR, `${this.name} was stored in schema version ${version}, this contract only knows up to ${this.SCHEMA_VERSION}`);
+        }
+        return new this(version < this.SCHEMA_VERSION ? this.upgrade(fields, version) : fields);
+    }
+
+    // fromBytes reads a stored record. Empty bytes, which is how the ledger says a key is
+    // missing, give null.
+    static fromBytes(bytes) {
+        if (!bytes || bytes.length === 0) {
+            return null;
+        }
+
+        let fields;
+        try {
+            fields = JSON.parse(bytes.toString('utf8'));
+        } catch (error) {
+            throw new ContractError(ErrorCode.INTERNAL_ERROR, `Stored ${this.name} is not valid JSON: ${error.message}`);
+        }
+        return this.fromJSON(fields);
+    }
+
+    toJSON() {
+        return Object.assign({}, this);
+    }
+
+    validate(path = this.constructor.SCHEMA_NAME) {
+        assertValid(this.toJSON(), this.constructor.SCHEMA_NAME, path);
+        return this;
+    }
+
+    // serialize validates the record and writes it with sorted keys, so that every endorser
+    // produces the same bytes. Arrays keep their order, as histories and components depend on it.
+    serialize() {
+        this.validate();
+        return Buffer.from(stringify(this.toJSON()));
+    }
+}
+
+module.exports = {
+    Model,
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+const { Model } = require('./Model');
+const { currentStatus } = require('./transactionStatus');
+
+// Transaction is a transfer of assets from one org to another. It holds the assets from
+// the moment they leave the sender until the receiver owns them or they go back.
+class Transaction extends Model {
+    static get SCHEMA_NAME() {
+        return 'transaction';
+    }
+
+    // Before version 1 transactions could carry the old status flags only and miss the
+    // timestamps added since.
+    static upgrade(fields) {
+        return Object.assign({ cancelledAt: 0, rejectedAt: 0, returnedAt: 0, created: 0 }, fields, { status: currentStatus(fields) });
+    }
+}
+
+module.exports = {
+    Transaction,
+};
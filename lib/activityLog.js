@@ -0,0 +1,94 @@
+'use strict';
+
+const { MAX_UNICODE_RUNE_VALUE, padTimestamp, readPrivatePage, readPrivateQueryPage } = require('./pagination');
+const { ActivityEntry } = require('./ActivityEntry');
+
+const ACTIVITY_COLLECTION = 'assetCollection';
+const ACTIVITY_OBJECT_TYPE = 'activity~org~timestamp~txId';
+const ACTIVITY_INDEX = ['_design/indexActivityDoc', 'indexActivity'];
+
+function activityKey(ctx, org, timestamp, sequence) {
+    return ctx.stub.createCompositeKey(ACTIVITY_OBJECT_TYPE, [org, padTimestamp(timestamp), ctx.stub.getTxID(), String(sequence)]);
+}
+
+function entryAssetIds(entry) {
+    return (entry.assets || []).map(asset => (typeof asset === 'string' ? asset : asset.assetId));
+}
+
+// appendActivity writes one entry under a key of its own. The sequence tells apart
+// entries logged by the same transaction. Entries go to the log of the org that initiated
+// them, unless they notify another org.
+async function appendActivity(ctx, entry) {
+    ctx.activitySequence = (ctx.activitySequence || 0) + 1;
+
+    const key = activityKey(ctx, entry.org || entry.initiated, entry.timestamp, ctx.activitySequence);
+    await ctx.stub.putPrivateData(ACTIVITY_COLLECTION, key, ActivityEntry.from(entry).serialize());
+}
+
+// readActivities pages through the entries of one org in chronological order.
+// Supported filters are action, assetId and a from/to window in seconds, both inclusive.
+async function readActivities(ctx, org, pageSize, bookmark, filters = {}) {
+    const startKey = filters.from !== undefined
+        ? ctx.stub.createCompositeKey(ACTIVITY_OBJECT_TYPE, [org, padTimestamp(filters.from)])
+        : ctx.stub.createCompositeKey(ACTIVITY_OBJECT_TYPE, [org]);
+    const endKey = filters.to !== undefined
+        ? ctx.stub.createCompositeKey(ACTIVITY_OBJECT_TYPE, [org, padTimestamp(filters.to + 1)])
+        : ctx.stub.createCompositeKey(ACTIVITY_OBJECT_TYPE, [org]) + MAX_UNICODE_RUNE_VALUE;
+
+    const page = await readPrivatePage(ctx, ACTIVITY_COLLECTION, startKey, endKey, pageSize, bookmark, entry => {
+        if (filters.action && entry.action !== filters.action) {
+            return false;
+        }
+        if (filters.assetId && !entryAssetIds(entry).includes(filters.assetId)) {
+            return false;
+        }
+        return true;
+    });
+
+    return { logs: page.records.map(entry => ActivityEntry.fromJSON(entry)), bookmark: page.bookmark };
+}
+
+// buildActivityQuery turns the filters of readActivities into a CouchDB query for the log of
+// one org. Entries without an org predate notifications and belong to their initiator.
+function buildActivityQuery(org, filters) {
+    const conditions = [
+        { initiated: { $gt: null } },
+        { $or: [{ org }, { org: { $exists: false }, initiated: org }] },
+    ];
+
+    if (filters.action) {
+        conditions.push({ action: filters.action });
+    }
+    if (filters.assetId) {
+        // older entries list whole asset records rather than IDs
+        conditions.push({ $or: [{ assets: { $elemMatch: { $eq: filters.assetId } } }, { assets: { $elemMatch: { assetId: filters.assetId } } }] });
+    }
+    if (filters.from !== undefined || filters.to !== undefined) {
+        const window = {};
+        if (filters.from !== undefined) {
+            window.$gte = filters.from;
+        }
+        if (filters.to !== undefined) {
+            window.$lte = filters.to;
+        }
+        conditions.push({ timestamp: window });
+    }
+
+    return JSON.stringify({ selector: { $and: conditions }, use_index: ACTIVITY_INDEX });
+}
+
+// queryActivities pages through the same entries as readActivities, leaving the filtering to
+// CouchDB.
+async function queryActivities(ctx, org, pageSize, bookmark, filters) {
+    const page = await readPrivateQueryPage(ctx, ACTIVITY_COLLECTION, buildActivityQuery(org, filters), pageSize, bookmark);
+
+    return { logs: page.records.map(entry => ActivityEntry.fromJSON(entry)), bookmark: page.bookmark };
+}
+
+module.exports = {
+    ACTIVITY_COLLECTION,
+    ACTIVITY_OBJECT_TYPE,
+    appendActivity,
+    readActivities,
+    queryActivities,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// Asset queries run as CouchDB rich queries. They need the peers to use CouchDB as their
+// state database, and the indexes under META-INF/statedb/couchdb to run fast.
+
+// Public assets are told apart from other world state by their docType.
+const PUBLIC_ASSETS = { docType: 'asset' };
+const PUBLIC_ASSET_INDEX = ['_design/indexAssetDoc', 'indexAsset'];
+
+// Org collections hold assets only, all of which have an assetId.
+const PRIVATE_ASSETS = { assetId: { $gt: null } };
+const PRIVATE_ASSET_INDEX = ['_design/indexPrivateAssetDoc', 'indexPrivateAsset'];
+
+// createdAt tells when the asset was created, which is the oldest entry of its history.
+function createdAt(asset) {
+    const history = asset.history || [];
+    return history.length > 0 ? history[history.length - 1].timestamp : undefined;
+}
+
+// buildAssetQuery turns the filters into a CouchDB query. Every tag given has to match, org
+// has to be in the history, and from/to are an inclusive window in seconds. A selector can't
+// pick the oldest history entry, so it only finds assets with some entry in the window and
+// createdInWindow has the last word.
+function buildAssetQuery(base, index, filters) {
+    const conditions = [base];
+
+    for (const tag of filters.tags || []) {
+        conditions.push({ tags: { $elemMatch: { key: tag.key, value: tag.value } } });
+    }
+    if (filters.org !== undefined) {
+        conditions.push({ history: { $elemMatch: { org: filters.org } } });
+    }
+    if (filters.from !== undefined || filters.to !== undefined) {
+        const window = {};
+        if (filters.from !== undefined) {
+            window.$gte = filters.from;
+        }
+        if (filters.to !== undefined) {
+            window.$lte = filters.to;
+        }
+        conditions.push({ history: { $elemMatch: { timestamp: window } } });
+    }
+
+    return JSON.stringify({ selector: { $and: conditions }, use_index: index });
+}
+
+function createdInWindow(asset, filters) {
+    const created = createdAt(asset);
+    if (filters.from !== undefined && !(created >= filters.from)) {
+        return false;
+    }
+    if (filters.to !== undefined && !(created <= filters.to)) {
+        return false;
+    }
+    return true;
+}
+
+function buildPublicAssetQuery(filters) {
+    return buildAssetQuery(PUBLIC_ASSETS, PUBLIC_ASSET_INDEX, filters);
+}
+
+function buildPrivateAssetQuery(filters) {
+    return buildAssetQuery(PRIVATE_ASSETS, PRIVATE_ASSET_INDEX, filters);
+}
+
+module.exports = {
+    createdAt,
+    createdInWindow,
+    buildPublicAssetQuery,
+    buildPrivateAssetQuery,
+};
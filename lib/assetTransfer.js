@@ -1,1059 +1,1232 @@
 'use strict';
 
-const stringify = require('json-stringify-deterministic');
-const sortKeysRecursive = require('sort-keys-recursive');
 const { Contract } = require('fabric-contract-api');
-
-class AssetTransfer extends Contract {
-    async InitLedger(ctx) {
-        const assets = [];
-        for (const asset of assets) {
-            asset.docType = 'asset';
-            await ctx.stub.putState(asset.ID, Buffer.from(stringify(sortKeysRecursive(asset))));
-        }
+const { ContractError, ErrorCode } = require('./ContractError');
+const { success, deprecation, parseArgument, readTransient } = require('./response');
+const { assertValid } = require('./schema');
+const { Asset } = require('./Asset');
+const { Transaction } = require('./Transaction');
+const { ActivityEntry } = require('./ActivityEntry');
+const { TransactionStatus, assertTransition, missedDeadline, assertNotExpired } = require('./transactionStatus');
+const { orgCollection, getAsset, requireAsset, assertNewAssetIds, putAsset, deleteAsset, getAssets, migrateLegacyAssets } = require('./privateAssets');
+const { appendActivity, readActivities, queryActivities } = require('./activityLog');
+const { commitAsset, findCommitment } = require('./commitments');
+const { lotFields, splitLots, mergeLots } = require('./lots');
+const { historyEntry, originOf } = require('./history');
+const { childIds, assertNotLinked, attachComponents, detachComponents, readDescendants, readTree } = require('./assetTree');
+const { getRecall, assertNotRecalled, putRecall, traceRecall } = require('./recalls');
+const { EventName, emitEvent } = require('./events');
+const { assertPermitted } = require('./permissions');
+const { handOver, assertHandedToReceiver, custodyPath } = require('./custody');
+const { PUBLIC_ASSET_OBJECT_TYPE, publicAssetKey, clientOwner, privateRecordOf, publicOrigin, publicAssetExists, getPublicAsset, requirePublicAsset, putPublicAsset, handOverPublicCopy, assertOwner } = require('./publicAssets');
+const { createdInWindow, buildPublicAssetQuery, buildPrivateAssetQuery } = require('./assetQueries');
+const { readPrivateQueryPage } = require('./pagination');
+const { readAssetRecords, buildProvenance } = require('./provenance');
+const { buildEpcisDocument } = require('./epcis');
+const { withIdempotency } = require('./idempotency');
+const { SIMULATED_FUNCTIONS, simulate } = require('./simulation');
+const { ImportMode, ImportFormat, parseRows, checkRows } = require('./bulkImport');
+const { ComplianceStatus, assertOwnerOf, assertHolderOf, originFor, putLimits, putReadings, readConditions } = require('./conditions');
+const { AttachmentTarget, assertTarget, attachmentOf, withAttachment, findAttachments } = require('./attachments');
+const { Direction, getTransaction, requireTransaction, putTransaction, removeFromIndex, migrateLegacyTransactions, readTransactionPage, countByStatus } = require('./transactionIndex');
+
+// parseFilters reads the JSON filters of a listing, with from/to as numbers of seconds.
+function parseFilters(filters) {
+    const _filters = parseArgument(filters, 'filters');
+
+    if (_filters.from !== undefined) {
+        _filters.from = parseInt(_filters.from);
     }
-
-    async VerifyClientMatchesPeer(ctx) {
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        const peerMSPID = ctx.stub.getMspID();
-
-        if (clientMSPID !== peerMSPID) {
-            throw new Error(`Client from org ${clientMSPID} has no privilege to handle private data from org ${peerMSPID} peer`);
-        }
-
-        return peerMSPID;
+    if (_filters.to !== undefined) {
+        _filters.to = parseInt(_filters.to);
     }
 
-    // ReadAsset returns the asset stored in the world state with given id.
-    async ReadAsset(ctx, id) {
-        const assetJSON = await ctx.stub.getState(id); // get the asset from chaincode state
-        if (!assetJSON || assetJSON.length === 0) {
-            throw new Error(`The asset ${id} does not exist`);
-        }
-        return assetJSON.toString();
-    }
+    return _filters;
+}
 
-    // UpdateAsset updates an existing asset in the world state with provided parameters.
-    async UpdateAsset(ctx, id, color, size, owner) {
-        const exists = await this.AssetExists(ctx, id);
-        if (!exists) {
-            throw new Error(`The asset ${id} does not exist`);
-        }
+// parseDeadlines reads the optional { acceptBy, transferBy } deadlines of a transfer, in
+// seconds. Both have to lie ahead and the assets can't be due before they're accepted.
+function parseDeadlines(ctx, deadlines) {
+    const _deadlines = parseArgument(deadlines, 'deadlines', 'deadlines');
+    const now = ctx.stub.getTxTimestamp().array[0];
 
-        // overwriting original asset with new asset
-        const updatedAsset = {
-            ID: id,
-            Color: color,
-            Size: size,
-            Owner: owner,
-        };
-        // we insert data in alphabetic order using 'json-stringify-deterministic' and 'sort-keys-recursive'
-        return ctx.stub.putState(id, Buffer.from(stringify(sortKeysRecursive(updatedAsset))));
-    }
-
-    // DeleteAsset deletes a given asset from the world state.
-    async DeleteAsset(ctx, id) {
-        const exists = await this.AssetExists(ctx, id);
-        if (!exists) {
-            throw new Error(`The asset ${id} does not exist`);
+    const picked = {};
+    for (const name of ['acceptBy', 'transferBy']) {
+        if (_deadlines[name] === undefined) {
+            continue;
         }
-        return ctx.stub.deleteState(id);
-    }
-
-    // AssetExists returns true when asset with given ID exists in world state.
-    async AssetExists(ctx, id) {
-        const assetJSON = await ctx.stub.getState(id);
-        return assetJSON && assetJSON.length > 0;
-    }
-
-    // GetAllAssets returns all assets found in the world state.
-    async GetAllAssets(ctx) {
-        const allResults = [];
-        // range query with empty string for startKey and endKey does an open-ended query of all assets in the chaincode namespace.
-        const iterator = await ctx.stub.getStateByRange('', '');
-        let result = await iterator.next();
-        while (!result.done) {
-            const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
-            let record;
-            try {
-                record = JSON.parse(strValue);
-            } catch (err) {
-                console.log(err);
-                record = strValue;
-            }
-            allResults.push(record);
-            result = await iterator.next();
+        if (_deadlines[name] <= now) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Deadline ${name} has already passed`);
         }
-        return JSON.stringify(allResults);
+        picked[name] = _deadlines[name];
     }
-
-    async GetAssetProvenance(ctx, ID) {
-        let iterator = await ctx.stub.getHistoryForKey(ID);
-        let result = [];
-        let res = await iterator.next();
-        while (!res.done) {
-            if (res.value) {
-                console.info(`found state update with value: ${res.value.value.toString('utf8')}`);
-                const obj = JSON.parse(res.value.value.toString('utf8'));
-                result.push(obj);
-            }
-            res = await iterator.next();
-        }
-
-        await iterator.close();
-
-        return JSON.stringify(result);
+    if (picked.acceptBy !== undefined && picked.transferBy !== undefined && picked.transferBy < picked.acceptBy) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'Deadline transferBy cannot be before acceptBy');
     }
 
-    async LogIt(ctx, description, action, assets) {
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-
-            const hash = await ctx.stub.getPrivateDataHash('assetCollection', 'activity');
-
-            if (hash.length) {
-
-                let bufferedActivities = await ctx.stub.getPrivateData("assetCollection", 'activity');
-
-                let activities = JSON.parse(bufferedActivities.toString());
-
-                let activity = { initiated: MSP, description, assets, action, timestamp: ctx.stub.getTxTimestamp().array[0] };
+    return picked;
+}
 
-                await ctx.stub.putPrivateData("assetCollection", 'activity', JSON.stringify([activity, ...activities]))
+// parseAssetQuery reads the filters of an asset query: tags, org and from/to in seconds.
+function parseAssetQuery(filters) {
+    return assertValid(parseFilters(filters), 'assetQuery', 'filters');
+}
 
-            } else {
+async function readTransactionsByDirection(ctx, direction, pageSize, bookmark, filters) {
+    const MSP = ctx.clientIdentity.getMSPID();
+    const _filters = parseFilters(filters);
 
-                let activity = { initiated: MSP, description, assets, action, timestamp: ctx.stub.getTxTimestamp().array[0] };
+    const page = await readTransactionPage(ctx, MSP, direction, parseInt(pageSize), bookmark, _filters);
+    const counts = await countByStatus(ctx, MSP, direction, { from: _filters.from, to: _filters.to });
 
-                await ctx.stub.putPrivateData("assetCollection", 'activity', JSON.stringify([activity]))
+    return success({ transactions: page.transactions, bookmark: page.bookmark, counts });
+}
 
-            }
+async function requireAssets(ctx, MSP, assetIds) {
+    const assets = [];
+    for (const assetId of assetIds) {
+        assets.push(await requireAsset(ctx, MSP, assetId));
+    }
+    return assets;
+}
 
-            return { message: "Done", details: "Logged" };
-        } catch (error) {
-            return { message: "Error", details: error.message };
+// takenAssetIds lists the assets of the transaction that the org holds another record of by
+// now, such as one it created under the same ID after the transaction took the asset.
+async function takenAssetIds(ctx, MSP, transaction) {
+    const taken = [];
+    for (const asset of transaction.assetIds) {
+        if (await getAsset(ctx, MSP, asset.assetId)) {
+            taken.push(asset.assetId);
         }
     }
+    return taken;
+}
 
-    GetLogsByMSP(activities, msp) {
-        const logs = activities.filter(activity => activity.initiated === msp);
-        return logs;
+// assertRoomFor refuses to store the assets of the transaction over records of the same ID.
+async function assertRoomFor(ctx, MSP, transaction) {
+    const taken = await takenAssetIds(ctx, MSP, transaction);
+    if (taken.length > 0) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Transaction ${transaction.id} would overwrite asset(s) ${taken.join(', ')}`);
     }
+}
 
-    GetItemsByOffset(logs, start = 0, offset = 10) {
-        if (logs.length <= start) return null;
-
-        return logs.splice(start, offset);
+// putBackAssets stores the assets of a transaction in the caller's collection again. Their
+// salts sat in the shared collection along with the transaction, so new ones aren't derived
+// from them: the assets are committed afresh with the client's salt, or else stored unsalted.
+async function putBackAssets(ctx, MSP, assets) {
+    for (const asset of assets) {
+        await putAsset(ctx, MSP, await commitAsset(ctx, asset, null));
     }
+}
 
-    async ReadLogs(ctx, start = "0", offset = "10") {
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const hash = await ctx.stub.getPrivateDataHash('assetCollection', 'activity');
-
-            if (hash.length) {
-                start = parseInt(start);
-                offset = parseInt(offset)
-                let bufferedActivities = await ctx.stub.getPrivateData("assetCollection", 'activity');
-
-                let activities = JSON.parse(bufferedActivities.toString());
-
-                let _logs = this.GetLogsByMSP(activities, MSP);
-
-                let logs = null;
-
-                if (offset > 0) logs = this.GetItemsByOffset(_logs, start, offset);
-                else logs = _logs;
-
-                return { message: "Done", details: { logs, count: _logs.length } };
-            } else return { message: "Done", details: [] };
-
-        } catch (error) {
-            return { message: "Error", details: error.message }
-        }
+// saveAssets commits and stores changed records of the caller's assets.
+async function saveAssets(ctx, MSP, assets) {
+    const saved = [];
+    for (const asset of assets) {
+        const committed = await commitAsset(ctx, asset);
+        await putAsset(ctx, MSP, committed);
+        saved.push(committed);
     }
+    return saved;
+}
 
-    async CreatePrivateAsset(ctx, orgId, assetId, tags, subAssetIds) {
-        let globalAssetForCatch = []
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), 'assets');
-            const _tags = JSON.parse(tags);
-            const _subAssetIds = JSON.parse(subAssetIds);
+// createPrivateAsset stores a new asset of the caller, assembled from the given components,
+// and returns its record.
+async function createPrivateAsset(ctx, input) {
+    const MSP = ctx.clientIdentity.getMSPID();
 
-            let subAssetDetails = [];
+    await assertNewAssetIds(ctx, MSP, [input.assetId]);
 
-            if (hash.length) {
+    const components = await attachComponents(ctx, MSP, input.assetId, input.subAssetIds || []);
 
-                let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
+    const data = await commitAsset(ctx, new Asset(Object.assign({
+        assetId: input.assetId,
+        tags: input.tags,
+        subAssets: input.subAssetIds || [],
+        history: [historyEntry(ctx, input.orgId)]
+    }, lotFields(input, ['quantity', 'unit']))));
 
-                let assets = JSON.parse(bufferedAssets.toString());
+    await saveAssets(ctx, MSP, components);
+    await putAsset(ctx, MSP, data);
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([assetId, ...assets]))
+    return data;
+}
 
-                for (let subAssetId of _subAssetIds) {
+// pushAssets stores asset records moved in from elsewhere as they are.
+async function pushAssets(ctx, assets) {
+    const MSP = ctx.clientIdentity.getMSPID();
 
-                    let bufferedAsset = await ctx.stub.getPrivateData(orgCollectionName.join(''), subAssetId)
+    await assertNewAssetIds(ctx, MSP, assets.map(asset => asset.assetId));
 
-                    let asset = JSON.parse(bufferedAsset.toString());
+    const pushed = [];
+    for (const asset of assets) {
+        pushed.push(await commitAsset(ctx, new Asset(Object.assign({
+            assetId: asset.assetId,
+            subAssets: asset.subAssets,
+            tags: asset.tags,
+            history: asset.history
+        }, lotFields(asset), asset.parentId ? { parentId: asset.parentId } : {}))));
+    }
 
-                    subAssetDetails.push(asset);
+    for (const asset of pushed) {
+        await putAsset(ctx, MSP, asset);
+    }
 
-                }
+    return pushed;
+}
 
-            } else {
+// updatePrivateAsset replaces the tags and components of one of the caller's assets. Components
+// left out are released and new ones are assembled into it.
+async function updatePrivateAsset(ctx, input) {
+    const MSP = ctx.clientIdentity.getMSPID();
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([assetId]))
+    const asset = await requireAsset(ctx, MSP, input.assetId);
+    const subAssetIds = input.subAssetIds || [];
 
-            }
+    const released = await detachComponents(ctx, MSP, asset.assetId, childIds(asset).filter(componentId => !subAssetIds.includes(componentId)));
+    const attached = await attachComponents(ctx, MSP, asset.assetId, subAssetIds);
 
+    asset.tags = input.tags;
+    asset.subAssets = subAssetIds;
 
-            let data = {
-                assetId,
-                tags: _tags,
-                subAssets: subAssetDetails,
-                history: [{
-                    org: orgId,
-                    timestamp: ctx.stub.getTxTimestamp().array[0]
-                }]
-            }
+    await saveAssets(ctx, MSP, [...released, ...attached]);
 
-            await ctx.stub.putPrivateData(orgCollectionName.join(''), assetId, JSON.stringify(data))
+    const committed = await commitAsset(ctx, asset);
 
-            // await ctx.stub.putState(assetId, Buffer.from(stringify(sortKeysRecursive(data))));
+    await putAsset(ctx, MSP, committed);
 
-            globalAssetForCatch = [data]
+    return committed;
+}
 
-            await this.LogIt(ctx, "New asset created", "CREATE ASSET", [data]);
+// takeTransferItem removes what a transfer item asks for from the caller's assets and returns
+// their records. An assembly takes its components along. Part of a lot is split off under the
+// item's lotId, by default the asset ID suffixed with the transaction ID, while the rest
+// stays behind.
+async function takeTransferItem(ctx, MSP, item, transactionId) {
+    const _item = typeof item === 'string' ? { assetId: item } : item;
+    const asset = await requireAsset(ctx, MSP, _item.assetId);
 
-            return JSON.stringify({ message: 'Done', details: `Asset ${assetId} created ` });
-        } catch (error) {
-            await this.LogIt(ctx, error.message, "ERROR CREATE ASSET", globalAssetForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+    if (asset.parentId) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${asset.assetId} is a component of ${asset.parentId} and only moves with it`);
     }
 
-    async PushAssets(ctx, assets) {
-        let globalAssetForCatch = []
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), 'assets');
-            const _assets = JSON.parse(assets);
-
-            globalAssetForCatch = _assets;
-
-            if (hash.length) {
-                let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
-
-                let assets = JSON.parse(bufferedAssets.toString());
-
-                for (let asset of _assets) {
-                    if (!assets.includes(asset.assetId)) assets.push(asset.assetId);
-                }
+    await assertNotRecalled(ctx, asset);
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets]))
-            } else {
-                let assetsNew = [];
-
-                for (let asset of _assets) {
-                    assetsNew.push(asset.assetId);
-                }
+    if (_item.quantity === undefined || _item.quantity === asset.quantity) {
+        const taken = [asset, ...await readDescendants(ctx, MSP, asset)];
+        for (const takenAsset of taken) {
+            await assertNotRecalled(ctx, takenAsset);
+            await deleteAsset(ctx, MSP, takenAsset.assetId);
+        }
+        return taken;
+    }
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assetsNew]))
-            }
+    assertNotLinked(asset);
 
-            for (let asset of _assets) {
+    const lotId = _item.lotId || `${asset.assetId}-${transactionId}`;
+    await assertNewAssetIds(ctx, MSP, [lotId]);
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), asset.assetId, JSON.stringify({
-                    assetId: asset.assetId,
-                    subAssets: asset.subAssets,
-                    tags: asset.tags,
-                    history: asset.history
-                }))
+    const split = splitLots(ctx, asset, [{ assetId: lotId, quantity: _item.quantity }]);
+    await putAsset(ctx, MSP, await commitAsset(ctx, split.remainder));
 
-            }
-
-            await this.LogIt(ctx, "New asset pushed", "PUSH ASSET", [..._assets]);
+    return [await commitAsset(ctx, split.lots[0])];
+}
 
-            return JSON.stringify({ message: 'Done', details: `Asset/s pushed` });
+class AssetTransfer extends Contract {
+    // aroundTransaction checks the client's role against the permission matrix, replays the
+    // result of a create that was already run under the same idempotency key, and makes sure a
+    // failed invocation always reports an error envelope.
+    async aroundTransaction(ctx, fn, parameters) {
+        try {
+            assertPermitted(ctx, fn);
+            return await withIdempotency(ctx, fn, parameters, () => super.aroundTransaction(ctx, fn, parameters));
         } catch (error) {
-            await this.LogIt(ctx, error.message, "ERROR PUSH ASSET", globalAssetForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
+            throw ContractError.from(error);
         }
     }
 
-    async PullAssets(ctx, assetIds) {
-        let globalAssetForCatch = [];
-        try {
-
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), 'assets');
-
-            const _assetIds = JSON.parse(assetIds);
-
-            if (hash.length) {
-
-                let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
-
-                let assets = JSON.parse(bufferedAssets.toString());
-
-                let assetDetails = []
-
-                assets = assets.filter(assetId => !_assetIds.includes(assetId))
-
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets]));
-
-                for (let assetId of _assetIds) {
+    // InitLedger seeds nothing, as assets are created privately by each org.
+    async InitLedger(ctx) {
+        return success('Ledger initialized');
+    }
 
-                    let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), assetId)
+    // MigrateLegacyRecords brings records of the caller written by older versions of the contract
+    // into the listings: its assets stored under their plain IDs and the transactions listed in
+    // the key transactions. Run it once per org after upgrading. Old assets whose ID an asset
+    // created since took stay where they are, and later runs move them once the ID is free.
+    // They are named in the warnings, as are transactions whose sender can't be told.
+    async MigrateLegacyRecords(ctx) {
+        const assets = await migrateLegacyAssets(ctx, ctx.clientIdentity.getMSPID());
+        const transactions = await migrateLegacyTransactions(ctx);
+
+        const warnings = [
+            ...assets.conflicts.map(assetId => `Asset ${assetId} stays under its plain ID, as an asset created since holds its key. Remove that asset and migrate again to move it`),
+            ...transactions.withoutSender.map(transactionId => `Transaction ${transactionId} names no sender, so only its receiver can act on it`),
+        ];
+        return success({ assets: assets.migrated, transactions: transactions.migrated }, warnings);
+    }
 
-                    let asset = JSON.parse(bufferedAssets.toString());
+    async VerifyClientMatchesPeer(ctx) {
+        const clientMSPID = ctx.clientIdentity.getMSPID();
+        const peerMSPID = ctx.stub.getMspID();
 
-                    assetDetails.push(asset);
+        if (clientMSPID !== peerMSPID) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Client from org ${clientMSPID} has no privilege to handle private data from org ${peerMSPID} peer`);
+        }
 
-                }
+        return success(peerMSPID);
+    }
 
-                globalAssetForCatch = assetDetails;
+    // CreateAsset publishes one of the caller's private assets in the world state, with the
+    // tags given as a JSON array. The calling client becomes its owner.
+    async CreateAsset(ctx, assetId, tags = '[]') {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const _tags = parseArgument(tags, 'tags', 'tags');
 
-                for (let assetId of _assetIds) {
+        const origin = originOf(await requireAsset(ctx, MSP, assetId));
+        if (await publicAssetExists(ctx, origin, assetId)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `The asset ${assetId} already exists`);
+        }
 
-                    await ctx.stub.deletePrivateData(orgCollectionName.join(''), assetId)
+        await putPublicAsset(ctx, origin, new Asset({
+            assetId,
+            tags: _tags,
+            subAssets: [],
+            history: [historyEntry(ctx, MSP)],
+            owner: clientOwner(ctx),
+            privateRecord: privateRecordOf(MSP, assetId),
+        }));
 
-                }
+        return success(`Asset ${assetId} created`);
+    }
 
-                await this.LogIt(ctx, `Asset/s has been moved`, "MOVE ASSET", assetDetails);
+    // ReadAsset returns the asset stored in the world state with given id. origin names the org
+    // that created it, by default that of the caller's own asset of the ID.
+    async ReadAsset(ctx, id, origin = '') {
+        return success(await requirePublicAsset(ctx, await publicOrigin(ctx, id, origin), id));
+    }
 
+    // UpdateAsset replaces the published tags of an asset the caller owns. origin works as in
+    // ReadAsset, and so it does in the public functions below.
+    async UpdateAsset(ctx, id, tags, origin = '') {
+        const _tags = parseArgument(tags, 'tags', 'tags');
 
-                return JSON.stringify({ message: "Done", details: assetDetails });
+        const _origin = await publicOrigin(ctx, id, origin);
+        const asset = await requirePublicAsset(ctx, _origin, id);
+        assertOwner(ctx, asset);
 
-            } else return JSON.stringify({ message: 'Error', details: "No assets" });
+        asset.tags = _tags;
 
-        } catch (error) {
-            await this.LogIt(ctx, `Error asset/s moving`, "ERROR MOVE ASSET", globalAssetForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+        await putPublicAsset(ctx, _origin, asset);
+        return success(`Asset ${id} updated`);
     }
 
-    async UpdatePrivateAsset(ctx, assetId, _tags, subAssetIds) {
-        let globalAssetForCatch = [];
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const _subAssetIds = JSON.parse(subAssetIds);
-
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), assetId);
-
-            if (hash.length) {
+    // TransferAsset hands an asset the caller owns to another client of its org, named by
+    // newOwnerId; without it, any client of the org owns it. Assets go to other orgs through a
+    // private transfer, and OwnAsset hands the public copy over with the private record.
+    async TransferAsset(ctx, id, newOwnerMSP, newOwnerId = '', origin = '') {
+        const _origin = await publicOrigin(ctx, id, origin);
+        const asset = await requirePublicAsset(ctx, _origin, id);
+        assertOwner(ctx, asset);
 
-                let bufferedAsset = await ctx.stub.getPrivateData(orgCollectionName.join(''), assetId)
-                let asset = JSON.parse(bufferedAsset.toString());
-
-                asset.tags = JSON.parse(_tags)
+        if (newOwnerMSP !== asset.owner.msp) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${id} can only go to ${newOwnerMSP} through a private transfer, which hands over its public copy once ${newOwnerMSP} owns it`);
+        }
 
-                let subAssetDetails = [];
+        asset.owner = newOwnerId ? { msp: newOwnerMSP, id: newOwnerId } : { msp: newOwnerMSP };
 
-                for (let subAssetId of _subAssetIds) {
+        await putPublicAsset(ctx, _origin, asset);
+        return success(`Asset ${id} transferred to ${newOwnerMSP}`);
+    }
 
-                    let bufferedSubAsset = await ctx.stub.getPrivateData(orgCollectionName.join(''), subAssetId)
+    // DeleteAsset removes an asset the caller owns from the world state. Its private record
+    // stays.
+    async DeleteAsset(ctx, id, origin = '') {
+        const _origin = await publicOrigin(ctx, id, origin);
+        assertOwner(ctx, await requirePublicAsset(ctx, _origin, id));
 
-                    let subAsset = JSON.parse(bufferedSubAsset.toString());
+        await ctx.stub.deleteState(publicAssetKey(ctx, _origin, id));
+        return success(`Asset ${id} deleted`);
+    }
 
-                    subAssetDetails.push(subAsset);
+    // AssetExists returns true when asset with given ID exists in world state.
+    async AssetExists(ctx, id, origin = '') {
+        return success(!!await getPublicAsset(ctx, await publicOrigin(ctx, id, origin), id));
+    }
 
+    // GetAllAssets returns all assets found in the world state, those written under their plain
+    // ID before public assets were keyed by origin first.
+    async GetAllAssets(ctx) {
+        const allResults = [];
+        // range query with empty string for startKey and endKey does an open-ended query of all
+        // simple keys in the chaincode namespace, which leaves out the composite ones
+        for (const iterator of [await ctx.stub.getStateByRange('', ''), await ctx.stub.getStateByPartialCompositeKey(PUBLIC_ASSET_OBJECT_TYPE, [])]) {
+            let result = await iterator.next();
+            while (!result.done) {
+                let record;
+                try {
+                    record = Asset.fromBytes(result.value.value);
+                } catch (err) {
+                    console.log(err);
+                    record = result.value.value.toString('utf8');
                 }
-
-                asset.subAssets = subAssetDetails;
-
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), assetId, JSON.stringify(asset));
-
-                // await ctx.stub.putState(assetId, Buffer.from(stringify(sortKeysRecursive(asset))));
-
-                globalAssetForCatch = [asset];
-
-                await this.LogIt(ctx, `${assetId} has been updated successfully`, "SUCCESS UPDATE ASSET", [asset]);
-
-                return JSON.stringify({ message: 'Done', details: `Asset ${assetId} updated ` });
-
-            } else return JSON.stringify({ message: 'Error', details: "Asset doesn't exist" });
-
-        } catch (error) {
-            await this.LogIt(ctx, error.message, "ERROR UPDATE ASSET", globalAssetForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
+                allResults.push(record);
+                result = await iterator.next();
+            }
         }
+        return success(allResults);
     }
 
-    async RemovePrivateAsset(ctx, _assetIds) {
-        let globalAssetForCatch = []
-        try {
-
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const assetIds = JSON.parse(_assetIds);
+    // QueryAssets pages through the public assets matching filters, a JSON object that may hold
+    // tags, an org from their history and a from/to creation window in seconds. It needs
+    // CouchDB and, as a paginated query, can only be evaluated. Assets outside the creation
+    // window are dropped after the fact, so such pages may come back short.
+    async QueryAssets(ctx, pageSize = '10', bookmark = '', filters = '{}') {
+        const _filters = parseAssetQuery(filters);
 
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), 'assets');
+        const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(buildPublicAssetQuery(_filters), parseInt(pageSize), bookmark);
 
-            if (hash.length) {
-
-                let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
-
-                let assets = JSON.parse(bufferedAssets.toString());
+        const assets = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            const asset = Asset.fromBytes(result.value.value);
+            if (createdInWindow(asset, _filters)) {
+                assets.push(asset);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
 
-                assets = assets.filter(assetId => !assetIds.includes(assetId))
+        return success({ assets, bookmark: metadata.bookmark });
+    }
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets]));
+    // GetAssetProvenance reports everything the ledger knows of the asset in chronological
+    // order: writes of its public copy, the history of its private record and the transfers
+    // it was part of, each with its txId and the acting MSP where known.
+    async GetAssetProvenance(ctx, ID) {
+        return success(await buildProvenance(ctx, ctx.clientIdentity.getMSPID(), ID));
+    }
 
-                let assetDetails = [];
+    // ExportAssetEpcis reports the life of the asset as a GS1 EPCIS 2.0 JSON-LD document of
+    // ObjectEvents, AggregationEvents and TransactionEvents, as far as the caller's records
+    // and the transfers it was part of tell.
+    async ExportAssetEpcis(ctx, ID) {
+        return success(await buildEpcisDocument(ctx, ctx.clientIdentity.getMSPID(), ID));
+    }
 
-                for (let assetId of assetIds) {
-                    let bufferedAssetDetails = await ctx.stub.getPrivateData(orgCollectionName.join(''), assetId)
+    // LogIt appends an entry to the caller's activity log. Clients pass assets as a JSON array,
+    // the contract's own functions pass the array itself. The log sits in the shared collection,
+    // so it keeps the asset IDs and not the private records.
+    async LogIt(ctx, description, action, assets = []) {
+        const _assets = typeof assets === 'string' ? parseArgument(assets, 'assets') : assets;
+        // anything but an array is left for the activity schema to refuse
+        const assetIds = Array.isArray(_assets) ? _assets.map(asset => (typeof asset === 'string' ? asset : asset.assetId)) : _assets;
 
-                    let asset = JSON.parse(bufferedAssetDetails.toString());
+        await appendActivity(ctx, ActivityEntry.record(ctx, { description, assets: assetIds, action }));
 
-                    assetDetails.push(asset)
+        return success('Logged');
+    }
 
-                }
+    // ReadLogs pages through the caller's activity. filters is a JSON object that may hold
+    // action, assetId, and from/to in seconds.
+    async ReadLogs(ctx, pageSize = '10', bookmark = '', filters = '{}') {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const _filters = parseFilters(filters);
 
-                globalAssetForCatch = assetDetails;
+        return success(await readActivities(ctx, MSP, parseInt(pageSize), bookmark, _filters));
+    }
 
+    // QueryLogs pages through the caller's activity with a CouchDB rich query. filters work as
+    // in ReadLogs.
+    async QueryLogs(ctx, pageSize = '10', bookmark = '', filters = '{}') {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const _filters = parseFilters(filters);
 
-                await this.LogIt(ctx, "Asset/s successfully deleted", "SUCCESS REMOVE ASSET", assetDetails);
+        return success(await queryActivities(ctx, MSP, parseInt(pageSize), bookmark, _filters));
+    }
 
-                return JSON.stringify({ message: 'Done', details: "Asset/s successfully deleted" });
+    // CreatePrivateAsset takes the private payload as arguments, which puts it in the proposal.
+    // Deprecated in favour of CreatePrivateAssetTransient.
+    async CreatePrivateAsset(ctx, orgId, assetId, tags, subAssetIds) {
+        const data = await createPrivateAsset(ctx, { orgId, assetId, tags: parseArgument(tags, 'tags', 'tags'), subAssetIds: parseArgument(subAssetIds, 'subAssetIds', 'ids') });
 
-            } else return JSON.stringify({ message: 'Error', details: "Action not allowed" });
+        await this.LogIt(ctx, 'New asset created', 'CREATE ASSET', [data]);
 
-        } catch (error) {
-            await this.LogIt(ctx, error.message, "ERROR REMOVE ASSET", globalAssetForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+        return success(`Asset ${assetId} created`, [deprecation('CreatePrivateAsset', 'CreatePrivateAssetTransient')]);
     }
 
-    async CreatePrivateTransaction(ctx, ownerOrgId, newOwnerOrgId, transactionId, assetIds, newOwnerMSP) {
-        let globalAssetForCatch = []
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-
-            const _assetIds = JSON.parse(assetIds);
+    // CreatePrivateAssetTransient reads { orgId, assetId, tags, subAssetIds } from the transient field asset.
+    async CreatePrivateAssetTransient(ctx) {
+        const data = await createPrivateAsset(ctx, readTransient(ctx, 'asset', 'assetInput'));
 
-            const collectionName = "assetCollection";
+        await this.LogIt(ctx, 'New asset created', 'CREATE ASSET', [data]);
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, 'transactions');
+        return success(`Asset ${data.assetId} created`);
+    }
 
-            let assetDetails = [];
+    // Deprecated in favour of PushAssetsTransient.
+    async PushAssets(ctx, assets) {
+        const _assets = await pushAssets(ctx, parseArgument(assets, 'assets', 'assets'));
 
-            for (let _assetId of _assetIds) {
-                let assetDetail = await this.ReadPrivateAsset(ctx, _assetId);
-                let parsedAsset = JSON.parse(assetDetail);
-                if (parsedAsset.message === "Done") {
-                    assetDetails.push(parsedAsset.details);
-                }
-            }
+        await this.LogIt(ctx, 'New asset pushed', 'PUSH ASSET', _assets);
 
-            let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
+        return success('Asset/s pushed', [deprecation('PushAssets', 'PushAssetsTransient')]);
+    }
 
-            let assets = JSON.parse(bufferedAssets.toString());
+    // PushAssetsTransient reads the asset records from the transient field assets.
+    async PushAssetsTransient(ctx) {
+        const _assets = await pushAssets(ctx, readTransient(ctx, 'assets', 'assets'));
 
-            assets = assets.filter(assetId => !_assetIds.includes(assetId))
+        await this.LogIt(ctx, 'New asset pushed', 'PUSH ASSET', _assets);
 
-            await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets]));
+        return success('Asset/s pushed');
+    }
 
-            await ctx.stub.putPrivateData(collectionName, transactionId, JSON.stringify({ id: transactionId, assetIds: assetDetails, newOwnerMSP, isNewOwnerAccepted: false, isCurrentOwnerApproved: false, isCancelled: false, isReturned: false, isRejected: false, isGotBack: false, cancelledAt: 0, rejectedAt: 0, returnedAt: 0, ownerOrgId, newOwnerOrgId, isOwnershipChanged: false, created: ctx.stub.getTxTimestamp().array[0] }));
+    // ImportAssets creates assets of orgId from the rows in the transient field rows, a JSON
+    // array of { assetId, tags, quantity, unit } or CSV with a header naming those columns,
+    // where any other column is a tag. It reports the IDs it accepted, the rows it rejected
+    // with their reasons and the rows whose asset the org already holds. In ALL_OR_NOTHING
+    // mode a single rejected or duplicate row keeps every row out.
+    async ImportAssets(ctx, orgId, format = ImportFormat.JSON, mode = ImportMode.ALL_OR_NOTHING) {
+        if (!Object.values(ImportMode).includes(mode)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Mode ${mode} is not one of ${Object.values(ImportMode).join(', ')}`);
+        }
+        const rows = ctx.stub.getTransient().get('rows');
+        if (!rows || rows.length === 0) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'Transient field rows is required');
+        }
 
-            if (hash.length) {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const { valid, rejected, duplicates } = await checkRows(ctx, MSP, parseRows(format, rows.toString()));
 
-                let bufferedTranscations = await ctx.stub.getPrivateData(collectionName, 'transactions')
+        const accepted = [];
+        if (mode === ImportMode.SKIP_INVALID || (rejected.length === 0 && duplicates.length === 0)) {
+            for (const row of valid) {
+                accepted.push(await createPrivateAsset(ctx, Object.assign({ orgId }, row)));
+            }
+        }
+        if (accepted.length > 0) {
+            await this.LogIt(ctx, 'Assets imported', 'IMPORT ASSET', accepted);
+        }
 
-                let transactions = JSON.parse(bufferedTranscations.toString());
+        return success({ mode, accepted: accepted.map(asset => asset.assetId), rejected, duplicates });
+    }
 
-                await ctx.stub.putPrivateData(collectionName, 'transactions', JSON.stringify([{ id: transactionId, created: ctx.stub.getTxTimestamp().array[0] }, ...transactions]))
+    async PullAssets(ctx, assetIds) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-            } else {
+        const _assetIds = parseArgument(assetIds, 'assetIds', 'ids');
 
-                await ctx.stub.putPrivateData(collectionName, 'transactions', JSON.stringify([{ id: transactionId, created: ctx.stub.getTxTimestamp().array[0] }]))
+        let assetDetails = [];
 
-            }
+        for (let assetId of _assetIds) {
+            const asset = assertNotLinked(await requireAsset(ctx, MSP, assetId));
+            await assertNotRecalled(ctx, asset);
+            assetDetails.push(asset);
+        }
 
-            globalAssetForCatch = assetDetails
+        for (let assetId of _assetIds) {
 
-            await this.LogIt(ctx, `Initiated transfer of asset/s to ${newOwnerMSP}`, "INITIATE TRANSACTION", assetDetails);
+            await deleteAsset(ctx, MSP, assetId);
 
-            return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} created` });
-        } catch (error) {
-            await this.LogIt(ctx, `Error creating transaction`, "ERROR INITIATE TRANSACTION", globalAssetForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
         }
 
+        await this.LogIt(ctx, 'Asset/s has been moved', 'MOVE ASSET', assetDetails);
+
+        return success(assetDetails);
     }
-    // reject
-    async RejectTransaction(ctx, transactionId, reason) {
-        let globalAssetIdsForCatch = [];
 
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const collectionName = "assetCollection";
+    // Deprecated in favour of UpdatePrivateAssetTransient.
+    async UpdatePrivateAsset(ctx, assetId, _tags, subAssetIds) {
+        const asset = await updatePrivateAsset(ctx, { assetId, tags: parseArgument(_tags, 'tags', 'tags'), subAssetIds: parseArgument(subAssetIds, 'subAssetIds', 'ids') });
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, transactionId);
+        await this.LogIt(ctx, `${assetId} has been updated successfully`, 'SUCCESS UPDATE ASSET', [asset]);
 
-            if (hash.length) {
+        return success(`Asset ${assetId} updated`, [deprecation('UpdatePrivateAsset', 'UpdatePrivateAssetTransient')]);
+    }
 
-                const bufferedTranscations = await ctx.stub.getPrivateData('assetCollection', transactionId);
+    // UpdatePrivateAssetTransient reads { assetId, tags, subAssetIds } from the transient field asset.
+    async UpdatePrivateAssetTransient(ctx) {
+        const asset = await updatePrivateAsset(ctx, readTransient(ctx, 'asset', 'assetUpdate'));
 
-                const transaction = JSON.parse(bufferedTranscations.toString());
+        await this.LogIt(ctx, `${asset.assetId} has been updated successfully`, 'SUCCESS UPDATE ASSET', [asset]);
 
-                if (transaction.newOwnerMSP !== MSP) return JSON.stringify({ message: 'Error', details: `You are not allowed to reject this transaction` });
+        return success(`Asset ${asset.assetId} updated`);
+    }
 
-                let toBackAsset = []
+    async RemovePrivateAsset(ctx, _assetIds) {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const assetIds = parseArgument(_assetIds, 'assetIds', 'ids');
 
-                for (let asset of transaction.assetIds) {
-                    toBackAsset.push(asset)
-                }
+        let assetDetails = [];
 
-                globalAssetIdsForCatch = [...toBackAsset];
+        for (let assetId of assetIds) {
+            assetDetails.push(assertNotLinked(await requireAsset(ctx, MSP, assetId)));
+        }
 
-                transaction.reason = reason
-                transaction.isRejected = true;
-                transaction.rejectedAt = ctx.stub.getTxTimestamp().array[0]
+        for (let assetId of assetIds) {
+            await deleteAsset(ctx, MSP, assetId);
+        }
 
-                const hashDump = await ctx.stub.getPrivateDataHash(collectionName, transaction.ownerOrgId);
+        await this.LogIt(ctx, 'Asset/s successfully deleted', 'SUCCESS REMOVE ASSET', assetDetails);
 
-                if (hashDump.length) {
+        return success('Asset/s successfully deleted');
+    }
 
-                    const buffedTrans = await ctx.stub.getPrivateData(collectionName, transaction.ownerOrgId);
+    // CreatePrivateTransaction takes the assets out of the sender's collection. deadlines is an
+    // optional JSON { acceptBy, transferBy } in seconds, after which the transfer expires.
+    async CreatePrivateTransaction(ctx, ownerOrgId, newOwnerOrgId, transactionId, assetIds, newOwnerMSP, deadlines = '{}') {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    const trans = JSON.parse(buffedTrans.toString());
+        const items = parseArgument(assetIds, 'assetIds', 'transferItems');
+        const _deadlines = parseDeadlines(ctx, deadlines);
 
-                    await ctx.stub.putPrivateData(collectionName, transaction.ownerOrgId, JSON.stringify([...toBackAsset, ...trans]));
+        // reads don't see the writes of the same transaction, so an asset taken twice would
+        // be split twice from the same quantity
+        const itemIds = items.map(item => typeof item === 'string' ? item : item.assetId);
+        const repeated = itemIds.find((itemId, index) => itemIds.indexOf(itemId) !== index);
+        if (repeated) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${repeated} is given more than once`);
+        }
 
-                } else {
-                    await ctx.stub.putPrivateData(collectionName, transaction.ownerOrgId, JSON.stringify([...toBackAsset]));
-                }
+        if (await getTransaction(ctx, transactionId)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Transaction ${transactionId} already exists`);
+        }
 
-                await ctx.stub.putPrivateData(collectionName, transactionId, JSON.stringify(transaction));
+        // the transaction holds the assets until they are owned, cancelled or got back
+        let assetDetails = [];
 
-                await this.LogIt(ctx, `Transaction ${transactionId} has been rejected`, "REJECT TRANSACTION", globalAssetIdsForCatch);
+        for (let item of items) {
+            assetDetails.push(...await takeTransferItem(ctx, MSP, item, transactionId));
+        }
 
-                return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} has been rejected` });
+        await putTransaction(ctx, new Transaction(Object.assign({ id: transactionId, assetIds: assetDetails, ownerMSP: MSP, newOwnerMSP, status: TransactionStatus.PENDING, cancelledAt: 0, rejectedAt: 0, returnedAt: 0, ownerOrgId, newOwnerOrgId, created: ctx.stub.getTxTimestamp().array[0] }, _deadlines)));
 
-            } else return JSON.stringify({ message: 'Error', details: "Transaction doesn't exist" });
+        await this.LogIt(ctx, `Initiated transfer of asset/s to ${newOwnerMSP}`, 'INITIATE TRANSACTION', assetDetails);
 
-        } catch (error) {
-            await this.LogIt(ctx, `Error rejecting transaction ${transactionId}: ${error.message}`, "ERROR REJECT TRANSACTION", globalAssetIdsForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+        return success(`Transaction ${transactionId} created`);
     }
 
-    async GetBackAssets(ctx, transactionId) {
-        let globalAssetIdsForCatch = [];
+    // SplitAsset carves lots off an asset. lots is a JSON array of { assetId, quantity } for
+    // the new lots; whatever is left stays under assetId.
+    async SplitAsset(ctx, assetId, lots) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const collectionName = "assetCollection";
+        const _lots = parseArgument(lots, 'lots', 'lots');
+        const asset = assertNotLinked(await requireAsset(ctx, MSP, assetId));
+        await assertNotRecalled(ctx, asset);
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, transactionId);
+        await assertNewAssetIds(ctx, MSP, _lots.map(lot => lot.assetId));
 
-            if (hash.length) {
+        const split = splitLots(ctx, asset, _lots);
 
-                const bufferedTranscation = await ctx.stub.getPrivateData(collectionName, transactionId);
+        if (split.remainder) {
+            await putAsset(ctx, MSP, await commitAsset(ctx, split.remainder));
+        } else {
+            await deleteAsset(ctx, MSP, assetId);
+        }
 
-                const transaction = JSON.parse(bufferedTranscation.toString());
+        let created = [];
 
-                let assetIds = []
+        for (let lot of split.lots) {
+            const committed = await commitAsset(ctx, lot);
+            await putAsset(ctx, MSP, committed);
+            created.push(committed);
+        }
 
-                const hashDump = await ctx.stub.getPrivateDataHash(collectionName, transaction.ownerOrgId);
+        await this.LogIt(ctx, `Asset ${assetId} has been split`, 'SPLIT ASSET', split.remainder ? [split.remainder, ...created] : created);
 
-                if (hashDump.length) {
+        return success(`Asset ${assetId} split into ${created.map(lot => lot.assetId).join(', ')}`);
+    }
 
-                    const buffedTrans = await ctx.stub.getPrivateData(collectionName, transaction.ownerOrgId);
+    // MergeAssets combines lots of the same unit into the asset assetId, which may be one of them.
+    async MergeAssets(ctx, assetId, assetIds) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    let assetsBack = JSON.parse(buffedTrans.toString());
+        const _assetIds = parseArgument(assetIds, 'assetIds', 'ids');
 
-                    assetIds = assetsBack.map(asset => asset.assetId)
+        if (new Set(_assetIds).size < 2 || new Set(_assetIds).size !== _assetIds.length) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'A merge needs at least two different assets');
+        }
 
-                    const bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets');
-                    const assets = JSON.parse(bufferedAssets.toString());
+        await assertNewAssetIds(ctx, MSP, [assetId], _assetIds);
 
-                    transaction.isGotBack = true;
+        const assets = await requireAssets(ctx, MSP, _assetIds);
+        for (let asset of assets) {
+            assertNotLinked(asset);
+            await assertNotRecalled(ctx, asset);
+        }
+        const merged = await commitAsset(ctx, mergeLots(ctx, assetId, assets), assets.map(asset => asset.salt).join(':'));
 
-                    await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets, ...assetIds]));
+        for (let _assetId of _assetIds) {
+            await deleteAsset(ctx, MSP, _assetId);
+        }
 
-                    await ctx.stub.deletePrivateData(collectionName, transaction.ownerOrgId);
+        await putAsset(ctx, MSP, merged);
 
-                    for (let asset of assetsBack) {
+        await this.LogIt(ctx, `Assets ${_assetIds.join(', ')} have been merged into ${assetId}`, 'MERGE ASSETS', [merged]);
 
-                        await ctx.stub.putPrivateData(orgCollectionName.join(""), asset.assetId, JSON.stringify(asset));
+        return success(`Assets merged into ${assetId}`);
+    }
 
-                    }
+    // AssembleAsset consumes the components into the asset. They stay with the caller but
+    // can't be used on their own until they are disassembled.
+    async AssembleAsset(ctx, assetId, componentIds) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    globalAssetIdsForCatch = assetsBack;
+        const _componentIds = parseArgument(componentIds, 'componentIds', 'ids');
+        const asset = await requireAsset(ctx, MSP, assetId);
+        await assertNotRecalled(ctx, asset);
 
-                    await ctx.stub.putPrivateData(collectionName, transactionId, JSON.stringify(transaction));
+        const attached = await saveAssets(ctx, MSP, await attachComponents(ctx, MSP, assetId, _componentIds));
 
-                    await this.LogIt(ctx, `Success getting back assets`, "GET BACK ASSETS", assetsBack);
+        asset.subAssets = [...childIds(asset), ...attached.map(component => component.assetId)];
 
-                    return JSON.stringify({ message: 'Done', details: "Assets successfully got back" });
+        const [assembly] = await saveAssets(ctx, MSP, [asset]);
 
-                } else JSON.stringify({ message: 'Error', details: "Nothing to get" });
+        await this.LogIt(ctx, `Asset/s assembled into ${assetId}`, 'ASSEMBLE ASSET', [assembly, ...attached]);
 
+        return success(`Asset ${assetId} assembled from ${_componentIds.join(', ')}`);
+    }
 
-            } else return JSON.stringify({ message: 'Error', details: "Transaction doesn't exist" });
+    // DisassembleAsset releases the given components of the asset, or all of them when
+    // componentIds is left out.
+    async DisassembleAsset(ctx, assetId, componentIds = '') {
+        const MSP = ctx.clientIdentity.getMSPID();
 
+        const asset = await requireAsset(ctx, MSP, assetId);
+        const _componentIds = componentIds ? parseArgument(componentIds, 'componentIds', 'ids') : childIds(asset);
 
-        } catch (error) {
-            await this.LogIt(ctx, `Error getting back assets`, "ERROR GET BACK ASSETS", globalAssetIdsForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
+        for (let componentId of _componentIds) {
+            if (!childIds(asset).includes(componentId)) {
+                throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${componentId} is not a component of ${assetId}`);
+            }
         }
-    }
 
-    async ReturnTransaction(ctx, transactionId, reason) {
-        let globalAssetIdsForCatch = [];
-
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const collectionName = "assetCollection";
+        const released = await saveAssets(ctx, MSP, await detachComponents(ctx, MSP, assetId, _componentIds));
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, transactionId);
+        asset.subAssets = childIds(asset).filter(componentId => !_componentIds.includes(componentId));
 
-            if (hash.length) {
+        const [assembly] = await saveAssets(ctx, MSP, [asset]);
 
-                const bufferedTranscations = await ctx.stub.getPrivateData('assetCollection', transactionId);
+        await this.LogIt(ctx, `Asset/s released from ${assetId}`, 'DISASSEMBLE ASSET', [assembly, ...released]);
 
-                const transaction = JSON.parse(bufferedTranscations.toString());
+        return success(`Asset ${assetId} disassembled`);
+    }
 
-                if (transaction.newOwnerMSP !== MSP) return JSON.stringify({ message: 'Error', details: `You are not allowed to return this transaction` });
+    // RecallAsset marks an asset or lot as recalled, along with the lots split off it and the
+    // assemblies it went into, and notifies every org holding or having held one of them.
+    async RecallAsset(ctx, assetId, reason) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                let toBackAsset = []
+        const trace = await traceRecall(ctx, MSP, assetId);
 
-                for (let asset of transaction.assetIds) {
-                    toBackAsset.push(asset)
-                }
-
-                globalAssetIdsForCatch = [...toBackAsset];
+        if (!trace) {
+            throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${assetId} was never held by ${MSP}`);
+        }
+        if (await getRecall(ctx, trace.origin, assetId)) {
+            throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${assetId} is already recalled`);
+        }
 
-                const hashDump = await ctx.stub.getPrivateDataHash(collectionName, transaction.ownerOrgId);
+        const timestamp = ctx.stub.getTxTimestamp().array[0];
+        const notice = { assetId, origin: trace.origin, reason, recalledBy: MSP, txId: ctx.stub.getTxID(), timestamp };
 
-                if (hashDump.length) {
+        for (let affected of trace.affected) {
+            await putRecall(ctx, affected.origin, affected.assetId, notice);
+        }
 
-                    const buffedTrans = await ctx.stub.getPrivateData(collectionName, transaction.ownerOrgId);
+        await this.LogIt(ctx, `Asset ${assetId} has been recalled: ${reason}`, 'RECALL ASSET', trace.affectedAssets);
 
-                    const trans = JSON.parse(buffedTrans.toString());
+        for (let org of trace.orgs.filter(org => org !== MSP)) {
+            await appendActivity(ctx, ActivityEntry.record(ctx, { org, description: `Asset ${assetId} has been recalled by ${MSP}: ${reason}`, assets: trace.affectedAssets, action: 'RECALL NOTICE' }));
+        }
 
-                    await ctx.stub.putPrivateData(collectionName, transaction.ownerOrgId, JSON.stringify([...toBackAsset, ...trans]));
+        emitEvent(ctx, EventName.ASSET_RECALLED, { assetId, recalledBy: MSP, affectedAssets: trace.affectedAssets, orgs: trace.orgs, txId: ctx.stub.getTxID(), timestamp });
 
-                    let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
+        return success({ assetId, origin: trace.origin, reason, affectedAssets: trace.affectedAssets, assemblies: trace.assemblies, orgs: trace.orgs, holders: trace.holders, transfers: trace.transfers });
+    }
 
-                    let assets = JSON.parse(bufferedAssets.toString());
+    async RejectTransaction(ctx, transactionId, reason) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    let assetIds = toBackAsset.map(item => item.assetId);
+        const transaction = await requireTransaction(ctx, transactionId);
 
-                    assets = assets.filter(assetId => !assetIds.includes(assetId))
+        if (transaction.newOwnerMSP !== MSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to reject this transaction');
+        }
 
-                    await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets]));
+        assertTransition(transaction, TransactionStatus.REJECTED);
 
-                    for (let assetId of assetIds) {
-                        await ctx.stub.deletePrivateData(orgCollectionName.join(""), assetId);
-                    }
+        transaction.reason = reason;
+        transaction.status = TransactionStatus.REJECTED;
+        transaction.rejectedAt = ctx.stub.getTxTimestamp().array[0];
 
+        await putTransaction(ctx, transaction);
 
-                } else {
+        await this.LogIt(ctx, `Transaction ${transactionId} has been rejected`, 'REJECT TRANSACTION', transaction.assetIds);
 
-                    await ctx.stub.putPrivateData(collectionName, transaction.ownerOrgId, JSON.stringify([...toBackAsset]));
+        return success(`Transaction ${transactionId} has been rejected`);
+    }
 
-                    let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets')
+    async GetBackAssets(ctx, transactionId) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    let assets = JSON.parse(bufferedAssets.toString());
+        const transaction = await requireTransaction(ctx, transactionId);
 
-                    let assetIds = toBackAsset.map(item => item.assetId);
+        if (transaction.ownerMSP !== MSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to get back these assets');
+        }
 
-                    assets = assets.filter(assetId => !assetIds.includes(assetId))
+        assertTransition(transaction, TransactionStatus.GOT_BACK);
+        await assertRoomFor(ctx, MSP, transaction);
 
-                    await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets]));
+        const assetsBack = transaction.assetIds;
 
-                    for (let assetId of assetIds) {
-                        await ctx.stub.deletePrivateData(orgCollectionName.join(""), assetId);
-                    }
+        await putBackAssets(ctx, MSP, assetsBack);
 
-                }
+        transaction.status = TransactionStatus.GOT_BACK;
 
-                transaction.isReturned = true;
-                transaction.returnedAt = ctx.stub.getTxTimestamp().array[0]
-                transaction.reason = reason
+        await putTransaction(ctx, transaction);
 
-                await ctx.stub.putPrivateData(collectionName, transactionId, JSON.stringify(transaction));
+        await this.LogIt(ctx, 'Success getting back assets', 'GET BACK ASSETS', assetsBack);
 
-                await this.LogIt(ctx, `Transaction ${transactionId} has been returned`, "RETURN TRANSACTION", toBackAsset);
+        return success('Assets successfully got back');
+    }
 
-                return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} has been returned` });
+    async ReturnTransaction(ctx, transactionId, reason) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-            } else return JSON.stringify({ message: 'Error', details: "Transaction doesn't exist" });
+        const transaction = await requireTransaction(ctx, transactionId);
 
-        } catch (error) {
-            await this.LogIt(ctx, `Error returning transaction ${transactionId}: ${error.message}`, "ERROR RETURN TRANSACTION", globalAssetIdsForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
+        if (transaction.newOwnerMSP !== MSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to return this transaction');
         }
-    }
 
-    async AcceptReturnTransaction(ctx, transactionId) {
-        let globalAssetIdsForCatch = [];
-
-        try {
+        assertTransition(transaction, TransactionStatus.RETURNED);
 
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const collectionName = "assetCollection";
+        // the receiver sends back what it holds now, which may have changed since it owned it
+        const returnedIds = transaction.assetIds.map(asset => asset.assetId);
+        const toBackAsset = await requireAssets(ctx, MSP, returnedIds);
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, transactionId);
+        for (let asset of toBackAsset) {
+            if (asset.parentId && !returnedIds.includes(asset.parentId)) {
+                throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${asset.assetId} is a component of ${asset.parentId}, disassemble it first`);
+            }
+            const added = childIds(asset).filter(componentId => !returnedIds.includes(componentId));
+            if (added.length > 0) {
+                throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${asset.assetId} holds ${added.join(', ')}, which didn't come with it, disassemble them first`);
+            }
+        }
 
-            if (hash.length) {
+        for (let asset of toBackAsset) {
+            await deleteAsset(ctx, MSP, asset.assetId);
+        }
 
-                let bufferedTranscation = await ctx.stub.getPrivateData(collectionName, transactionId)
+        transaction.assetIds = toBackAsset;
+        transaction.status = TransactionStatus.RETURNED;
+        transaction.returnedAt = ctx.stub.getTxTimestamp().array[0];
+        transaction.reason = reason;
 
-                let transaction = JSON.parse(bufferedTranscation.toString());
+        await putTransaction(ctx, transaction);
 
-                let assetIds = [];
+        await this.LogIt(ctx, `Transaction ${transactionId} has been returned`, 'RETURN TRANSACTION', toBackAsset);
 
-                for (let asset of transaction.assetIds) {
-                    assetIds.push(asset.assetId);
-                }
+        return success(`Transaction ${transactionId} has been returned`);
+    }
 
-                let bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName, 'assets')
+    async AcceptReturnTransaction(ctx, transactionId) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                let assets = JSON.parse(bufferedAssets.toString());
+        const transaction = await requireTransaction(ctx, transactionId);
 
-                globalAssetIdsForCatch = [...assetIds];
+        if (transaction.ownerMSP !== MSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to accept this return');
+        }
 
-                assets = [...assetIds, ...assets];
+        assertTransition(transaction, TransactionStatus.RETURN_ACCEPTED);
+        await assertRoomFor(ctx, MSP, transaction);
 
-                await ctx.stub.putPrivateData(orgCollectionName, 'assets', JSON.stringify([...assets]));
+        let assetIds = transaction.assetIds.map(asset => asset.assetId);
 
-                for (let asset of transaction.assetIds) {
-                    await ctx.stub.putPrivateData(orgCollectionName, asset.asseId, JSON.stringify(asset));
-                }
+        await putBackAssets(ctx, MSP, transaction.assetIds);
+        for (const asset of transaction.assetIds) {
+            await handOverPublicCopy(ctx, asset, transaction.newOwnerMSP, MSP);
+        }
 
-                await this.LogIt(ctx, `Assets has been accepted for return`, "SUCCESS RETURN ASSETS", assetIds);
+        transaction.status = TransactionStatus.RETURN_ACCEPTED;
 
-                return JSON.stringify({ message: 'Done', details: "Returned assets has been accepted" });
+        await putTransaction(ctx, transaction);
 
-            } else return JSON.stringify({ message: 'Error', details: "Transaction doesn't exist" });
+        await this.LogIt(ctx, 'Assets has been accepted for return', 'SUCCESS RETURN ASSETS', assetIds);
 
-        } catch (error) {
-            await this.LogIt(ctx, `Error accepting returned assets ${transactionId}: ${error.message}`, "ERROR RETURN ASSETS", globalAssetIdsForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+        return success('Returned assets has been accepted');
     }
 
+    // ReadPrivateAssets lists the IDs of the assets the caller holds.
     async ReadPrivateAssets(ctx) {
-        try {
-            const orgCollectionName = [ctx.clientIdentity.getMSPID(), 'PrivateCollection'];
+        const assets = await getAssets(ctx, ctx.clientIdentity.getMSPID());
 
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), 'assets');
-            if (hash.length) {
-                const bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets');
-                const assets = JSON.parse(bufferedAssets.toString());
+        return success(assets.map(asset => asset.assetId));
+    }
 
-                return JSON.stringify({ message: 'Done', details: assets });
-            } else return JSON.stringify({ message: 'Done', details: 'No assets' });
+    // QueryPrivateAssets pages through the caller's assets matching filters, which work as
+    // in QueryAssets.
+    async QueryPrivateAssets(ctx, pageSize = '10', bookmark = '', filters = '{}') {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const _filters = parseAssetQuery(filters);
 
-        } catch (error) {
-            return JSON.stringify({ message: 'Error', details: error.message })
-        }
+        const page = await readPrivateQueryPage(ctx, orgCollection(MSP), buildPrivateAssetQuery(_filters), parseInt(pageSize), bookmark, asset => createdInWindow(asset, _filters));
+
+        return success({ assets: page.records.map(asset => Asset.fromJSON(asset)), bookmark: page.bookmark });
     }
 
     async ReadPrivateAsset(ctx, assetId) {
-        const orgCollectionName = [ctx.clientIdentity.getMSPID(), 'PrivateCollection'];
-        try {
-            const hash = await ctx.stub.getPrivateDataHash(orgCollectionName.join(''), assetId);
-            if (hash.length) {
-                const bufferedAsset = await ctx.stub.getPrivateData(orgCollectionName.join(''), assetId);
-                const asset = JSON.parse(bufferedAsset.toString());
-
-                return JSON.stringify({ message: 'Done', details: asset });
-            } else return JSON.stringify({ message: 'Error', details: `Asset ${assetId} cannot find` });
-        } catch (error) {
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+        return success(await requireAsset(ctx, ctx.clientIdentity.getMSPID(), assetId));
     }
 
-    async ReadTransactions(ctx) {
-        try {
-            const collectionName = "assetCollection";
+    // ReadAssetTree returns the asset with its components resolved, all the way down.
+    async ReadAssetTree(ctx, assetId) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, 'transactions');
+        return success(await readTree(ctx, MSP, await requireAsset(ctx, MSP, assetId)));
+    }
 
-            if (hash.length) {
-                let bufferedTranscations = await ctx.stub.getPrivateData(collectionName, 'transactions')
-                let transactionDetails = [];
-                let transactions = JSON.parse(bufferedTranscations.toString());
+    // ReadTransactions lists every transaction the caller sends or receives.
+    async ReadTransactions(ctx) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                for (let transaction of transactions) {
-                    let transactionDetail = await this.ReadTransactionPrivateDetails(ctx, transaction.id);
-                    transactionDetails.push(JSON.parse(transactionDetail));
-                }
+        const outgoing = await readTransactionPage(ctx, MSP, Direction.OUTGOING, 0, '');
+        const incoming = await readTransactionPage(ctx, MSP, Direction.INCOMING, 0, '');
 
-                return JSON.stringify(transactionDetails);
+        return success([...outgoing.transactions, ...incoming.transactions]);
+    }
 
-            } else { return JSON.stringify([]) };
+    // ReadIncomingTransactions pages through the transactions sent to the caller.
+    // filters is a JSON object that may hold status, and from/to in seconds.
+    async ReadIncomingTransactions(ctx, pageSize = '10', bookmark = '', filters = '{}') {
+        return readTransactionsByDirection(ctx, Direction.INCOMING, pageSize, bookmark, filters);
+    }
 
-        } catch (error) {
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+    // ReadOutgoingTransactions pages through the transactions the caller sends.
+    async ReadOutgoingTransactions(ctx, pageSize = '10', bookmark = '', filters = '{}') {
+        return readTransactionsByDirection(ctx, Direction.OUTGOING, pageSize, bookmark, filters);
     }
 
+    // DeleteTransaction hides a transaction from the caller's listings. The record itself stays.
     async DeleteTransaction(ctx, transactionId) {
-        try {
-            const collectionName = "assetCollection";
-
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, 'transactions');
-
-            if (hash.length) {
-                let bufferedTranscations = await ctx.stub.getPrivateData(collectionName, 'transactions')
-                let transactions = JSON.parse(bufferedTranscations.toString());
+        const transaction = await requireTransaction(ctx, transactionId);
 
+        await removeFromIndex(ctx, ctx.clientIdentity.getMSPID(), transaction);
 
-                transactions.forEach((transaction, index) => {
-                    if (transaction.id === transactionId) transactions.splice(index, 1);
-                })
-
-                await ctx.stub.putPrivateData(collectionName, 'transactions', JSON.stringify([...transactions]))
-
-                return { message: "Done", details: `Transaction ${transactionId} has been deleted` };
-            }
-
-            return { message: "Error", details: "No transactions available" }
-        } catch (error) {
-            return JSON.stringify({ message: "Error", details: error.message });
-        }
+        return success(`Transaction ${transactionId} has been deleted`);
     }
 
     // Yung owner ang nagcancel
     async CancelTransaction(ctx, transactionId) {
-        let globalAssetIdsForCatch = [];
+        const MSP = ctx.clientIdentity.getMSPID();
 
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
-            const orgCollectionName = [MSP, 'PrivateCollection'];
-            const collectionName = "assetCollection";
+        const transaction = await requireTransaction(ctx, transactionId);
 
-            const hash = await ctx.stub.getPrivateDataHash(collectionName, transactionId);
+        if (transaction.ownerMSP !== MSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to cancel this transaction');
+        }
 
-            if (hash.length) {
+        assertTransition(transaction, TransactionStatus.CANCELLED);
+        await assertRoomFor(ctx, MSP, transaction);
 
-                const bufferedTranscations = await ctx.stub.getPrivateData('assetCollection', transactionId);
+        const assetDetails = [...transaction.assetIds];
 
-                const transaction = JSON.parse(bufferedTranscations.toString());
+        await putBackAssets(ctx, MSP, assetDetails);
 
-                if (transaction.newOwnerMSP === MSP) return JSON.stringify({ message: 'Error', details: `You are not allowed to cancel this transaction` });
+        transaction.status = TransactionStatus.CANCELLED;
+        transaction.cancelledAt = ctx.stub.getTxTimestamp().array[0];
 
-                const bufferedAssets = await ctx.stub.getPrivateData(orgCollectionName.join(''), 'assets');
-                const assets = JSON.parse(bufferedAssets.toString());
-                let toBackAssetIds = []
-                let assetDetails = [];
+        await putTransaction(ctx, transaction);
 
-                for (let asset of transaction.assetIds) {
-                    toBackAssetIds.push(asset.assetId)
-                    assetDetails.push(asset);
-                }
+        await this.LogIt(ctx, `Transaction ${transactionId} has been cancelled`, 'CANCEL TRANSACTION', assetDetails);
 
-                globalAssetIdsForCatch = [...assetDetails];
-
-                transaction.isCancelled = true;
-                transaction.cancelledAt = ctx.stub.getTxTimestamp().array[0]
+        return success(`Transaction ${transactionId} has been canceled`);
+    }
 
-                await ctx.stub.putPrivateData(orgCollectionName.join(''), 'assets', JSON.stringify([...assets, ...toBackAssetIds]));
+    // ExpireTransactions sweeps the caller's outgoing transfers that have passed a deadline and
+    // puts their assets back into the caller's collection. A transfer whose assets the caller
+    // holds other records of by now is left as it is and named in the warnings.
+    async ExpireTransactions(ctx) {
+        const MSP = ctx.clientIdentity.getMSPID();
+        const now = ctx.stub.getTxTimestamp().array[0];
+
+        const expired = [];
+        const warnings = [];
+        for (const status of [TransactionStatus.PENDING, TransactionStatus.ACCEPTED, TransactionStatus.TRANSFERRED]) {
+            const page = await readTransactionPage(ctx, MSP, Direction.OUTGOING, 0, '', { status });
+
+            for (const summary of page.transactions) {
+                const transaction = await requireTransaction(ctx, summary.id);
+                const deadline = missedDeadline(transaction, now);
+                if (deadline === null) {
+                    continue;
+                }
+                const taken = await takenAssetIds(ctx, MSP, transaction);
+                if (taken.length > 0) {
+                    warnings.push(`Transaction ${transaction.id} was not expired, as it would overwrite asset(s) ${taken.join(', ')}`);
+                    continue;
+                }
 
-                await ctx.stub.putPrivateData(collectionName, transactionId, JSON.stringify(transaction));
+                await putBackAssets(ctx, MSP, transaction.assetIds);
 
-                await this.LogIt(ctx, `Transaction ${transactionId} has been cancelled`, "CANCEL TRANSACTION", assetDetails);
+                transaction.status = TransactionStatus.EXPIRED;
+                transaction.expiredAt = now;
 
-                return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} has been canceled` });
+                await putTransaction(ctx, transaction);
 
-            } else return JSON.stringify({ message: 'Error', details: "Transaction doesn't exist" });
+                await this.LogIt(ctx, `Transaction ${transaction.id} expired at ${deadline}`, 'EXPIRE TRANSACTION', transaction.assetIds);
 
-        } catch (error) {
-            await this.LogIt(ctx, `Error cancelling transaction ${transactionId}: ${error.message}`, "ERROR CANCEL TRANSACTION", globalAssetIdsForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
+                expired.push(transaction.id);
+            }
         }
-    }
 
+        // one event per chaincode transaction, so a sweep reports everything it expired at once
+        if (expired.length > 0) {
+            emitEvent(ctx, EventName.TRANSACTIONS_EXPIRED, { transactionIds: expired, ownerMSP: MSP, txId: ctx.stub.getTxID(), timestamp: now });
+        }
 
-    async ReadTransactionPrivateDetails(ctx, transactionId) {
-        try {
-            const bufferedTranscations = await ctx.stub.getPrivateData('assetCollection', transactionId);
-
-            const transaction = JSON.parse(bufferedTranscations.toString());
+        return success({ expired }, warnings);
+    }
 
-            return JSON.stringify(transaction);
-        } catch (error) {
-            return JSON.stringify({ message: 'Error', details: error.message });
+    // SimulateTransaction runs fn with parameters, a JSON array of its arguments, without
+    // writing anything. It returns the change plan: the keys that would be written or deleted
+    // in which collection, the index entries among them, the event, and the error that would
+    // stop it. Evaluate it, as the plan holds private data.
+    async SimulateTransaction(ctx, fn, parameters = '[]') {
+        if (!SIMULATED_FUNCTIONS.includes(fn)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `${fn} cannot be simulated, only ${SIMULATED_FUNCTIONS.join(', ')} can`);
         }
-    }
+        assertPermitted(ctx, fn);
 
-    async AcceptTransaction(ctx, transactionId) {
+        const _parameters = parseArgument(parameters, 'parameters', 'parameters');
 
-        let globalAssetIdsForCatch = [];
+        return success(await simulate(ctx, fn, _parameters, simulated => this[fn](simulated, ..._parameters)));
+    }
 
-        try {
+    // VerifyPrivateAsset checks an asset someone handed over against its published commitment.
+    // The salt defaults to the one in the asset record and the MSP that committed it to the one
+    // behind the newest entry of its history. Evaluate it, as submitting it would put the asset
+    // into the block.
+    async VerifyPrivateAsset(ctx, asset, salt = '', committedBy = '') {
+        const _asset = parseArgument(asset, 'asset', 'asset');
+        const _salt = salt || _asset.salt;
 
-            const MSP = ctx.clientIdentity.getMSPID();
+        if (!_salt) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'Argument salt is required when the asset has no salt');
+        }
 
-            const buffer = await ctx.stub.getPrivateData('assetCollection', transactionId);
+        const commitment = await findCommitment(ctx, committedBy || _asset.history[0].msp || ctx.clientIdentity.getMSPID(), _asset, _salt);
 
-            let transaction = JSON.parse(buffer.toString());
+        if (!commitment) {
+            return success({ assetId: _asset.assetId, verified: false });
+        }
 
-            if (MSP === transaction.newOwnerMSP) {
-                transaction.isNewOwnerAccepted = true;
+        return success({ assetId: _asset.assetId, verified: true, current: commitment.current, txId: commitment.txId, timestamp: commitment.timestamp });
+    }
 
-                await ctx.stub.putPrivateData('assetCollection', transactionId, JSON.stringify(transaction));
+    // ReadTransactionPrivateDetails returns the transaction record, with the documents attached
+    // to it in attachments and those of its assets in theirs.
+    async ReadTransactionPrivateDetails(ctx, transactionId) {
+        return success(Object.assign({ attachments: [] }, (await requireTransaction(ctx, transactionId)).toJSON()));
+    }
 
-                let assetIds = [];
-                let assetDetails = []
+    // AttachDocument records a document, a JSON { type, hash, filename, uri } with the hex
+    // SHA-256 hash of its content, on one of the caller's assets or on a transaction the caller
+    // is party to. The caller is recorded as its issuer.
+    async AttachDocument(ctx, target, targetId, document) {
+        assertTarget(target);
+        const MSP = ctx.clientIdentity.getMSPID();
+        const attachment = attachmentOf(ctx, parseArgument(document, 'document', 'document'));
+
+        if (target === AttachmentTarget.ASSET) {
+            const asset = withAttachment(await requireAsset(ctx, MSP, targetId), attachment, `asset ${targetId}`);
+            await saveAssets(ctx, MSP, [asset]);
+
+            await this.LogIt(ctx, `${attachment.type} ${attachment.filename} attached to asset ${targetId}`, 'ATTACH DOCUMENT', [targetId]);
+        } else {
+            const transaction = await requireTransaction(ctx, targetId);
+            if (MSP !== transaction.ownerMSP && MSP !== transaction.newOwnerMSP) {
+                throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Only the parties to transaction ${targetId} can attach documents to it`);
+            }
+            await putTransaction(ctx, withAttachment(transaction, attachment, `transaction ${targetId}`));
 
-                for (let asset of transaction.assetIds) {
-                    assetIds.push(asset.assetId);
-                    assetDetails.push(asset);
-                }
+            // parties following the transaction learn of the document from an event of its own
+            emitEvent(ctx, EventName.DOCUMENT_ATTACHED, { transactionId: targetId, type: attachment.type, hash: attachment.hash, issuerMSP: MSP, txId: attachment.txId, timestamp: attachment.timestamp });
 
-                globalAssetIdsForCatch = [...assetDetails];
+            await this.LogIt(ctx, `${attachment.type} ${attachment.filename} attached to transaction ${targetId}`, 'ATTACH DOCUMENT', transaction.assetIds);
+        }
 
-                await this.LogIt(ctx, `${transaction.newOwnerMSP} accepted the transaction`, "ACCEPT TRANSACTION", assetDetails);
+        return success(attachment);
+    }
 
-                return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} accepted by ${MSP}` });
-            } else {
-                return JSON.stringify({ message: 'Error', details: 'You are not allowed to accept this transaction' });
+    // VerifyDocument tells whether a file with the given hex SHA-256 hash is attached to the
+    // asset or transaction, and returns the attachments it matches. An asset that left the
+    // caller is checked in the copy held by the latest transfer the caller took part in, never
+    // in another org's asset of the same ID.
+    async VerifyDocument(ctx, target, targetId, hash) {
+        assertTarget(target);
+
+        let record;
+        if (target === AttachmentTarget.ASSET) {
+            record = (await readAssetRecords(ctx, ctx.clientIdentity.getMSPID(), targetId)).record;
+            if (!record) {
+                throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${targetId} does not exist`);
             }
-
-        } catch (error) {
-            await this.LogIt(ctx, error.message, "ERROR ACCEPT TRANSACTION", globalAssetIdsForCatch);
-            return JSON.stringify({ message: 'Error', details: error.message });
+        } else {
+            record = await requireTransaction(ctx, targetId);
         }
 
+        const attachments = findAttachments(record, hash);
+
+        return success({ target, targetId, matches: attachments.length > 0, attachments });
     }
 
-    async TransferNow(ctx, transactionId) {
+    // HandOverCustody records that the caller, who holds the goods of the transaction, handed
+    // them to another org. handover is a JSON { custodian, location, condition }, with the
+    // custodian given by its MSP ID.
+    async HandOverCustody(ctx, transactionId, handover) {
+        const _handover = parseArgument(handover, 'handover', 'handover');
 
-        let globalAssetIdsForCatch = [];
+        const transaction = handOver(ctx, await requireTransaction(ctx, transactionId), _handover);
+        const entry = transaction.custody[transaction.custody.length - 1];
 
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
+        await putTransaction(ctx, transaction);
 
-            const buffer = await ctx.stub.getPrivateData('assetCollection', transactionId);
+        // the transaction stays in transit, so only this event tells who holds the goods now
+        emitEvent(ctx, EventName.CUSTODY_HANDED_OVER, { transactionId, custodian: entry.custodian, handedOverBy: entry.handedOverBy, txId: entry.txId, timestamp: entry.timestamp });
 
-            let transaction = JSON.parse(buffer.toString());
+        await this.LogIt(ctx, `Goods of transaction ${transactionId} handed over to ${entry.custodian} at ${entry.location}`, 'HAND OVER CUSTODY', transaction.assetIds);
 
-            if (MSP !== transaction.newOwnerMSP) {
-                if (transaction.isNewOwnerAccepted) {
+        return success(`Transaction ${transactionId} is in the custody of ${entry.custodian}`);
+    }
 
-                    let bufferedAssets = await ctx.stub.getPrivateData([MSP, 'PrivateCollection'].join(''), 'assets');
-                    let assets = JSON.parse(bufferedAssets.toString());
+    // ReadCustodyChain lists who held the goods of the transaction, so the receiver can check
+    // the path before it owns them.
+    async ReadCustodyChain(ctx, transactionId) {
+        return success(custodyPath(await requireTransaction(ctx, transactionId)));
+    }
 
-                    let _assetIds = transaction.assetIds.map(asset => asset.assetId);
+    // SetConditionLimits sets the ranges the asset has to be kept in. limits is a JSON
+    // { temperature, humidity, shock }, each an optional { min, max }.
+    async SetConditionLimits(ctx, assetId, limits) {
+        const _limits = parseArgument(limits, 'limits', 'conditionLimits');
 
-                    assets = assets.filter(item => !_assetIds.includes(item))
+        const origin = await assertOwnerOf(ctx, ctx.clientIdentity.getMSPID(), assetId);
+        const record = await putLimits(ctx, origin, assetId, _limits);
 
-                    transaction.isCurrentOwnerApproved = true;
-                    let assetIds = []
-                    let assetDetails = [];
+        return success(record);
+    }
 
-                    for (let asset of transaction.assetIds) {
-                        await ctx.stub.deletePrivateData([MSP, 'PrivateCollection'].join(''), asset.assetId);
-                        assetIds.push(asset.assetId);
-                        assetDetails.push(asset);
-                    }
+    // RecordConditionReadings attaches sensor readings to the asset, a JSON array of
+    // { deviceId, timestamp, temperature, humidity, shock } where each measure is optional.
+    // Whoever has the goods at hand records them, a carrier included.
+    async RecordConditionReadings(ctx, assetId, readings) {
+        const _readings = parseArgument(readings, 'readings', 'conditionReadings');
 
-                    globalAssetIdsForCatch = [...assetDetails];
+        const origin = await assertHolderOf(ctx, ctx.clientIdentity.getMSPID(), assetId);
+        await putReadings(ctx, origin, assetId, _readings);
 
-                    await ctx.stub.putPrivateData([MSP, 'PrivateCollection'].join(''), 'assets', JSON.stringify([...assets]));
+        return success((await readConditions(ctx, origin, assetId)).compliance);
+    }
 
-                    await ctx.stub.putPrivateData('assetCollection', transactionId, JSON.stringify(transaction));
+    // ReadConditions reports the limits and readings of the asset and whether it stayed within
+    // them. origin is the MSP that created the asset, by default that of the asset the caller
+    // holds or has in an open transfer.
+    async ReadConditions(ctx, assetId, origin = '') {
+        return success(await readConditions(ctx, origin || await originFor(ctx, ctx.clientIdentity.getMSPID(), assetId), assetId));
+    }
 
-                    await this.LogIt(ctx, `Transaction ${transactionId} assets has been changed ownership`, "TRANSFERRED", assetDetails);
+    async AcceptTransaction(ctx, transactionId) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} has been transferred` });
-                } else {
-                    return JSON.stringify({ message: 'Error', details: 'Cannot transfer: Receiver still not accepted the request' });
-                }
-            } else {
-                return JSON.stringify({ message: 'Error', details: 'You are not allowed to process this transaction' })
-            }
-        } catch (error) {
-            await this.LogIt(ctx, `Error while changing the ownership of assets in transaction ${transactionId} : ${error.message}`, "ERROR TRANSFERRING", globalAssetIdsForCatch);
+        const transaction = await requireTransaction(ctx, transactionId);
 
-            return JSON.stringify({ message: 'Error', details: error.message });
+        if (MSP !== transaction.newOwnerMSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to accept this transaction');
         }
 
-    }
+        assertTransition(transaction, TransactionStatus.ACCEPTED);
+        assertNotExpired(transaction, ctx.stub.getTxTimestamp().array[0]);
 
-    async OwnAsset(ctx, transactionId) {
-        let globalAssetIdsForCatch = [];
+        transaction.status = TransactionStatus.ACCEPTED;
 
-        try {
-            const MSP = ctx.clientIdentity.getMSPID();
+        await putTransaction(ctx, transaction);
 
-            const bufferedTranscation = await ctx.stub.getPrivateData('assetCollection', transactionId);
+        await this.LogIt(ctx, `${transaction.newOwnerMSP} accepted the transaction`, 'ACCEPT TRANSACTION', transaction.assetIds);
 
-            let transaction = JSON.parse(bufferedTranscation.toString());
+        return success(`Transaction ${transactionId} accepted by ${MSP}`);
+    }
 
-            if (MSP === transaction.newOwnerMSP) {
-                if (transaction.isCurrentOwnerApproved) {
+    async TransferNow(ctx, transactionId) {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    let hash = await ctx.stub.getPrivateDataHash([MSP, 'PrivateCollection'].join(''), 'assets');
+        const transaction = await requireTransaction(ctx, transactionId);
 
-                    let assetIds = [];
-                    let assetDetails = [];
+        if (MSP !== transaction.ownerMSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to process this transaction');
+        }
 
-                    for (let asset of transaction.assetIds) {
-                        assetIds.push(asset.assetId)
-                        assetDetails.push(asset);
-                    }
+        assertTransition(transaction, TransactionStatus.TRANSFERRED);
+        assertNotExpired(transaction, ctx.stub.getTxTimestamp().array[0]);
 
-                    globalAssetIdsForCatch = [...assetDetails];
+        // the assets already left the owner's collection when the transaction was created
+        transaction.status = TransactionStatus.TRANSFERRED;
 
-                    if (hash.length) {
-                        let bufferedAssets = await ctx.stub.getPrivateData([MSP, 'PrivateCollection'].join(''), 'assets');
+        await putTransaction(ctx, transaction);
 
-                        let assets = JSON.parse(bufferedAssets.toString());
+        await this.LogIt(ctx, `Transaction ${transactionId} assets has been changed ownership`, 'TRANSFERRED', transaction.assetIds);
 
-                        await ctx.stub.putPrivateData([MSP, 'PrivateCollection'].join(''), 'assets', JSON.stringify([...assetIds, ...assets]));
+        return success(`Transaction ${transactionId} has been transferred`);
+    }
 
-                    } else {
-                        await ctx.stub.putPrivateData([MSP, 'PrivateCollection'].join(''), 'assets', JSON.stringify([...assetIds]));
-                    }
+    // OwnAsset refuses goods that went outside their condition limits, naming the excursions,
+    // so the receiver can reject them with RejectTransaction instead. Passing acceptExcursions
+    // 'true' owns them anyway and returns the excursions as warnings.
+    async OwnAsset(ctx, transactionId, acceptExcursions = 'false') {
+        const MSP = ctx.clientIdentity.getMSPID();
 
-                    for (let asset of transaction.assetIds) {
-                        let _history = [{ org: transaction.newOwnerOrgId, timestamp: ctx.stub.getTxTimestamp().array[0] }, ...asset.history]
-                        asset.history = _history;
-                        await ctx.stub.putPrivateData([MSP, 'PrivateCollection'].join(''), asset.assetId, JSON.stringify(asset));
-                    }
+        const transaction = await requireTransaction(ctx, transactionId);
 
-                    transaction.isOwnershipChanged = true;
+        if (MSP !== transaction.newOwnerMSP) {
+            throw new ContractError(ErrorCode.NOT_AUTHORIZED, 'You are not allowed to own this asset');
+        }
 
-                    await ctx.stub.putPrivateData('assetCollection', transactionId, JSON.stringify(transaction));
+        assertTransition(transaction, TransactionStatus.OWNED);
+        assertNotExpired(transaction, ctx.stub.getTxTimestamp().array[0]);
+        assertHandedToReceiver(transaction);
+        await assertRoomFor(ctx, MSP, transaction);
 
-                    // await ctx.stub.deletePrivateData('assetCollection', transactionId);
+        const excursions = [];
+        for (const asset of transaction.assetIds) {
+            const { compliance } = await readConditions(ctx, originOf(asset), asset.assetId);
+            if (compliance.status === ComplianceStatus.EXCURSION) {
+                excursions.push(`Asset ${asset.assetId} went outside its limits ${compliance.excursions.length} time(s): ${compliance.excursions.map(excursion => `${excursion.measure} ${excursion.value} at ${excursion.timestamp}`).join(', ')}`);
+            }
+        }
+        if (excursions.length > 0 && acceptExcursions !== 'true') {
+            throw new ContractError(ErrorCode.INVALID_STATE, `${excursions.join('; ')}. Reject transaction ${transactionId} or own it with acceptExcursions`);
+        }
 
-                    // await this.DeleteTransaction(ctx, transactionId);
+        for (let asset of transaction.assetIds) {
+            // the sender's salt came along in the transaction, so the receiver's isn't derived from it
+            await putAsset(ctx, MSP, await commitAsset(ctx, Object.assign({}, asset, {
+                history: [historyEntry(ctx, transaction.newOwnerOrgId), ...asset.history]
+            }), null));
+            await handOverPublicCopy(ctx, asset, transaction.ownerMSP, MSP);
+        }
 
-                    await this.LogIt(ctx, `Transaction ${transactionId} assets has been fully transferred to ${transaction.newOwnerMSP}`, "OWNED", assetDetails);
+        transaction.status = TransactionStatus.OWNED;
 
-                    return JSON.stringify({ message: 'Done', details: `Transaction ${transactionId} transferred successfully` });
+        await putTransaction(ctx, transaction);
 
-                } else { return JSON.stringify({ message: 'Error', details: 'Owner still not approved the transfer' }); }
-            } else { return JSON.stringify({ message: 'Error', details: 'You are not allowed to own this asset' }); }
-        } catch (error) {
-            await this.LogIt(ctx, `Error owning the asset in transaction ${transactionId} : ${error.message}`, "OWNED", globalAssetIdsForCatch);
+        await this.LogIt(ctx, `Transaction ${transactionId} assets has been fully transferred to ${transaction.newOwnerMSP}`, 'OWNED', transaction.assetIds);
 
-            return JSON.stringify({ message: 'Error', details: error.message });
-        }
+        return success(`Transaction ${transactionId} transferred successfully`, excursions);
     }
 }
 
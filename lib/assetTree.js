@@ -0,0 +1,117 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { getAsset, requireAsset } = require('./privateAssets');
+const { AssemblyEvent, historyEntry } = require('./history');
+const { assertNotRecalled } = require('./recalls');
+
+// A component links to its assembly through parentId and the assembly lists the IDs of its
+// components in subAssets. Assets saved before the links existed hold copies of their
+// components there instead.
+function childIds(asset) {
+    return (asset.subAssets || []).map(subAsset => typeof subAsset === 'string' ? subAsset : subAsset.assetId);
+}
+
+// assertNotLinked returns the asset when it is neither a component nor an assembly.
+function assertNotLinked(asset) {
+    if (asset.parentId) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${asset.assetId} is a component of ${asset.parentId}, disassemble it first`);
+    }
+    if (childIds(asset).length > 0) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${asset.assetId} is an assembly, disassemble it first`);
+    }
+    return asset;
+}
+
+function withAssemblyEvent(ctx, asset, event, parentId) {
+    return Object.assign({}, asset, { history: [historyEntry(ctx, asset.history[0].org, { event, parentId }), ...asset.history] });
+}
+
+// assertNoCycle walks up from the assembly, so the component must be neither the assembly
+// nor one of the assemblies containing it.
+async function assertNoCycle(ctx, MSP, parentId, componentId) {
+    let ancestorId = parentId;
+    while (ancestorId) {
+        if (ancestorId === componentId) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${componentId} cannot be a component of ${parentId}, as that would make a cycle`);
+        }
+        const ancestor = await getAsset(ctx, MSP, ancestorId);
+        ancestorId = ancestor ? ancestor.parentId : undefined;
+    }
+}
+
+// attachComponents links the components to the assembly and returns the records of the ones
+// that weren't linked to it yet. Recalled assets can't go into an assembly.
+async function attachComponents(ctx, MSP, parentId, componentIds) {
+    if (new Set(componentIds).size !== componentIds.length) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Components of ${parentId} are given more than once`);
+    }
+
+    const components = [];
+    for (const componentId of componentIds) {
+        await assertNoCycle(ctx, MSP, parentId, componentId);
+
+        const component = await requireAsset(ctx, MSP, componentId);
+        if (component.parentId === parentId) {
+            continue;
+        }
+        if (component.parentId) {
+            throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${componentId} is already a component of ${component.parentId}`);
+        }
+        await assertNotRecalled(ctx, component);
+
+        components.push(withAssemblyEvent(ctx, Object.assign({}, component, { parentId }), AssemblyEvent.ASSEMBLED, parentId));
+    }
+    return components;
+}
+
+// detachComponents releases the components of the assembly and returns their updated records.
+// Components that only exist as copies inside the assembly have nothing to release.
+async function detachComponents(ctx, MSP, parentId, componentIds) {
+    const components = [];
+    for (const componentId of componentIds) {
+        const component = await getAsset(ctx, MSP, componentId);
+        if (component && component.parentId === parentId) {
+            const released = Object.assign({}, component);
+            delete released.parentId;
+            components.push(withAssemblyEvent(ctx, released, AssemblyEvent.DISASSEMBLED, parentId));
+        }
+    }
+    return components;
+}
+
+// readDescendants returns the records of every component below the asset, depth first.
+async function readDescendants(ctx, MSP, asset) {
+    const descendants = [];
+    for (const componentId of childIds(asset)) {
+        const component = await getAsset(ctx, MSP, componentId);
+        if (component && component.parentId === asset.assetId) {
+            descendants.push(component, ...await readDescendants(ctx, MSP, component));
+        }
+    }
+    return descendants;
+}
+
+// readTree resolves the components of the asset recursively into their current records.
+async function readTree(ctx, MSP, asset) {
+    const subAssets = [];
+    for (const subAsset of asset.subAssets || []) {
+        const componentId = typeof subAsset === 'string' ? subAsset : subAsset.assetId;
+        const component = await getAsset(ctx, MSP, componentId);
+        if (component && component.parentId === asset.assetId) {
+            subAssets.push(await readTree(ctx, MSP, component));
+        } else {
+            subAssets.push(typeof subAsset === 'string' ? { assetId: subAsset, missing: true } : subAsset);
+        }
+    }
+    return Object.assign({}, asset, { subAssets });
+}
+
+module.exports = {
+    childIds,
+    assertNotLinked,
+    attachComponents,
+    detachComponents,
+    readDescendants,
+    readTree,
+};
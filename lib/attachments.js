@@ -0,0 +1,71 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+
+// Documents such as invoices, packing lists and certificates of origin stay off the ledger.
+// Assets and transactions only record where a document is kept and the SHA-256 hash of its
+// content, which is enough to tell whether a file someone hands over is the one attached.
+const AttachmentTarget = Object.freeze({
+    ASSET: 'asset',
+    TRANSACTION: 'transaction',
+});
+
+function normalizeHash(hash) {
+    if (!/^[0-9a-f]{64}$/i.test(hash)) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Hash ${hash} is not a hex SHA-256 hash`);
+    }
+    return hash.toLowerCase();
+}
+
+function assertTarget(target) {
+    if (!Object.values(AttachmentTarget).includes(target)) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Target ${target} is not one of ${Object.values(AttachmentTarget).join(', ')}`);
+    }
+}
+
+// attachmentOf turns a { type, hash, filename, uri } document into the attachment the caller
+// issues in the current transaction.
+function attachmentOf(ctx, document) {
+    return {
+        type: document.type,
+        hash: normalizeHash(document.hash),
+        filename: document.filename,
+        uri: document.uri,
+        issuerMSP: ctx.clientIdentity.getMSPID(),
+        txId: ctx.stub.getTxID(),
+        timestamp: ctx.stub.getTxTimestamp().array[0],
+    };
+}
+
+// withAttachment returns a copy of the asset or transaction with the attachment added. A
+// document can only be attached once to the same record.
+function withAttachment(record, attachment, name) {
+    const attachments = record.attachments || [];
+    if (attachments.some(existing => existing.hash === attachment.hash)) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Document ${attachment.hash} is already attached to ${name}`);
+    }
+    return Object.assign({}, record, { attachments: [...attachments, attachment] });
+}
+
+// findAttachments lists the attachments of the record whose hash matches. The documents of a
+// transaction include those of the assets it carries, marked with their assetId.
+function findAttachments(record, hash) {
+    const _hash = normalizeHash(hash);
+    const found = (record.attachments || []).filter(attachment => attachment.hash === _hash);
+    for (const asset of record.assetIds || []) {
+        for (const attachment of asset.attachments || []) {
+            if (attachment.hash === _hash) {
+                found.push(Object.assign({ assetId: asset.assetId }, attachment));
+            }
+        }
+    }
+    return found;
+}
+
+module.exports = {
+    AttachmentTarget,
+    assertTarget,
+    attachmentOf,
+    withAttachment,
+    findAttachments,
+};
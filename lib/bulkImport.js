@@ -0,0 +1,157 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { validate } = require('./schema');
+const { getAsset } = require('./privateAssets');
+const { lotFields } = require('./lots');
+
+// ALL_OR_NOTHING imports nothing unless every row can be imported, SKIP_INVALID imports the
+// rows that can and reports the rest.
+const ImportMode = Object.freeze({
+    ALL_OR_NOTHING: 'ALL_OR_NOTHING',
+    SKIP_INVALID: 'SKIP_INVALID',
+});
+
+const ImportFormat = Object.freeze({
+    JSON: 'json',
+    CSV: 'csv',
+});
+
+// CSV columns with a field of their own. Every other column is a tag named after it.
+const CSV_FIELDS = ['assetId', 'quantity', 'unit'];
+
+// splitCsv reads CSV text into rows of cells. Cells may be quoted, with "" for a quote, to
+// hold commas and line breaks.
+function splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'Rows are not valid CSV: a quoted cell is never closed');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// csvRow turns the cells of a row into the fields of an asset. Quantities that aren't numbers
+// are kept as they are, for validation to report.
+function csvRow(header, cells) {
+    const row = { tags: [] };
+    header.forEach((column, index) => {
+        const value = (cells[index] || '').trim();
+        if (value === '') {
+            return;
+        }
+        if (column === 'quantity') {
+            row.quantity = isNaN(Number(value)) ? value : Number(value);
+        } else if (CSV_FIELDS.includes(column)) {
+            row[column] = value;
+        } else {
+            row.tags.push({ key: column, value });
+        }
+    });
+    return row;
+}
+
+// parseRows reads the rows of an import. CSV needs a header row naming the columns.
+function parseRows(format, text) {
+    switch (format) {
+    case ImportFormat.JSON: {
+        let rows;
+        try {
+            rows = JSON.parse(text);
+        } catch (error) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Rows are not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(rows)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'Rows must be a JSON array');
+        }
+        return rows;
+    }
+    case ImportFormat.CSV: {
+        const [header, ...rows] = splitCsv(text);
+        if (!header || !header.map(column => column.trim()).includes('assetId')) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, 'Rows need a CSV header with an assetId column');
+        }
+        const columns = header.map(column => column.trim());
+        return rows.map(cells => csvRow(columns, cells));
+    }
+    default:
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Format ${format} is not one of ${Object.values(ImportFormat).join(', ')}`);
+    }
+}
+
+// checkRows validates every row and looks its asset up among the org's assets. Rows are
+// numbered from 1, not counting a CSV header. It returns the rows that can be imported, with
+// nothing but the fields a row may set, along with the report of the ones that can't.
+async function checkRows(ctx, MSP, rows) {
+    const valid = [];
+    const rejected = [];
+    const duplicates = [];
+    const firstRow = new Map();
+
+    for (let index = 0; index < rows.length; index++) {
+        const row = index + 1;
+        const input = rows[index];
+        const assetId = input && typeof input.assetId === 'string' ? input.assetId : null;
+
+        const reasons = validate(input, 'importRow', `rows[${row}]`);
+        if (assetId && firstRow.has(assetId)) {
+            reasons.push(`Asset ${assetId} is given more than once, first in row ${firstRow.get(assetId)}`);
+        }
+        if (reasons.length > 0) {
+            rejected.push({ row, assetId, reasons });
+            continue;
+        }
+        firstRow.set(assetId, row);
+
+        if (await getAsset(ctx, MSP, assetId)) {
+            duplicates.push({ row, assetId });
+            continue;
+        }
+        valid.push(Object.assign({ assetId, tags: input.tags || [] }, lotFields(input, ['quantity', 'unit'])));
+    }
+
+    return { valid, rejected, duplicates };
+}
+
+module.exports = {
+    ImportMode,
+    ImportFormat,
+    parseRows,
+    checkRows,
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const crypto = require('crypto');
+const stringify = require('json-stringify-deterministic');
+const sortKeysRecursive = require('sort-keys-recursive');
+const { ContractError, ErrorCode } = require('./ContractError');
+const { Asset } = require('./Asset');
+
+// Commitments live in world state, so any channel member can check an asset it was
+// handed against the ledger without seeing anybody's private collection. They are keyed by
+// the MSP of the org that committed the asset, as asset IDs are only unique within an org.
+const COMMITMENT_OBJECT_TYPE = 'commitment~msp~assetId';
+
+function commitmentKey(ctx, MSP, assetId) {
+    return ctx.stub.createCompositeKey(COMMITMENT_OBJECT_TYPE, [MSP, assetId]);
+}
+
+// hashAsset hashes the salt and the canonical JSON of the asset, leaving out its salt and the
+// version of the format it is stored in.
+function hashAsset(asset, salt) {
+    const content = Object.assign({}, asset);
+    delete content.salt;
+    delete content.schemaVersion;
+    return crypto.createHash('sha256').update(salt).update(stringify(sortKeysRecursive(content))).digest('hex');
+}
+
+// Every endorser has to come up with the same salt, so it can't be random, and anything on
+// the ledger or in the shared collection is known to other orgs. The salt is the client's own,
+// passed in the transient field salt, or else derived from the salt of the record it replaces,
+// which never left the caller's collection. It is null when there is neither.
+function saltFor(ctx, assetId, previousSalt) {
+    const transientSalt = ctx.stub.getTransient().get('salt');
+    if (transientSalt && transientSalt.length > 0) {
+        return transientSalt.toString();
+    }
+    if (!previousSalt) {
+        return null;
+    }
+    return crypto.createHash('sha256').update(`${previousSalt}:${ctx.stub.getTxID()}:${assetId}`).digest('hex');
+}
+
+// commitAsset salts the asset and publishes its hash under the caller's MSP. It returns the
+// asset with the salt, which is what the owner stores and hands to whoever needs to verify it.
+// previousSalt is the private salt a new salt is derived from, by default that of the asset;
+// callers pass null for assets whose salt other orgs have seen. Without any salt the asset is
+// returned unsalted and nothing is published, so clients that send no salt keep working but
+// can't have their assets verified.
+async function commitAsset(ctx, asset, previousSalt = asset.salt) {
+    const salt = saltFor(ctx, asset.assetId, previousSalt);
+    if (!salt) {
+        const unsalted = new Asset(Object.assign({}, asset));
+        delete unsalted.salt;
+        return unsalted;
+    }
+
+    const MSP = ctx.clientIdentity.getMSPID();
+    const salted = new Asset(Object.assign({}, asset, { salt }));
+
+    const commitment = {
+        assetId: asset.assetId,
+        msp: MSP,
+        hash: hashAsset(salted, salted.salt),
+        txId: ctx.stub.getTxID(),
+        timestamp: ctx.stub.getTxTimestamp().array[0],
+    };
+    await ctx.stub.putState(commitmentKey(ctx, MSP, asset.assetId), Buffer.from(JSON.stringify(commitment)));
+
+    return salted;
+}
+
+// findCommitment looks for the commitment the org with the given MSP made of the asset's
+// hash, first among the current one and then among the ones it replaced. It returns null when
+// none matches.
+async function findCommitment(ctx, MSP, asset, salt) {
+    const key = commitmentKey(ctx, MSP, asset.assetId);
+    const current = await ctx.stub.getState(key);
+    if (!current || current.length === 0) {
+        throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${asset.assetId} has no commitment`);
+    }
+
+    const hash = hashAsset(asset, salt);
+
+    const commitment = JSON.parse(current.toString());
+    if (commitment.hash === hash) {
+        return Object.assign({ current: true }, commitment);
+    }
+
+    const iterator = await ctx.stub.getHistoryForKey(key);
+    let found = null;
+    let result = await iterator.next();
+    while (!result.done && !found) {
+        if (!result.value.isDelete) {
+            const previous = JSON.parse(result.value.value.toString('utf8'));
+            if (previous.hash === hash) {
+                found = Object.assign({ current: false }, previous);
+            }
+        }
+        result = await iterator.next();
+    }
+    await iterator.close();
+
+    return found;
+}
+
+module.exports = {
+    COMMITMENT_OBJECT_TYPE,
+    commitmentKey,
+    hashAsset,
+    commitAsset,
+    findCommitment,
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { getAsset } = require('./privateAssets');
+const { originOf } = require('./history');
+const { TransactionStatus, currentStatus } = require('./transactionStatus');
+const { readTransactionsOfAsset } = require('./transactionIndex');
+const { currentCustodian } = require('./custody');
+
+// The sender sets the limits, carriers record readings on the way and the receiver checks both
+// before it owns the goods, so all of them live in the shared collection. Like recall notices,
+// they are keyed by the asset's origin and ID.
+const CONDITION_COLLECTION = 'assetCollection';
+const LIMITS_OBJECT_TYPE = 'conditionLimits~origin~assetId';
+const READINGS_OBJECT_TYPE = 'conditionReadings~origin~assetId~txId';
+
+// What sensors measure: degrees Celsius, percent relative humidity and shock in g.
+const MEASURES = ['temperature', 'humidity', 'shock'];
+
+const ComplianceStatus = Object.freeze({
+    COMPLIANT: 'COMPLIANT',
+    EXCURSION: 'EXCURSION',
+    // no limits are set or nothing was measured yet
+    UNMONITORED: 'UNMONITORED',
+});
+
+// Transfers whose goods are still on their way to the receiver.
+const OPEN = [TransactionStatus.PENDING, TransactionStatus.ACCEPTED, TransactionStatus.TRANSFERRED];
+
+function limitsKey(ctx, origin, assetId) {
+    return ctx.stub.createCompositeKey(LIMITS_OBJECT_TYPE, [origin, assetId]);
+}
+
+// locateAsset finds the asset the caller means by the ID: the one it holds or else the one it
+// sends, carries or receives in an open transfer, along with that transfer. It returns null
+// when the caller has no such asset.
+async function locateAsset(ctx, MSP, assetId) {
+    const held = await getAsset(ctx, MSP, assetId);
+    if (held) {
+        return { asset: held, transaction: null };
+    }
+    const transactions = await readTransactionsOfAsset(ctx, assetId);
+    const transaction = transactions.find(open => OPEN.includes(currentStatus(open)) && [open.ownerMSP, open.newOwnerMSP, currentCustodian(open)].includes(MSP));
+    return transaction ? { asset: transaction.assetIds.find(asset => asset.assetId === assetId), transaction } : null;
+}
+
+// assertOwnerOf lets the org that holds the asset, or sends it, decide on its limits. It
+// returns the origin of the asset.
+async function assertOwnerOf(ctx, MSP, assetId) {
+    const located = await locateAsset(ctx, MSP, assetId);
+    if (!located || (located.transaction && located.transaction.ownerMSP !== MSP)) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Only the owner of asset ${assetId} can set its condition limits`);
+    }
+    return originOf(located.asset);
+}
+
+// assertHolderOf lets the org that has the goods at hand record their conditions: the owner
+// while it keeps them and, while they travel, whoever is in custody of them. It returns the
+// origin of the asset.
+async function assertHolderOf(ctx, MSP, assetId) {
+    const located = await locateAsset(ctx, MSP, assetId);
+    if (!located || (located.transaction && currentCustodian(located.transaction) !== MSP)) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Only the holder of asset ${assetId} can record its conditions`);
+    }
+    return originOf(located.asset);
+}
+
+// originFor tells the origin of the asset the caller has at hand or in an open transfer.
+async function originFor(ctx, MSP, assetId) {
+    const located = await locateAsset(ctx, MSP, assetId);
+    if (!located) {
+        throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${assetId} does not exist`);
+    }
+    return originOf(located.asset);
+}
+
+async function getLimits(ctx, origin, assetId) {
+    const buffer = await ctx.stub.getPrivateData(CONDITION_COLLECTION, limitsKey(ctx, origin, assetId));
+    if (!buffer || buffer.length === 0) {
+        return null;
+    }
+    return JSON.parse(buffer.toString());
+}
+
+async function putLimits(ctx, origin, assetId, limits) {
+    for (const measure of MEASURES) {
+        const range = limits[measure];
+        if (range && range.min !== undefined && range.max !== undefined && range.min > range.max) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Limits of ${measure} have a min above their max`);
+        }
+    }
+
+    const record = Object.assign({ assetId, origin }, limits, { setBy: ctx.clientIdentity.getMSPID(), txId: ctx.stub.getTxID(), timestamp: ctx.stub.getTxTimestamp().array[0] });
+    await ctx.stub.putPrivateData(CONDITION_COLLECTION, limitsKey(ctx, origin, assetId), Buffer.from(JSON.stringify(record)));
+    return record;
+}
+
+// putReadings stores the readings of one upload under a key of its own, so that uploads from
+// several devices at once don't conflict.
+async function putReadings(ctx, origin, assetId, readings) {
+    for (const reading of readings) {
+        if (!MEASURES.some(measure => reading[measure] !== undefined)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Reading of device ${reading.deviceId} at ${reading.timestamp} measures none of ${MEASURES.join(', ')}`);
+        }
+    }
+
+    const record = { assetId, origin, readings, recordedBy: ctx.clientIdentity.getMSPID(), txId: ctx.stub.getTxID(), timestamp: ctx.stub.getTxTimestamp().array[0] };
+    await ctx.stub.putPrivateData(CONDITION_COLLECTION, ctx.stub.createCompositeKey(READINGS_OBJECT_TYPE, [origin, assetId, record.txId]), Buffer.from(JSON.stringify(record)));
+}
+
+// readReadings returns every reading of the asset in the order they were measured, each with
+// the org that recorded it.
+async function readReadings(ctx, origin, assetId) {
+    const readings = [];
+    const iterator = await ctx.stub.getPrivateDataByPartialCompositeKey(CONDITION_COLLECTION, READINGS_OBJECT_TYPE, [origin, assetId]);
+    let result = await iterator.next();
+    while (!result.done) {
+        const record = JSON.parse(result.value.value.toString('utf8'));
+        for (const reading of record.readings) {
+            readings.push(Object.assign({}, reading, { recordedBy: record.recordedBy, txId: record.txId }));
+        }
+        result = await iterator.next();
+    }
+    await iterator.close();
+
+    // a logger may upload several readings of the same second, which keep the order it sent
+    return readings.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// compliance checks every reading against the limits and lists the ones outside of them.
+function compliance(limits, readings) {
+    const excursions = [];
+    for (const reading of readings) {
+        for (const measure of MEASURES) {
+            const range = limits && limits[measure];
+            const value = reading[measure];
+            if (!range || value === undefined) {
+                continue;
+            }
+            if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max)) {
+                excursions.push({ measure, value, min: range.min, max: range.max, deviceId: reading.deviceId, timestamp: reading.timestamp });
+            }
+        }
+    }
+
+    let status = ComplianceStatus.COMPLIANT;
+    if (excursions.length > 0) {
+        status = ComplianceStatus.EXCURSION;
+    } else if (!limits || readings.length === 0) {
+        status = ComplianceStatus.UNMONITORED;
+    }
+    return { status, readings: readings.length, excursions };
+}
+
+// readConditions reports the limits, readings and compliance of the asset.
+async function readConditions(ctx, origin, assetId) {
+    const limits = await getLimits(ctx, origin, assetId);
+    const readings = await readReadings(ctx, origin, assetId);
+    return { assetId, origin, limits, readings, compliance: compliance(limits, readings) };
+}
+
+module.exports = {
+    ComplianceStatus,
+    assertOwnerOf,
+    assertHolderOf,
+    originFor,
+    putLimits,
+    putReadings,
+    readConditions,
+};
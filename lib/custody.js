@@ -0,0 +1,73 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { TransactionStatus, currentStatus } = require('./transactionStatus');
+
+// Goods change hands between acceptance and ownership, e.g. from the sender to a carrier,
+// to a 3PL warehouse and on to the receiver, without anybody but the receiver owning them.
+const IN_TRANSIT = [TransactionStatus.ACCEPTED, TransactionStatus.TRANSFERRED];
+
+// currentCustodian tells which org holds the goods of a transaction. Until the first
+// hand-over that is the sender.
+function currentCustodian(transaction) {
+    const custody = transaction.custody || [];
+    return custody.length > 0 ? custody[custody.length - 1].custodian : transaction.ownerMSP;
+}
+
+// handOver returns the transaction with the hand-over from the caller to handover.custodian
+// appended to its custody chain, oldest first.
+function handOver(ctx, transaction, handover) {
+    const MSP = ctx.clientIdentity.getMSPID();
+
+    if (!IN_TRANSIT.includes(currentStatus(transaction))) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Transaction ${transaction.id} is ${currentStatus(transaction)}, custody changes hands only while it is ${IN_TRANSIT.join(' or ')}`);
+    }
+
+    const holder = currentCustodian(transaction);
+    if (holder !== MSP) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Only ${holder} holds the goods of transaction ${transaction.id}`);
+    }
+    if (handover.custodian === MSP) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `${MSP} already holds the goods of transaction ${transaction.id}`);
+    }
+
+    const entry = {
+        custodian: handover.custodian,
+        handedOverBy: MSP,
+        location: handover.location,
+        condition: handover.condition,
+        txId: ctx.stub.getTxID(),
+        timestamp: ctx.stub.getTxTimestamp().array[0],
+    };
+    return Object.assign({}, transaction, { custody: [...(transaction.custody || []), entry] });
+}
+
+// assertHandedToReceiver lets the receiver own the goods only once they reached it. Transfers
+// nobody handed over keep working as before.
+function assertHandedToReceiver(transaction) {
+    const holder = currentCustodian(transaction);
+    if ((transaction.custody || []).length > 0 && holder !== transaction.newOwnerMSP) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Transaction ${transaction.id} is still in the custody of ${holder}`);
+    }
+}
+
+// custodyPath describes the chain from the sender to whoever holds the goods now.
+function custodyPath(transaction) {
+    const holder = currentCustodian(transaction);
+    return {
+        transactionId: transaction.id,
+        status: currentStatus(transaction),
+        ownerMSP: transaction.ownerMSP,
+        newOwnerMSP: transaction.newOwnerMSP,
+        holder,
+        complete: holder === transaction.newOwnerMSP,
+        custody: transaction.custody || [],
+    };
+}
+
+module.exports = {
+    currentCustodian,
+    handOver,
+    assertHandedToReceiver,
+    custodyPath,
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { getAsset } = require('./privateAssets');
+const { AssemblyEvent } = require('./history');
+const { childIds } = require('./assetTree');
+const { TransactionStatus } = require('./transactionStatus');
+const { statusChanges, readAssetRecords } = require('./provenance');
+
+const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld';
+
+// Fields the standard has no place for go under this namespace.
+const EXTENSION_PREFIX = 'sc';
+const EXTENSION_NAMESPACE = 'urn:supplychain:epcis:';
+
+// Asset IDs that already are URIs, such as urn:epc:id:sgtin:... or GS1 Digital Link URIs,
+// are used as they are. Others are put into a URN of their own.
+function assetUri(assetId) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(assetId) ? assetId : `urn:supplychain:asset:${encodeURIComponent(assetId)}`;
+}
+
+function orgUri(MSP) {
+    return `urn:supplychain:org:${encodeURIComponent(MSP)}`;
+}
+
+function transactionUri(transactionId) {
+    return `urn:supplychain:transaction:${encodeURIComponent(transactionId)}`;
+}
+
+function locationUri(location) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(location) ? location : `urn:supplychain:location:${encodeURIComponent(location)}`;
+}
+
+// isLot tells whether the record counts an amount of goods, such as 12.5 kg, rather than one
+// object.
+function isLot(record) {
+    return !!record && record.quantity !== undefined;
+}
+
+// A lot goes into the quantity list of an event under its class, with its unit as the uom.
+function quantityElement(epc, record) {
+    const element = { epcClass: epc, quantity: record.quantity };
+    if (record.unit !== undefined) {
+        element.uom = record.unit;
+    }
+    return element;
+}
+
+// objectsOf names the asset an event is about, counting a lot by the quantity record gives.
+function objectsOf(epc, record) {
+    return isLot(record) ? { quantityList: [quantityElement(epc, record)] } : { epcList: [epc] };
+}
+
+// The ledger keeps seconds in UTC.
+function eventTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString();
+}
+
+function epcisEvent(type, timestamp, txId, fields) {
+    const event = { type, eventTime: eventTime(timestamp), eventTimeZoneOffset: '+00:00' };
+    Object.assign(event, fields);
+    if (txId) {
+        event[`${EXTENSION_PREFIX}:txId`] = txId;
+    }
+    return event;
+}
+
+// The bizStep and disposition of each status change of a transfer. Statuses missing here,
+// such as ACCEPTED, change nothing about the goods themselves.
+const TRANSFER_STEPS = {
+    [TransactionStatus.PENDING]: { type: 'TransactionEvent', action: 'ADD', bizStep: 'reserving', disposition: 'reserved' },
+    [TransactionStatus.TRANSFERRED]: { type: 'ObjectEvent', action: 'OBSERVE', bizStep: 'shipping', disposition: 'in_transit' },
+    [TransactionStatus.OWNED]: { type: 'ObjectEvent', action: 'OBSERVE', bizStep: 'receiving', disposition: 'in_progress' },
+    [TransactionStatus.RETURNED]: { type: 'ObjectEvent', action: 'OBSERVE', bizStep: 'shipping', disposition: 'returned' },
+    [TransactionStatus.RETURN_ACCEPTED]: { type: 'ObjectEvent', action: 'OBSERVE', bizStep: 'receiving', disposition: 'returned' },
+    [TransactionStatus.CANCELLED]: { type: 'TransactionEvent', action: 'DELETE', bizStep: 'void_shipping', disposition: 'active' },
+    [TransactionStatus.REJECTED]: { type: 'TransactionEvent', action: 'DELETE', bizStep: 'void_shipping', disposition: 'active' },
+    [TransactionStatus.EXPIRED]: { type: 'TransactionEvent', action: 'DELETE', bizStep: 'void_shipping', disposition: 'active' },
+};
+
+// Returns go back from the receiver to the sender.
+function parties(transaction, status) {
+    const returning = status === TransactionStatus.RETURNED || status === TransactionStatus.RETURN_ACCEPTED;
+    const from = returning ? transaction.newOwnerMSP : transaction.ownerMSP;
+    const to = returning ? transaction.ownerMSP : transaction.newOwnerMSP;
+    return {
+        sourceList: [{ type: 'owning_party', source: orgUri(from) }],
+        destinationList: [{ type: 'owning_party', destination: orgUri(to) }],
+    };
+}
+
+// transferEvents counts lots by the quantity the transfer moved.
+function transferEvents(transaction, epc, assetId) {
+    const bizTransactionList = [{ bizTransaction: transactionUri(transaction.id) }];
+    const objects = objectsOf(epc, transaction.assetIds.find(asset => asset.assetId === assetId));
+
+    const events = [];
+    for (const change of statusChanges(transaction)) {
+        const step = TRANSFER_STEPS[change.status];
+        if (step) {
+            events.push(epcisEvent(step.type, change.timestamp, change.txId, Object.assign({}, objects, {
+                action: step.action,
+                bizStep: step.bizStep,
+                disposition: step.disposition,
+                bizTransactionList,
+            }, parties(transaction, change.status))));
+        }
+    }
+    for (const entry of transaction.custody || []) {
+        events.push(epcisEvent('ObjectEvent', entry.timestamp, entry.txId, Object.assign({}, objects, {
+            action: 'OBSERVE',
+            bizStep: 'transporting',
+            disposition: 'in_transit',
+            readPoint: { id: locationUri(entry.location) },
+            bizTransactionList,
+        })));
+    }
+    return events;
+}
+
+// aggregationEvent puts the children, each an { epc, record } with the record when known,
+// into or out of the assembly. Lots among them go into the childQuantityList.
+function aggregationEvent(entry, parentId, children) {
+    const assembled = entry.event === AssemblyEvent.ASSEMBLED;
+    const fields = {
+        parentID: assetUri(parentId),
+        childEPCs: children.filter(child => !isLot(child.record)).map(child => child.epc),
+        action: assembled ? 'ADD' : 'DELETE',
+        bizStep: assembled ? 'packing' : 'unpacking',
+        disposition: assembled ? 'in_progress' : 'active',
+    };
+    const lots = children.filter(child => isLot(child.record));
+    if (lots.length > 0) {
+        fields.childQuantityList = lots.map(child => quantityElement(child.epc, child.record));
+    }
+    return epcisEvent('AggregationEvent', entry.timestamp, entry.txId, fields);
+}
+
+// componentEvents reads the assembly of the asset from the records of its current
+// components, which note when they were put into it, one event per transaction. Components
+// that only exist as copies inside the asset count as put in when the asset was created.
+async function componentEvents(ctx, MSP, asset, created) {
+    const byTx = new Map();
+    const copied = [];
+    for (const componentId of childIds(asset)) {
+        const component = await getAsset(ctx, MSP, componentId);
+        const entries = component ? (component.history || []).filter(entry => entry.parentId === asset.assetId) : [];
+        if (entries.length === 0) {
+            copied.push({ epc: assetUri(componentId), record: null });
+        }
+        for (const entry of entries) {
+            const key = `${entry.txId}:${entry.event}`;
+            if (!byTx.has(key)) {
+                byTx.set(key, { entry, children: [] });
+            }
+            byTx.get(key).children.push({ epc: assetUri(componentId), record: component });
+        }
+    }
+
+    const events = Array.from(byTx.values()).map(group => aggregationEvent(group.entry, asset.assetId, group.children));
+    if (copied.length > 0) {
+        events.push(aggregationEvent(Object.assign({}, created, { event: AssemblyEvent.ASSEMBLED }), asset.assetId, copied));
+    }
+    return events;
+}
+
+// buildEpcisDocument turns what the ledger knows of the asset into an EPCIS 2.0 JSON-LD
+// document: its commissioning, the assemblies it went into or is made of, and its transfers.
+async function buildEpcisDocument(ctx, MSP, assetId) {
+    const { transactions, record } = await readAssetRecords(ctx, MSP, assetId);
+    if (!record) {
+        throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${assetId} does not exist`);
+    }
+
+    const epc = assetUri(assetId);
+    const history = record.history || [];
+    // history is newest first
+    const created = history[history.length - 1];
+
+    const events = [];
+    if (created) {
+        events.push(epcisEvent('ObjectEvent', created.timestamp, created.txId, Object.assign({}, objectsOf(epc, record), {
+            action: 'ADD',
+            bizStep: 'commissioning',
+            disposition: 'active',
+        })));
+    }
+    for (const entry of history) {
+        if (entry.parentId && (entry.event === AssemblyEvent.ASSEMBLED || entry.event === AssemblyEvent.DISASSEMBLED)) {
+            events.push(aggregationEvent(entry, entry.parentId, [{ epc, record }]));
+        }
+    }
+    if (created) {
+        events.push(...await componentEvents(ctx, MSP, record, created));
+    }
+    for (const transaction of transactions) {
+        events.push(...transferEvents(transaction, epc, assetId));
+    }
+
+    // within one second, commissioning stays ahead of the packing and shipping that follow it
+    events.sort((a, b) => Date.parse(a.eventTime) - Date.parse(b.eventTime));
+
+    return {
+        '@context': [EPCIS_CONTEXT, { [EXTENSION_PREFIX]: EXTENSION_NAMESPACE }],
+        type: 'EPCISDocument',
+        schemaVersion: '2.0',
+        creationDate: eventTime(ctx.stub.getTxTimestamp().array[0]),
+        epcisBody: { eventList: events },
+    };
+}
+
+module.exports = {
+    assetUri,
+    buildEpcisDocument,
+};
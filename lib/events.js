@@ -0,0 +1,35 @@
+'use strict';
+
+// A Fabric transaction carries a single chaincode event, so each contract function
+// emits at most one of these.
+const EventName = Object.freeze({
+    TRANSACTION_STATUS_CHANGED: 'TransactionStatusChanged',
+    ASSET_RECALLED: 'AssetRecalled',
+    TRANSACTIONS_EXPIRED: 'TransactionsExpired',
+    CUSTODY_HANDED_OVER: 'CustodyHandedOver',
+    DOCUMENT_ATTACHED: 'DocumentAttached',
+});
+
+// emitEvent sets the chaincode event of the current transaction. Payloads must never
+// hold private data, as events end up in the block.
+function emitEvent(ctx, name, payload) {
+    ctx.stub.setEvent(name, Buffer.from(JSON.stringify(payload)));
+}
+
+function emitTransactionStatusChanged(ctx, transaction, previousStatus) {
+    emitEvent(ctx, EventName.TRANSACTION_STATUS_CHANGED, {
+        transactionId: transaction.id,
+        status: transaction.status,
+        previousStatus,
+        ownerMSP: transaction.ownerMSP || null,
+        newOwnerMSP: transaction.newOwnerMSP,
+        txId: ctx.stub.getTxID(),
+        timestamp: ctx.stub.getTxTimestamp().array[0],
+    });
+}
+
+module.exports = {
+    EventName,
+    emitEvent,
+    emitTransactionStatusChanged,
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+// Events recorded in an asset's history next to plain changes of hands.
+const AssemblyEvent = Object.freeze({
+    ASSEMBLED: 'ASSEMBLED',
+    DISASSEMBLED: 'DISASSEMBLED',
+});
+
+// historyEntry records that org handled the asset in the current transaction, along with the
+// MSP of the client that made it happen.
+function historyEntry(ctx, org, fields = {}) {
+    return Object.assign({
+        org,
+        timestamp: ctx.stub.getTxTimestamp().array[0],
+        txId: ctx.stub.getTxID(),
+        msp: ctx.clientIdentity.getMSPID(),
+    }, fields);
+}
+
+// originOf tells which org created the asset: the MSP behind the oldest entry of its history,
+// or its org ID for entries written before the MSP was recorded. Asset IDs are only unique
+// within an org, so it takes the origin and the ID to name one asset across the channel.
+function originOf(asset) {
+    const created = asset.history[asset.history.length - 1];
+    return created.msp || created.org;
+}
+
+module.exports = {
+    AssemblyEvent,
+    historyEntry,
+    originOf,
+};
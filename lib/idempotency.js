@@ -0,0 +1,81 @@
+'use strict';
+
+const crypto = require('crypto');
+const stringify = require('json-stringify-deterministic');
+const { ContractError, ErrorCode } = require('./ContractError');
+
+// Functions that create something, where a client retrying after a timeout would otherwise
+// fail on, or worse overwrite, what its first attempt wrote.
+const IDEMPOTENT_FUNCTIONS = Object.freeze([
+    'CreateAsset',
+    'CreatePrivateAsset',
+    'CreatePrivateAssetTransient',
+    'PushAssets',
+    'PushAssetsTransient',
+    'ImportAssets',
+    'CreatePrivateTransaction',
+    'SplitAsset',
+    'MergeAssets',
+]);
+
+// Results are remembered per org, in the collection every org shares.
+const IDEMPOTENCY_COLLECTION = 'assetCollection';
+const IDEMPOTENCY_OBJECT_TYPE = 'idempotency~org~key';
+
+function resultKey(ctx, key) {
+    return ctx.stub.createCompositeKey(IDEMPOTENCY_OBJECT_TYPE, [ctx.clientIdentity.getMSPID(), key]);
+}
+
+// Clients pass the key in the transient field idempotencyKey, so that every function takes it
+// the same way.
+function readIdempotencyKey(ctx) {
+    const value = ctx.stub.getTransient().get('idempotencyKey');
+    return value && value.length > 0 ? value.toString() : null;
+}
+
+// A key belongs to one request, transient input included, as the *Transient functions and
+// ImportAssets take everything from there. Only the hash is kept, and the client's salt among
+// that input keeps anybody from guessing the rest from it.
+function requestHash(ctx, fn, parameters) {
+    const transient = {};
+    for (const [name, value] of ctx.stub.getTransient()) {
+        if (name !== 'idempotencyKey') {
+            transient[name] = value.toString('base64');
+        }
+    }
+    return crypto.createHash('sha256').update(stringify({ fn, parameters, transient })).digest('hex');
+}
+
+// withIdempotency runs the function once per idempotency key. Later calls with the same key
+// get the result of the first one back without writing anything.
+async function withIdempotency(ctx, fn, parameters, run) {
+    const key = IDEMPOTENT_FUNCTIONS.includes(fn) ? readIdempotencyKey(ctx) : null;
+    if (!key) {
+        return run();
+    }
+
+    const hash = requestHash(ctx, fn, parameters);
+
+    const stored = await ctx.stub.getPrivateData(IDEMPOTENCY_COLLECTION, resultKey(ctx, key));
+    if (stored && stored.length > 0) {
+        const previous = JSON.parse(stored.toString());
+        if (previous.requestHash !== hash) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Idempotency key ${key} was already used for another ${previous.fn} request`);
+        }
+        return previous.result;
+    }
+
+    const result = await run();
+
+    const record = { fn, requestHash: hash, result, txId: ctx.stub.getTxID(), timestamp: ctx.stub.getTxTimestamp().array[0] };
+    await ctx.stub.putPrivateData(IDEMPOTENCY_COLLECTION, resultKey(ctx, key), Buffer.from(JSON.stringify(record)));
+
+    return result;
+}
+
+module.exports = {
+    IDEMPOTENT_FUNCTIONS,
+    IDEMPOTENCY_OBJECT_TYPE,
+    readIdempotencyKey,
+    withIdempotency,
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { historyEntry, originOf } = require('./history');
+
+// A lot records that it was SPLIT or MERGEd from the listed assets, along with their origins,
+// while the asset it was split from records the lots SPLIT_OFF it.
+const LineageOperation = Object.freeze({
+    SPLIT: 'SPLIT',
+    SPLIT_OFF: 'SPLIT_OFF',
+    MERGE: 'MERGE',
+});
+
+// Asset fields that only lots have.
+const LOT_FIELDS = ['quantity', 'unit', 'lineage'];
+
+// lotFields picks the lot fields that are set on source.
+function lotFields(source, names = LOT_FIELDS) {
+    const fields = {};
+    for (const name of names) {
+        if (source[name] !== undefined) {
+            fields[name] = source[name];
+        }
+    }
+    return fields;
+}
+
+// Quantities are decimals such as 12.5 kg. Rounding keeps repeated splits from drifting.
+function roundQuantity(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// withLineage prepends where the asset came from, newest first like its history.
+function withLineage(ctx, asset, operation, assetIds, origins) {
+    const entry = Object.assign({ operation, assetIds }, origins ? { origins } : {}, { txId: ctx.stub.getTxID(), timestamp: ctx.stub.getTxTimestamp().array[0] });
+    return Object.assign({}, asset, { lineage: [entry, ...(asset.lineage || [])] });
+}
+
+// ancestry returns the SPLIT and MERGE entries of the asset's lineage, each with the origins of
+// its assets. Entries written before origins were recorded come from the asset's own origin,
+// which is what a split keeps.
+function ancestry(asset) {
+    return (asset.lineage || [])
+        .filter(entry => entry.operation !== LineageOperation.SPLIT_OFF)
+        .map(entry => entry.origins ? entry : Object.assign({}, entry, { origins: entry.assetIds.map(() => originOf(asset)) }));
+}
+
+// lineageSources lists the { assetId, origin } of every asset the asset was split or merged
+// from, however far back.
+function lineageSources(asset) {
+    return [].concat(...ancestry(asset).map(entry => entry.assetIds.map((assetId, index) => ({ assetId, origin: entry.origins[index] }))));
+}
+
+function requireQuantity(asset) {
+    if (asset.quantity === undefined) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${asset.assetId} has no quantity`);
+    }
+}
+
+// splitLots carves the given { assetId, quantity } lots off an asset. The remainder keeps the
+// asset ID and is null when nothing is left of it.
+function splitLots(ctx, asset, lots) {
+    requireQuantity(asset);
+
+    const taken = roundQuantity(lots.reduce((sum, lot) => sum + lot.quantity, 0));
+    if (taken > asset.quantity) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${asset.assetId} holds ${asset.quantity}, ${taken} cannot be taken from it`);
+    }
+
+    const split = lots.map(lot => withLineage(ctx, Object.assign({}, asset, { assetId: lot.assetId, quantity: lot.quantity }), LineageOperation.SPLIT, [asset.assetId], [originOf(asset)]));
+
+    const left = roundQuantity(asset.quantity - taken);
+    const remainder = left > 0 ? withLineage(ctx, Object.assign({}, asset, { quantity: left }), LineageOperation.SPLIT_OFF, lots.map(lot => lot.assetId)) : null;
+
+    return { remainder, lots: split };
+}
+
+// mergeLots combines lots of the same unit into one asset. Tags come from the first lot. The
+// asset keeps the ancestry of the lots, as they are gone once merged.
+function mergeLots(ctx, assetId, assets) {
+    for (const asset of assets) {
+        requireQuantity(asset);
+        if (asset.unit !== assets[0].unit) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${asset.assetId} is measured in ${asset.unit}, not ${assets[0].unit}`);
+        }
+    }
+
+    const merged = {
+        assetId,
+        tags: assets[0].tags,
+        subAssets: [].concat(...assets.map(asset => asset.subAssets)),
+        history: [historyEntry(ctx, assets[0].history[0].org)],
+        quantity: roundQuantity(assets.reduce((sum, asset) => sum + asset.quantity, 0)),
+        lineage: [].concat(...assets.map(ancestry)),
+    };
+    if (assets[0].unit !== undefined) {
+        merged.unit = assets[0].unit;
+    }
+
+    return withLineage(ctx, merged, LineageOperation.MERGE, assets.map(asset => asset.assetId), assets.map(originOf));
+}
+
+module.exports = {
+    LineageOperation,
+    lotFields,
+    lineageSources,
+    roundQuantity,
+    splitLots,
+    mergeLots,
+};
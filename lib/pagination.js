@@ -0,0 +1,92 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+
+// Appended to a partial composite key to get the end of its range, as the shim does.
+const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
+
+// Timestamps in keys are zero padded so that they sort chronologically.
+function padTimestamp(seconds) {
+    return String(seconds).padStart(12, '0');
+}
+
+// Private data has no paginated range query, so pages are cut here. A bookmark is
+// the opaque, encoded key the next page starts from.
+function encodeBookmark(key) {
+    return Buffer.from(key, 'utf8').toString('base64');
+}
+
+function decodeBookmark(bookmark) {
+    return Buffer.from(bookmark, 'base64').toString('utf8');
+}
+
+// readPrivatePage returns up to pageSize records in [startKey, endKey) that pass filter,
+// plus the bookmark of the next page ('' once the range is exhausted). A pageSize of 0
+// reads the whole range.
+async function readPrivatePage(ctx, collection, startKey, endKey, pageSize, bookmark, filter = () => true) {
+    let fromKey = startKey;
+
+    if (bookmark) {
+        fromKey = decodeBookmark(bookmark);
+        if (fromKey < startKey || fromKey >= endKey) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Bookmark ${bookmark} is outside of the queried range`);
+        }
+    }
+
+    const records = [];
+    let nextBookmark = '';
+
+    const iterator = await ctx.stub.getPrivateDataByRange(collection, fromKey, endKey);
+    let result = await iterator.next();
+    while (!result.done) {
+        if (pageSize > 0 && records.length === pageSize) {
+            nextBookmark = encodeBookmark(result.value.key);
+            break;
+        }
+
+        const record = JSON.parse(result.value.value.toString('utf8'));
+        if (filter(record)) {
+            records.push(record);
+        }
+        result = await iterator.next();
+    }
+    await iterator.close();
+
+    return { records, bookmark: nextBookmark };
+}
+
+// readPrivateQueryPage pages through the result of a rich query on private data, which the
+// peer only returns in one go. Records are ordered by key, so bookmarks work the same way
+// as with readPrivatePage.
+async function readPrivateQueryPage(ctx, collection, query, pageSize, bookmark, filter = () => true) {
+    const fromKey = bookmark ? decodeBookmark(bookmark) : '';
+
+    const matches = [];
+    const iterator = await ctx.stub.getPrivateDataQueryResult(collection, query);
+    let result = await iterator.next();
+    while (!result.done) {
+        const record = JSON.parse(result.value.value.toString('utf8'));
+        if (result.value.key >= fromKey && filter(record)) {
+            matches.push({ key: result.value.key, record });
+        }
+        result = await iterator.next();
+    }
+    await iterator.close();
+
+    // keys are unique, so no two matches compare equal
+    matches.sort((a, b) => (a.key < b.key ? -1 : 1));
+
+    const page = pageSize > 0 ? matches.slice(0, pageSize) : matches;
+    const nextBookmark = page.length < matches.length ? encodeBookmark(matches[page.length].key) : '';
+
+    return { records: page.map(match => match.record), bookmark: nextBookmark };
+}
+
+module.exports = {
+    MAX_UNICODE_RUNE_VALUE,
+    padTimestamp,
+    encodeBookmark,
+    decodeBookmark,
+    readPrivatePage,
+    readPrivateQueryPage,
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+
+// Roles come from the role attribute of the client certificate, e.g. role=warehouse. A
+// certificate may carry several, separated by commas.
+const Role = Object.freeze({
+    ADMIN: 'admin',
+    WAREHOUSE: 'warehouse',
+    APPROVER: 'approver',
+    AUDITOR: 'auditor',
+});
+
+const ROLE_ATTRIBUTE = 'role';
+
+const ANYONE = Object.values(Role);
+const HANDLERS = [Role.WAREHOUSE, Role.ADMIN];
+const APPROVERS = [Role.APPROVER, Role.ADMIN];
+const ADMINS = [Role.ADMIN];
+
+// The roles allowed to call each contract function. A function missing here can't be called.
+const PERMISSIONS = Object.freeze({
+    InitLedger: ADMINS,
+    MigrateLegacyRecords: ADMINS,
+    VerifyClientMatchesPeer: ANYONE,
+    ReadAsset: ANYONE,
+    CreateAsset: HANDLERS,
+    UpdateAsset: HANDLERS,
+    TransferAsset: HANDLERS,
+    DeleteAsset: HANDLERS,
+    AssetExists: ANYONE,
+    GetAllAssets: ANYONE,
+    QueryAssets: ANYONE,
+    GetAssetProvenance: ANYONE,
+    ExportAssetEpcis: ANYONE,
+    LogIt: ADMINS,
+    ReadLogs: ANYONE,
+    QueryLogs: ANYONE,
+    CreatePrivateAsset: HANDLERS,
+    CreatePrivateAssetTransient: HANDLERS,
+    PushAssets: HANDLERS,
+    PushAssetsTransient: HANDLERS,
+    ImportAssets: HANDLERS,
+    PullAssets: HANDLERS,
+    UpdatePrivateAsset: HANDLERS,
+    UpdatePrivateAssetTransient: HANDLERS,
+    RemovePrivateAsset: HANDLERS,
+    SplitAsset: HANDLERS,
+    MergeAssets: HANDLERS,
+    AssembleAsset: HANDLERS,
+    DisassembleAsset: HANDLERS,
+    CreatePrivateTransaction: HANDLERS,
+    RecallAsset: APPROVERS,
+    AcceptTransaction: APPROVERS,
+    RejectTransaction: APPROVERS,
+    TransferNow: APPROVERS,
+    CancelTransaction: APPROVERS,
+    ReturnTransaction: APPROVERS,
+    OwnAsset: HANDLERS,
+    GetBackAssets: HANDLERS,
+    AcceptReturnTransaction: HANDLERS,
+    DeleteTransaction: [Role.WAREHOUSE, Role.APPROVER, Role.ADMIN],
+    ExpireTransactions: [Role.WAREHOUSE, Role.APPROVER, Role.ADMIN],
+    SimulateTransaction: [Role.WAREHOUSE, Role.APPROVER, Role.ADMIN],
+    HandOverCustody: HANDLERS,
+    SetConditionLimits: HANDLERS,
+    RecordConditionReadings: HANDLERS,
+    ReadConditions: ANYONE,
+    AttachDocument: [Role.WAREHOUSE, Role.APPROVER, Role.ADMIN],
+    VerifyDocument: ANYONE,
+    ReadPrivateAssets: ANYONE,
+    ReadPrivateAsset: ANYONE,
+    QueryPrivateAssets: ANYONE,
+    ReadAssetTree: ANYONE,
+    VerifyPrivateAsset: ANYONE,
+    ReadTransactions: ANYONE,
+    ReadIncomingTransactions: ANYONE,
+    ReadOutgoingTransactions: ANYONE,
+    ReadTransactionPrivateDetails: ANYONE,
+    ReadCustodyChain: ANYONE,
+});
+
+function clientRoles(ctx) {
+    const value = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+    return value ? value.split(',').map(role => role.trim()).filter(role => role) : [];
+}
+
+// assertPermitted throws NOT_AUTHORIZED unless one of the client's roles may call fn.
+function assertPermitted(ctx, fn) {
+    const allowed = PERMISSIONS[fn];
+    if (!allowed) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `${fn} is not open to any role`);
+    }
+
+    const roles = clientRoles(ctx);
+    if (roles.length === 0) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `${fn} needs one of the roles ${allowed.join(', ')}, but the client certificate has no ${ROLE_ATTRIBUTE} attribute`);
+    }
+    if (!roles.some(role => allowed.includes(role))) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `${fn} needs one of the roles ${allowed.join(', ')}, but the client has ${roles.join(', ')}`);
+    }
+}
+
+module.exports = {
+    Role,
+    ROLE_ATTRIBUTE,
+    PERMISSIONS,
+    clientRoles,
+    assertPermitted,
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { Asset } = require('./Asset');
+
+// Each asset lives under its own composite key in the org collection, so
+// transactions touching different assets of one org never conflict.
+const ASSET_OBJECT_TYPE = 'asset~org~assetId';
+
+function orgCollection(MSP) {
+    return `${MSP}PrivateCollection`;
+}
+
+function assetKey(ctx, MSP, assetId) {
+    return ctx.stub.createCompositeKey(ASSET_OBJECT_TYPE, [MSP, assetId]);
+}
+
+// getAsset returns the asset record, or null when the org doesn't hold it.
+async function getAsset(ctx, MSP, assetId) {
+    return Asset.fromBytes(await ctx.stub.getPrivateData(orgCollection(MSP), assetKey(ctx, MSP, assetId)));
+}
+
+// requireAsset is getAsset for callers that cannot continue without the asset.
+async function requireAsset(ctx, MSP, assetId) {
+    const asset = await getAsset(ctx, MSP, assetId);
+    if (!asset) {
+        throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${assetId} does not exist`);
+    }
+    return asset;
+}
+
+// assertNewAssetIds makes sure none of the IDs is taken or given twice, apart from the
+// ones in reusable, which the caller is about to free up.
+async function assertNewAssetIds(ctx, MSP, assetIds, reusable = []) {
+    const seen = new Set();
+    for (const assetId of assetIds) {
+        if (seen.has(assetId)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${assetId} is given more than once`);
+        }
+        seen.add(assetId);
+        if (!reusable.includes(assetId) && await getAsset(ctx, MSP, assetId)) {
+            throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Asset ${assetId} already exists`);
+        }
+    }
+}
+
+async function putAsset(ctx, MSP, asset) {
+    await ctx.stub.putPrivateData(orgCollection(MSP), assetKey(ctx, MSP, asset.assetId), Asset.from(asset).serialize());
+}
+
+async function deleteAsset(ctx, MSP, assetId) {
+    await ctx.stub.deletePrivateData(orgCollection(MSP), assetKey(ctx, MSP, assetId));
+}
+
+// getAssets returns every asset record the org holds.
+async function getAssets(ctx, MSP) {
+    const assets = [];
+    const iterator = await ctx.stub.getPrivateDataByPartialCompositeKey(orgCollection(MSP), ASSET_OBJECT_TYPE, [MSP]);
+    let result = await iterator.next();
+    while (!result.done) {
+        assets.push(Asset.fromBytes(result.value.value));
+        result = await iterator.next();
+    }
+    await iterator.close();
+    return assets;
+}
+
+// Before each asset had a key of its own, an org's assets were stored under their plain IDs
+// and listed in the key assets.
+const LEGACY_ASSET_LIST = 'assets';
+
+// migrateLegacyAssets moves the org's assets stored the old way to their own keys. It returns
+// the IDs it moved and those of the old records it left where they are, as an asset created
+// since holds their key. Those stay listed, so that a later run moves them once the key is free.
+async function migrateLegacyAssets(ctx, MSP) {
+    const list = await ctx.stub.getPrivateData(orgCollection(MSP), LEGACY_ASSET_LIST);
+    if (!list || list.length === 0) {
+        return { migrated: [], conflicts: [] };
+    }
+
+    const migrated = [];
+    const conflicts = [];
+    for (const assetId of JSON.parse(list.toString())) {
+        const legacy = Asset.fromBytes(await ctx.stub.getPrivateData(orgCollection(MSP), assetId));
+        if (!legacy) {
+            continue;
+        }
+        if (await getAsset(ctx, MSP, assetId)) {
+            conflicts.push(assetId);
+            continue;
+        }
+        await putAsset(ctx, MSP, legacy);
+        await ctx.stub.deletePrivateData(orgCollection(MSP), assetId);
+        migrated.push(assetId);
+    }
+
+    if (conflicts.length > 0) {
+        await ctx.stub.putPrivateData(orgCollection(MSP), LEGACY_ASSET_LIST, Buffer.from(JSON.stringify(conflicts)));
+    } else {
+        await ctx.stub.deletePrivateData(orgCollection(MSP), LEGACY_ASSET_LIST);
+    }
+
+    return { migrated, conflicts };
+}
+
+module.exports = {
+    ASSET_OBJECT_TYPE,
+    orgCollection,
+    assetKey,
+    getAsset,
+    requireAsset,
+    assertNewAssetIds,
+    putAsset,
+    deleteAsset,
+    getAssets,
+    migrateLegacyAssets,
+};
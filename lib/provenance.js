@@ -0,0 +1,172 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { Asset } = require('./Asset');
+const { getAsset } = require('./privateAssets');
+const { publicAssetKey } = require('./publicAssets');
+const { originOf } = require('./history');
+const { TransactionStatus } = require('./transactionStatus');
+const { readTransactionsOfAsset } = require('./transactionIndex');
+
+// Key history carries protobuf timestamps, whose seconds may come as a Long.
+function toSeconds(timestamp) {
+    if (!timestamp) {
+        return 0;
+    }
+    const seconds = timestamp.seconds;
+    if (seconds && typeof seconds === 'object') {
+        return typeof seconds.toNumber === 'function' ? seconds.toNumber() : seconds.low;
+    }
+    return Number(seconds) || 0;
+}
+
+// writerOf tells the MSP behind a write of the public copy. A transfer names it in the history
+// entry it adds, while every other write is made by the owner. Copies written before they had
+// an owner don't tell.
+function writerOf(record, txId) {
+    if (record.history[0].txId === txId) {
+        return record.history[0].msp;
+    }
+    return record.owner ? record.owner.msp : null;
+}
+
+// keyEvents lists every write and delete of one world state key of the asset.
+async function keyEvents(ctx, key) {
+    const events = [];
+    const iterator = await ctx.stub.getHistoryForKey(key);
+    let result = await iterator.next();
+    while (!result.done) {
+        const modification = result.value;
+        const record = modification.isDelete ? null : Asset.fromBytes(modification.value);
+        const event = {
+            source: 'public',
+            action: modification.isDelete ? 'DELETED' : 'WRITTEN',
+            txId: modification.txId,
+            timestamp: toSeconds(modification.timestamp),
+            msp: record ? writerOf(record, modification.txId) : null,
+            isDelete: !!modification.isDelete,
+        };
+        if (record) {
+            event.record = record;
+        }
+        events.push(event);
+        result = await iterator.next();
+    }
+    await iterator.close();
+    return events;
+}
+
+// publicEvents lists every write and delete of the world state copy of the asset, including
+// those made under the plain ID before public assets were keyed by their origin.
+async function publicEvents(ctx, origin, assetId) {
+    const events = [];
+    for (const key of [assetId, publicAssetKey(ctx, origin, assetId)]) {
+        events.push(...await keyEvents(ctx, key));
+    }
+    return events;
+}
+
+// privateEvents turns the history and lineage of a private record into events. Entries
+// written before they carried a txId and an MSP report null for both.
+function privateEvents(record) {
+    const events = (record.history || []).map(entry => {
+        const event = { source: 'private', action: entry.event || 'HANDLED', txId: entry.txId || null, timestamp: entry.timestamp, msp: entry.msp || null, org: entry.org };
+        if (entry.parentId) {
+            event.parentId = entry.parentId;
+        }
+        return event;
+    });
+    for (const entry of record.lineage || []) {
+        events.push({ source: 'lineage', action: entry.operation, txId: entry.txId, timestamp: entry.timestamp, msp: null, assetIds: entry.assetIds });
+    }
+    return events;
+}
+
+// statusChanges reads the status changes of a transaction. Transactions stored before they
+// kept a statusHistory only tell when they were created and closed, but not by whom.
+function statusChanges(transaction) {
+    if (transaction.statusHistory && transaction.statusHistory.length > 0) {
+        return transaction.statusHistory;
+    }
+
+    const changes = [{ status: TransactionStatus.PENDING, msp: transaction.ownerMSP || null, txId: null, timestamp: transaction.created }];
+    const closed = { cancelledAt: TransactionStatus.CANCELLED, rejectedAt: TransactionStatus.REJECTED, returnedAt: TransactionStatus.RETURNED };
+    for (const field of Object.keys(closed)) {
+        if (transaction[field] > 0) {
+            changes.push({ status: closed[field], msp: null, txId: null, timestamp: transaction[field] });
+        }
+    }
+    return changes;
+}
+
+function transferEvents(transaction) {
+    const parties = { transactionId: transaction.id, ownerMSP: transaction.ownerMSP || null, newOwnerMSP: transaction.newOwnerMSP };
+
+    const events = statusChanges(transaction).map(change => Object.assign({ source: 'transfer', action: change.status, txId: change.txId, timestamp: change.timestamp, msp: change.msp }, parties));
+    for (const entry of transaction.custody || []) {
+        events.push(Object.assign({ source: 'custody', action: 'HANDED_OVER', txId: entry.txId, timestamp: entry.timestamp, msp: entry.handedOverBy, custodian: entry.custodian, location: entry.location, condition: entry.condition }, parties));
+    }
+    return events;
+}
+
+// tookPart tells whether the caller sent, carried or received the goods of a transfer.
+// Transfers stored before they named their sender may have been the caller's.
+function tookPart(MSP, transaction) {
+    return !transaction.ownerMSP || transaction.ownerMSP === MSP || transaction.newOwnerMSP === MSP ||
+        (transaction.custody || []).some(entry => entry.custodian === MSP);
+}
+
+// Copies written before assets kept a history don't tell their origin.
+function copyOrigin(asset) {
+    return asset.history && asset.history.length > 0 ? originOf(asset) : null;
+}
+
+// readAssetRecords returns the private record of the asset the caller means by the ID, its own
+// or, once the asset left, the copy held by the latest transfer it took part in, and the
+// transfers of that asset, oldest first, along with its origin. Other orgs' assets of the
+// same ID are left out.
+async function readAssetRecords(ctx, MSP, assetId) {
+    const transactions = (await readTransactionsOfAsset(ctx, assetId)).sort((a, b) => a.created - b.created);
+    const copyOf = transaction => transaction.assetIds.find(asset => asset.assetId === assetId);
+
+    const takenPart = transactions.filter(transaction => tookPart(MSP, transaction));
+    const record = await getAsset(ctx, MSP, assetId) || (takenPart.length > 0 ? copyOf(takenPart[takenPart.length - 1]) : null);
+    if (!record) {
+        return { origin: null, transactions: [], record: null };
+    }
+
+    const origin = copyOrigin(record);
+    return { origin, transactions: transactions.filter(transaction => copyOrigin(copyOf(transaction)) === origin), record };
+}
+
+// buildProvenance merges what the ledger knows of the asset into one chronological list:
+// its public key history, the history of the private record, and the transfers it was part
+// of.
+async function buildProvenance(ctx, MSP, assetId) {
+    const { origin, transactions, record } = await readAssetRecords(ctx, MSP, assetId);
+
+    // without a record of its origin, the caller can only mean a copy it published itself
+    const events = await publicEvents(ctx, origin || MSP, assetId);
+    if (record) {
+        events.push(...privateEvents(record));
+    }
+    for (const transaction of transactions) {
+        events.push(...transferEvents(transaction));
+    }
+
+    if (events.length === 0) {
+        throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `Asset ${assetId} has no provenance`);
+    }
+
+    // sort is stable, so events of one second keep the order they were gathered in
+    events.sort((a, b) => a.timestamp - b.timestamp);
+
+    return { assetId, events };
+}
+
+module.exports = {
+    toSeconds,
+    statusChanges,
+    readAssetRecords,
+    buildProvenance,
+};
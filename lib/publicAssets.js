@@ -0,0 +1,105 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { Asset } = require('./Asset');
+const { orgCollection, getAsset } = require('./privateAssets');
+const { historyEntry, originOf } = require('./history');
+
+// Public assets live in the world state under the origin and ID that name them across the
+// channel. Each one mirrors a private record of the org that owns it, and publishes only the
+// tags its owner chose to share.
+const PUBLIC_ASSET_OBJECT_TYPE = 'publicAsset~origin~assetId';
+
+function publicAssetKey(ctx, origin, assetId) {
+    return ctx.stub.createCompositeKey(PUBLIC_ASSET_OBJECT_TYPE, [origin, assetId]);
+}
+
+// clientOwner identifies the calling client: its org and its certificate.
+function clientOwner(ctx) {
+    return { msp: ctx.clientIdentity.getMSPID(), id: ctx.clientIdentity.getID() };
+}
+
+// privateRecordOf links to the record an org holds of the asset.
+function privateRecordOf(MSP, assetId) {
+    return { collection: orgCollection(MSP), assetId };
+}
+
+// publicOrigin tells which public asset the caller means by the ID: the one of the origin
+// given, else the one mirroring the private asset of that ID it holds, else its own org's.
+async function publicOrigin(ctx, assetId, origin) {
+    if (origin) {
+        return origin;
+    }
+    const MSP = ctx.clientIdentity.getMSPID();
+    const held = await getAsset(ctx, MSP, assetId);
+    return held ? originOf(held) : MSP;
+}
+
+async function publicAssetExists(ctx, origin, assetId) {
+    const bytes = await ctx.stub.getState(publicAssetKey(ctx, origin, assetId));
+    return !!bytes && bytes.length > 0;
+}
+
+// getPublicAsset returns the world state copy of the asset, or null when there is none. Copies
+// written under the plain ID before public assets were keyed by their origin are still read.
+// They have no owner, so they can't be changed.
+async function getPublicAsset(ctx, origin, assetId) {
+    const asset = Asset.fromBytes(await ctx.stub.getState(publicAssetKey(ctx, origin, assetId)));
+    return asset || Asset.fromBytes(await ctx.stub.getState(assetId));
+}
+
+async function requirePublicAsset(ctx, origin, assetId) {
+    const asset = await getPublicAsset(ctx, origin, assetId);
+    if (!asset) {
+        throw new ContractError(ErrorCode.ASSET_NOT_FOUND, `The asset ${assetId} does not exist`);
+    }
+    return asset;
+}
+
+async function putPublicAsset(ctx, origin, asset) {
+    await ctx.stub.putState(publicAssetKey(ctx, origin, asset.assetId), Asset.publish(asset).serialize());
+}
+
+// handOverPublicCopy moves the public copy of an asset along with its private record, once
+// the org it went to owns it. Copies the other org doesn't own, such as ones handed on
+// between clients, and assets that were never published stay as they are.
+async function handOverPublicCopy(ctx, asset, fromMSP, toMSP) {
+    const origin = originOf(asset);
+    const published = await getPublicAsset(ctx, origin, asset.assetId);
+    if (!published || !published.owner || published.owner.msp !== fromMSP) {
+        return;
+    }
+
+    published.owner = { msp: toMSP };
+    published.privateRecord = privateRecordOf(toMSP, asset.assetId);
+    published.history = [historyEntry(ctx, toMSP), ...published.history];
+
+    await putPublicAsset(ctx, origin, published);
+}
+
+// assertOwner lets only the owner change a public asset. An owner recorded without a client
+// is any client of its org, which is how assets arrive after a transfer to another org.
+function assertOwner(ctx, asset) {
+    const caller = clientOwner(ctx);
+    const owner = asset.owner;
+    if (!owner) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Asset ${asset.assetId} has no recorded owner and cannot be changed`);
+    }
+    if (owner.msp !== caller.msp || (owner.id && owner.id !== caller.id)) {
+        throw new ContractError(ErrorCode.NOT_AUTHORIZED, `Only the owner of asset ${asset.assetId} can change it`);
+    }
+}
+
+module.exports = {
+    PUBLIC_ASSET_OBJECT_TYPE,
+    publicAssetKey,
+    clientOwner,
+    privateRecordOf,
+    publicOrigin,
+    publicAssetExists,
+    getPublicAsset,
+    requirePublicAsset,
+    putPublicAsset,
+    handOverPublicCopy,
+    assertOwner,
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { getAssets } = require('./privateAssets');
+const { originOf } = require('./history');
+const { LineageOperation, lineageSources } = require('./lots');
+const { TransactionStatus, currentStatus } = require('./transactionStatus');
+const { readTransactionsOfAsset } = require('./transactionIndex');
+
+// Recall notices go to the collection every org shares, so that whoever ends up holding an
+// affected item is stopped from passing it on. They are keyed by the origin of the asset too,
+// as another org may have an asset of the same ID.
+const RECALL_COLLECTION = 'assetCollection';
+const RECALL_OBJECT_TYPE = 'recall~origin~assetId';
+
+function recallKey(ctx, origin, assetId) {
+    return ctx.stub.createCompositeKey(RECALL_OBJECT_TYPE, [origin, assetId]);
+}
+
+// getRecall returns the recall notice covering the asset, or null when it isn't recalled.
+async function getRecall(ctx, origin, assetId) {
+    const buffer = await ctx.stub.getPrivateData(RECALL_COLLECTION, recallKey(ctx, origin, assetId));
+    if (!buffer || buffer.length === 0) {
+        return null;
+    }
+    return JSON.parse(buffer.toString());
+}
+
+// assertNotRecalled refuses an asset that is recalled or was split or merged from one that is.
+async function assertNotRecalled(ctx, asset) {
+    for (const source of [{ assetId: asset.assetId, origin: originOf(asset) }, ...lineageSources(asset)]) {
+        const recall = await getRecall(ctx, source.origin, source.assetId);
+        if (recall) {
+            throw new ContractError(ErrorCode.INVALID_STATE, `Asset ${asset.assetId} is covered by the recall of ${recall.assetId}: ${recall.reason}`);
+        }
+    }
+}
+
+async function putRecall(ctx, origin, assetId, notice) {
+    await ctx.stub.putPrivateData(RECALL_COLLECTION, recallKey(ctx, origin, assetId), Buffer.from(JSON.stringify(notice)));
+}
+
+// holderOf tells which org has the assets of a transaction after it.
+function holderOf(transaction) {
+    switch (currentStatus(transaction)) {
+    case TransactionStatus.OWNED:
+    case TransactionStatus.PENDING:
+    case TransactionStatus.ACCEPTED:
+    case TransactionStatus.TRANSFERRED:
+        return transaction.newOwnerMSP;
+    default:
+        return transaction.ownerMSP;
+    }
+}
+
+// reachedReceiver tells whether the receiver ever owned the assets of a transaction.
+function reachedReceiver(transaction) {
+    return [TransactionStatus.OWNED, TransactionStatus.RETURNED, TransactionStatus.RETURN_ACCEPTED].includes(currentStatus(transaction)) || transaction.returnedAt > 0;
+}
+
+function derivedFrom(asset, assetId, origin) {
+    return lineageSources(asset).some(source => source.assetId === assetId && source.origin === origin);
+}
+
+// recalledOrigin tells which asset of the ID the caller means: the one it holds, the one a lot
+// it holds was split or merged from, or else the one it last sent or had. It is null when the
+// caller never held an asset of that ID.
+async function recalledOrigin(ctx, MSP, assetId, own) {
+    const held = own.find(asset => asset.assetId === assetId);
+    if (held) {
+        return originOf(held);
+    }
+    for (const asset of own) {
+        const source = lineageSources(asset).find(source => source.assetId === assetId);
+        if (source) {
+            return source.origin;
+        }
+    }
+    const transactions = (await readTransactionsOfAsset(ctx, assetId))
+        .filter(transaction => transaction.ownerMSP === MSP || holderOf(transaction) === MSP)
+        .sort((a, b) => b.created - a.created);
+    return transactions.length > 0 ? originOf(transactions[0].assetIds.find(asset => asset.assetId === assetId)) : null;
+}
+
+// traceRecall follows the asset through transfers, the lots split off it, the lots and merges
+// the caller made of it and the assemblies it went into, as far as the caller's own records
+// and the transaction records tell. The orgs are those holding affected items, with items in
+// transit held by their receiver, and those that owned them before. It returns null when the
+// caller never held the asset.
+async function traceRecall(ctx, MSP, assetId) {
+    const own = await getAssets(ctx, MSP);
+    const origin = await recalledOrigin(ctx, MSP, assetId, own);
+    if (origin === null) {
+        return null;
+    }
+
+    const affected = [{ assetId, origin }];
+    const assemblies = [];
+    const transfers = [];
+    const holders = {};
+
+    const addAffected = (nextId, nextOrigin) => {
+        if (!affected.some(item => item.assetId === nextId && item.origin === nextOrigin)) {
+            affected.push({ assetId: nextId, origin: nextOrigin });
+        }
+    };
+
+    for (let index = 0; index < affected.length; index++) {
+        const item = affected[index];
+        // each record along with the records it was kept with, to find its assembly among
+        const records = [];
+
+        const transactions = (await readTransactionsOfAsset(ctx, item.assetId)).sort((a, b) => a.created - b.created);
+        for (const transaction of transactions) {
+            const record = transaction.assetIds.find(asset => asset.assetId === item.assetId);
+            if (originOf(record) !== item.origin) {
+                continue;
+            }
+            transfers.push({ transactionId: transaction.id, assetId: item.assetId, ownerMSP: transaction.ownerMSP, newOwnerMSP: transaction.newOwnerMSP, status: currentStatus(transaction), reached: reachedReceiver(transaction) });
+            records.push({ record, keptWith: transaction.assetIds });
+            holders[item.assetId] = holderOf(transaction);
+        }
+
+        const held = own.find(asset => asset.assetId === item.assetId && originOf(asset) === item.origin);
+        if (held) {
+            records.push({ record: held, keptWith: own });
+            holders[item.assetId] = MSP;
+        }
+
+        for (const asset of own.filter(asset => derivedFrom(asset, item.assetId, item.origin))) {
+            addAffected(asset.assetId, originOf(asset));
+        }
+
+        for (const { record, keptWith } of records) {
+            // lots split off share the origin of the asset they came from
+            (record.lineage || [])
+                .filter(entry => entry.operation === LineageOperation.SPLIT_OFF)
+                .forEach(entry => entry.assetIds.forEach(lotId => addAffected(lotId, item.origin)));
+            if (record.parentId) {
+                const parent = keptWith.find(asset => asset.assetId === record.parentId);
+                // a pushed component may name an assembly that isn't among the records
+                addAffected(record.parentId, parent ? originOf(parent) : item.origin);
+                if (!assemblies.includes(record.parentId)) {
+                    assemblies.push(record.parentId);
+                }
+            }
+        }
+    }
+
+    const orgs = [];
+    for (const item of affected) {
+        if (holders[item.assetId] && !orgs.includes(holders[item.assetId])) {
+            orgs.push(holders[item.assetId]);
+        }
+    }
+    for (const transfer of transfers) {
+        if (transfer.reached && !orgs.includes(transfer.newOwnerMSP)) {
+            orgs.push(transfer.newOwnerMSP);
+        }
+    }
+
+    return { origin, affected, affectedAssets: affected.map(item => item.assetId), assemblies, orgs, holders, transfers };
+}
+
+module.exports = {
+    RECALL_COLLECTION,
+    RECALL_OBJECT_TYPE,
+    getRecall,
+    assertNotRecalled,
+    putRecall,
+    traceRecall,
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { assertValid } = require('./schema');
+
+// success builds the envelope every contract function answers with. Warnings, when
+// there are any, tell the client about something it should change on its side.
+function success(details, warnings = []) {
+    const response = { message: 'Done', details };
+    if (warnings.length) {
+        response.warnings = warnings;
+    }
+    return JSON.stringify(response);
+}
+
+// deprecation is the warning of a function kept only for clients that haven't moved on yet.
+function deprecation(name, replacement) {
+    return `${name} with positional arguments puts private data into the proposal and is deprecated, use ${replacement} with the transient map instead`;
+}
+
+// parseArgument parses a JSON argument, failing with INVALID_ARGUMENT instead of a SyntaxError.
+// Given a schema name, the parsed value must also match that schema.
+function parseArgument(value, name, schemaName) {
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Argument ${name} is not valid JSON: ${error.message}`);
+    }
+    return schemaName ? assertValid(parsed, schemaName, name) : parsed;
+}
+
+// readTransient parses a JSON field of the transient map. Unlike arguments, the
+// transient map is neither part of the proposal nor written to the block.
+function readTransient(ctx, name, schemaName) {
+    const value = ctx.stub.getTransient().get(name);
+    if (!value || value.length === 0) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Transient field ${name} is required`);
+    }
+    return parseArgument(value.toString(), name, schemaName);
+}
+
+module.exports = {
+    success,
+    deprecation,
+    parseArgument,
+    readTransient,
+};
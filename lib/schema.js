@@ -0,0 +1,354 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { TransactionStatus } = require('./transactionStatus');
+const { LineageOperation } = require('./lots');
+const { AssemblyEvent } = require('./history');
+
+const id = { type: 'string', minLength: 1 };
+const timestamp = { type: 'integer' };
+const quantity = { type: 'number', exclusiveMinimum: 0 };
+const schemaVersion = { type: 'integer' };
+
+// Schemas of everything written to the ledger and of the JSON arguments that feed it.
+// A string in place of a schema refers to another entry of this table.
+const Schemas = {
+    tag: {
+        type: 'object',
+        properties: {
+            key: Object.assign({ required: true }, id),
+            value: { type: ['string', 'number', 'boolean'], required: true },
+        },
+    },
+    historyEntry: {
+        type: 'object',
+        properties: {
+            org: Object.assign({ required: true }, id),
+            timestamp: Object.assign({ required: true }, timestamp),
+            txId: id,
+            msp: id,
+            event: { type: 'string', enum: Object.values(AssemblyEvent) },
+            parentId: id,
+        },
+    },
+    // A component is linked by its ID. Assets saved before the links existed hold a copy of it.
+    subAsset: {
+        type: ['string', 'object'],
+        minLength: 1,
+        properties: {
+            assetId: Object.assign({ required: true }, id),
+        },
+    },
+    asset: {
+        type: 'object',
+        properties: {
+            schemaVersion,
+            docType: id,
+            assetId: Object.assign({ required: true }, id),
+            tags: { type: 'array', items: 'tag', required: true },
+            subAssets: { type: 'array', items: 'subAsset', required: true },
+            parentId: id,
+            history: { type: 'array', items: 'historyEntry', minItems: 1, required: true },
+            salt: { type: 'string' },
+            quantity,
+            unit: id,
+            lineage: { type: 'array', items: 'lineageEntry' },
+            owner: 'owner',
+            privateRecord: 'privateRecord',
+            attachments: { type: 'array', items: 'attachment' },
+        },
+    },
+    // The client that owns a public asset. Without an id, any client of the org does.
+    owner: {
+        type: 'object',
+        properties: {
+            msp: Object.assign({ required: true }, id),
+            id,
+        },
+    },
+    privateRecord: {
+        type: 'object',
+        properties: {
+            collection: Object.assign({ required: true }, id),
+            assetId: Object.assign({ required: true }, id),
+        },
+    },
+    lineageEntry: {
+        type: 'object',
+        properties: {
+            operation: { type: 'string', enum: Object.values(LineageOperation), required: true },
+            assetIds: { type: 'array', items: id, minItems: 1, required: true },
+            origins: { type: 'array', items: id },
+            txId: Object.assign({ required: true }, id),
+            timestamp: Object.assign({ required: true }, timestamp),
+        },
+    },
+    transaction: {
+        type: 'object',
+        properties: {
+            schemaVersion,
+            id: Object.assign({ required: true }, id),
+            status: { type: 'string', enum: Object.values(TransactionStatus), required: true },
+            ownerMSP: id,
+            newOwnerMSP: Object.assign({ required: true }, id),
+            ownerOrgId: Object.assign({ required: true }, id),
+            newOwnerOrgId: Object.assign({ required: true }, id),
+            assetIds: { type: 'array', items: 'asset', minItems: 1, required: true },
+            created: Object.assign({ required: true }, timestamp),
+            cancelledAt: timestamp,
+            rejectedAt: timestamp,
+            returnedAt: timestamp,
+            expiredAt: timestamp,
+            reason: { type: 'string' },
+            acceptBy: timestamp,
+            transferBy: timestamp,
+            custody: { type: 'array', items: 'custodyEntry' },
+            statusHistory: { type: 'array', items: 'statusChange' },
+            attachments: { type: 'array', items: 'attachment' },
+        },
+    },
+    // Written by every change of a transaction's status since the field exists.
+    statusChange: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: Object.values(TransactionStatus), required: true },
+            msp: Object.assign({ required: true }, id),
+            txId: Object.assign({ required: true }, id),
+            timestamp: Object.assign({ required: true }, timestamp),
+        },
+    },
+    custodyEntry: {
+        type: 'object',
+        properties: {
+            custodian: Object.assign({ required: true }, id),
+            handedOverBy: Object.assign({ required: true }, id),
+            location: Object.assign({ required: true }, id),
+            condition: { type: 'string', required: true },
+            txId: Object.assign({ required: true }, id),
+            timestamp: Object.assign({ required: true }, timestamp),
+        },
+    },
+    handover: {
+        type: 'object',
+        properties: {
+            custodian: Object.assign({ required: true }, id),
+            location: Object.assign({ required: true }, id),
+            condition: { type: 'string', required: true },
+        },
+    },
+    conditionRange: {
+        type: 'object',
+        properties: {
+            min: { type: 'number' },
+            max: { type: 'number' },
+        },
+    },
+    // Allowed ranges of what sensors measure, each of them optional.
+    conditionLimits: {
+        type: 'object',
+        properties: {
+            temperature: 'conditionRange',
+            humidity: 'conditionRange',
+            shock: 'conditionRange',
+        },
+    },
+    conditionReading: {
+        type: 'object',
+        properties: {
+            deviceId: Object.assign({ required: true }, id),
+            timestamp: Object.assign({ required: true }, timestamp),
+            temperature: { type: 'number' },
+            humidity: { type: 'number' },
+            shock: { type: 'number' },
+        },
+    },
+    conditionReadings: { type: 'array', items: 'conditionReading', minItems: 1 },
+    // Assets in an entry are records, or their IDs when the records would say too much.
+    activityEntry: {
+        type: 'object',
+        properties: {
+            schemaVersion,
+            initiated: Object.assign({ required: true }, id),
+            org: id,
+            description: { type: 'string', required: true },
+            action: Object.assign({ required: true }, id),
+            assets: { type: 'array' },
+            timestamp: Object.assign({ required: true }, timestamp),
+            txId: Object.assign({ required: true }, id),
+        },
+    },
+    parameters: { type: 'array', items: { type: 'string' } },
+    assetQuery: {
+        type: 'object',
+        properties: {
+            tags: { type: 'array', items: 'tag' },
+            org: id,
+            from: timestamp,
+            to: timestamp,
+        },
+    },
+    deadlines: {
+        type: 'object',
+        properties: {
+            acceptBy: timestamp,
+            transferBy: timestamp,
+        },
+    },
+    assetInput: {
+        type: 'object',
+        properties: {
+            orgId: Object.assign({ required: true }, id),
+            assetId: Object.assign({ required: true }, id),
+            tags: { type: 'array', items: 'tag', required: true },
+            subAssetIds: { type: 'array', items: id },
+            quantity,
+            unit: id,
+        },
+    },
+    // A document kept off the ledger, known by the hash of its content.
+    document: {
+        type: 'object',
+        properties: {
+            type: Object.assign({ required: true }, id),
+            hash: Object.assign({ required: true }, id),
+            filename: Object.assign({ required: true }, id),
+            uri: Object.assign({ required: true }, id),
+        },
+    },
+    attachment: {
+        type: 'object',
+        properties: {
+            type: Object.assign({ required: true }, id),
+            hash: Object.assign({ required: true }, id),
+            filename: Object.assign({ required: true }, id),
+            uri: Object.assign({ required: true }, id),
+            issuerMSP: Object.assign({ required: true }, id),
+            txId: Object.assign({ required: true }, id),
+            timestamp: Object.assign({ required: true }, timestamp),
+        },
+    },
+    // A row of a bulk import, which makes an asset without components.
+    importRow: {
+        type: 'object',
+        properties: {
+            assetId: Object.assign({ required: true }, id),
+            tags: { type: 'array', items: 'tag' },
+            quantity,
+            unit: id,
+        },
+    },
+    assetUpdate: {
+        type: 'object',
+        properties: {
+            assetId: Object.assign({ required: true }, id),
+            tags: { type: 'array', items: 'tag', required: true },
+            subAssetIds: { type: 'array', items: id },
+        },
+    },
+    lot: {
+        type: 'object',
+        properties: {
+            assetId: Object.assign({ required: true }, id),
+            quantity: Object.assign({ required: true }, quantity),
+        },
+    },
+    // An item of a transfer is either a whole asset ID or part of a lot, which is split
+    // off under lotId.
+    transferItem: {
+        type: ['string', 'object'],
+        minLength: 1,
+        properties: {
+            assetId: Object.assign({ required: true }, id),
+            quantity,
+            lotId: id,
+        },
+    },
+    lots: { type: 'array', items: 'lot', minItems: 1 },
+    transferItems: { type: 'array', items: 'transferItem' },
+    tags: { type: 'array', items: 'tag' },
+    ids: { type: 'array', items: id },
+    assets: { type: 'array', items: 'asset' },
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object',
+};
+
+function hasType(value, type) {
+    switch (type) {
+    case 'integer':
+        return Number.isInteger(value);
+    case 'array':
+        return Array.isArray(value);
+    case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+        return typeof value === type;
+    }
+}
+
+// validate lists one message per field of value that doesn't match the schema.
+function validate(value, schema, path) {
+    if (typeof schema === 'string') {
+        schema = Schemas[schema];
+    }
+
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+        return [`${path} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`];
+    }
+
+    const errors = [];
+
+    if (schema.minLength && typeof value === 'string' && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validate(item, schema.items, `${path}[${index}]`));
+        });
+    }
+    if (schema.properties && hasType(value, 'object')) {
+        for (const name of Object.keys(schema.properties)) {
+            const property = schema.properties[name];
+            if (value[name] === undefined) {
+                if (property.required) {
+                    errors.push(`${path}.${name} is required`);
+                }
+                continue;
+            }
+            errors.push(...validate(value[name], property, `${path}.${name}`));
+        }
+    }
+
+    return errors;
+}
+
+// assertValid throws INVALID_ARGUMENT naming every failing field, with paths rooted at path.
+function assertValid(value, schemaName, path = schemaName) {
+    const errors = validate(value, schemaName, path);
+    if (errors.length) {
+        throw new ContractError(ErrorCode.INVALID_ARGUMENT, `Validation failed: ${errors.join('; ')}`);
+    }
+    return value;
+}
+
+module.exports = {
+    Schemas,
+    validate,
+    assertValid,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const { ContractError } = require('./ContractError');
+const { TRANSACTION_INDEX_TYPE, ASSET_INDEX_TYPE } = require('./transactionIndex');
+
+// Functions a clerk may try out before submitting them.
+const SIMULATED_FUNCTIONS = Object.freeze(['CreatePrivateTransaction', 'PullAssets', 'ReturnTransaction']);
+
+// Keys that only exist to find records by, as opposed to the records themselves.
+const INDEX_TYPES = [TRANSACTION_INDEX_TYPE, ASSET_INDEX_TYPE];
+
+function decodeValue(value) {
+    const text = Buffer.from(value).toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// describeChange spells out a write. Composite keys are split into their object type and
+// attributes, as their raw form is unreadable.
+function describeChange(stub, action, collection, key, value) {
+    const change = { action, collection, key, objectType: null, attributes: [] };
+    if (key.startsWith('\u0000')) {
+        const { objectType, attributes } = stub.splitCompositeKey(key);
+        change.objectType = objectType;
+        change.attributes = attributes;
+    }
+    if (value !== undefined) {
+        change.value = decodeValue(value);
+    }
+    return change;
+}
+
+// recordingStub reads through to the ledger like the real invocation would, but only notes
+// down the writes and the event instead of making them.
+function recordingStub(stub, changes, events) {
+    const recording = Object.create(stub);
+    recording.putState = async (key, value) => {
+        changes.push(describeChange(stub, 'PUT', null, key, value));
+    };
+    recording.deleteState = async (key) => {
+        changes.push(describeChange(stub, 'DELETE', null, key));
+    };
+    recording.putPrivateData = async (collection, key, value) => {
+        changes.push(describeChange(stub, 'PUT', collection, key, value));
+    };
+    recording.deletePrivateData = async (collection, key) => {
+        changes.push(describeChange(stub, 'DELETE', collection, key));
+    };
+    recording.setEvent = (name, payload) => {
+        events.push({ name, payload: decodeValue(payload) });
+    };
+    return recording;
+}
+
+// simulate runs a contract function against a recording copy of the context and returns its
+// change plan. A function that would fail writes nothing, so its plan only holds the error.
+async function simulate(ctx, fn, parameters, run) {
+    const changes = [];
+    const events = [];
+
+    const simulated = Object.create(ctx);
+    simulated.stub = recordingStub(ctx.stub, changes, events);
+
+    const plan = { fn, parameters, valid: true, error: null, result: null, changes: [], indexChanges: [], event: null };
+    try {
+        plan.result = JSON.parse(await run(simulated));
+    } catch (error) {
+        if (!(error instanceof ContractError)) {
+            throw error;
+        }
+        return Object.assign(plan, { valid: false, error: { code: error.code, details: error.details } });
+    }
+
+    // a Fabric transaction carries only the last event set
+    return Object.assign(plan, {
+        changes,
+        indexChanges: changes.filter(change => INDEX_TYPES.includes(change.objectType)),
+        event: events.length > 0 ? events[events.length - 1] : null,
+    });
+}
+
+module.exports = {
+    SIMULATED_FUNCTIONS,
+    simulate,
+};
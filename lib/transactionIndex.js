@@ -0,0 +1,250 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+const { MAX_UNICODE_RUNE_VALUE, padTimestamp, readPrivatePage } = require('./pagination');
+const { currentStatus } = require('./transactionStatus');
+const { Transaction } = require('./Transaction');
+const { emitTransactionStatusChanged } = require('./events');
+
+const TRANSACTION_COLLECTION = 'assetCollection';
+const TRANSACTION_INDEX_TYPE = 'transaction~msp~direction~status~created~txId';
+const ASSET_INDEX_TYPE = 'transaction~assetId~txId';
+
+// Before transactions were indexed, they were listed as { id, created } in the key
+// transactions.
+const LEGACY_TRANSACTION_LIST = 'transactions';
+
+// The activity log was a list in the key activity back then, and the entry a transaction was
+// created with is the only record of the MSP that sent it.
+const LEGACY_ACTIVITY_LIST = 'activity';
+const LEGACY_INITIATE_ACTION = 'INITIATE TRANSACTION';
+
+const Direction = Object.freeze({
+    INCOMING: 'incoming',
+    OUTGOING: 'outgoing',
+});
+
+// The index value is a summary, so listing transactions needs no read of the records.
+function summarize(transaction) {
+    return {
+        id: transaction.id,
+        status: currentStatus(transaction),
+        created: transaction.created,
+        ownerMSP: transaction.ownerMSP,
+        newOwnerMSP: transaction.newOwnerMSP,
+        ownerOrgId: transaction.ownerOrgId,
+        newOwnerOrgId: transaction.newOwnerOrgId,
+        assetIds: transaction.assetIds.map(asset => asset.assetId),
+    };
+}
+
+function indexKey(ctx, msp, direction, transaction) {
+    return ctx.stub.createCompositeKey(TRANSACTION_INDEX_TYPE, [msp, direction, currentStatus(transaction), padTimestamp(transaction.created), transaction.id]);
+}
+
+// indexKeys lists the entry of the receiver and, once recorded, of the owner.
+function indexKeys(ctx, transaction) {
+    const keys = [indexKey(ctx, transaction.newOwnerMSP, Direction.INCOMING, transaction)];
+    if (transaction.ownerMSP) {
+        keys.push(indexKey(ctx, transaction.ownerMSP, Direction.OUTGOING, transaction));
+    }
+    return keys;
+}
+
+// getTransaction returns the transaction record, or null when it doesn't exist.
+async function getTransaction(ctx, transactionId) {
+    return Transaction.fromBytes(await ctx.stub.getPrivateData(TRANSACTION_COLLECTION, transactionId));
+}
+
+// requireTransaction is getTransaction for callers that cannot continue without it.
+async function requireTransaction(ctx, transactionId) {
+    const transaction = await getTransaction(ctx, transactionId);
+    if (!transaction) {
+        throw new ContractError(ErrorCode.TRANSACTION_NOT_FOUND, `Transaction ${transactionId} doesn't exist`);
+    }
+    return transaction;
+}
+
+// putTransaction writes the record, moves its index entries to the current status and
+// tells listeners about the new status. Each change of status is added to its statusHistory.
+async function putTransaction(ctx, transaction) {
+    const stored = await getTransaction(ctx, transaction.id);
+
+    const previousStatus = stored ? currentStatus(stored) : null;
+    let statusHistory = transaction.statusHistory || [];
+    if (previousStatus !== currentStatus(transaction)) {
+        statusHistory = [...statusHistory, { status: currentStatus(transaction), msp: ctx.clientIdentity.getMSPID(), txId: ctx.stub.getTxID(), timestamp: ctx.stub.getTxTimestamp().array[0] }];
+    }
+
+    const record = new Transaction(Object.assign({}, transaction, { statusHistory })).serialize();
+
+    if (stored) {
+        for (const key of indexKeys(ctx, stored)) {
+            await ctx.stub.deletePrivateData(TRANSACTION_COLLECTION, key);
+        }
+    }
+
+    await ctx.stub.putPrivateData(TRANSACTION_COLLECTION, transaction.id, record);
+
+    const summary = Buffer.from(JSON.stringify(summarize(transaction)));
+    for (const key of indexKeys(ctx, transaction)) {
+        await ctx.stub.putPrivateData(TRANSACTION_COLLECTION, key, summary);
+    }
+
+    // the assets of a transaction never change, so they are indexed once
+    if (!stored) {
+        for (const asset of transaction.assetIds) {
+            await ctx.stub.putPrivateData(TRANSACTION_COLLECTION, ctx.stub.createCompositeKey(ASSET_INDEX_TYPE, [asset.assetId, transaction.id]), Buffer.from(transaction.id));
+        }
+    }
+
+    emitTransactionStatusChanged(ctx, transaction, previousStatus);
+}
+
+// A legacy transaction and the activity it was created with share the time of the chaincode
+// transaction and the assets taken.
+function initiationKey(timestamp, assets) {
+    return `${timestamp}:${assets.map(asset => asset.assetId).sort().join(',')}`;
+}
+
+// legacySenders maps the initiations in the legacy activity list to the MSP that initiated
+// them. Initiations two MSPs share the key of name no sender.
+async function legacySenders(ctx) {
+    const senders = new Map();
+    const list = await ctx.stub.getPrivateData(TRANSACTION_COLLECTION, LEGACY_ACTIVITY_LIST);
+    if (!list || list.length === 0) {
+        return senders;
+    }
+
+    for (const activity of JSON.parse(list.toString())) {
+        if (activity.action === LEGACY_INITIATE_ACTION) {
+            const key = initiationKey(activity.timestamp, activity.assets);
+            senders.set(key, senders.has(key) && senders.get(key) !== activity.initiated ? null : activity.initiated);
+        }
+    }
+    return senders;
+}
+
+// migrateLegacyTransactions adds the transactions listed the old way to the listings and to
+// the transactions of their assets. Records without the sender's MSP get the one the legacy
+// activity list names. It returns the IDs migrated and those whose sender stays unknown,
+// which only the receiver can act on.
+async function migrateLegacyTransactions(ctx) {
+    const list = await ctx.stub.getPrivateData(TRANSACTION_COLLECTION, LEGACY_TRANSACTION_LIST);
+    if (!list || list.length === 0) {
+        return { migrated: [], withoutSender: [] };
+    }
+
+    const senders = await legacySenders(ctx);
+    const migrated = [];
+    const withoutSender = [];
+    for (const entry of JSON.parse(list.toString())) {
+        let transaction = await getTransaction(ctx, entry.id);
+        if (transaction && !transaction.ownerMSP) {
+            const ownerMSP = senders.get(initiationKey(transaction.created, transaction.assetIds));
+            if (ownerMSP) {
+                transaction = new Transaction(Object.assign({}, transaction, { ownerMSP }));
+                await ctx.stub.putPrivateData(TRANSACTION_COLLECTION, transaction.id, transaction.serialize());
+            } else {
+                withoutSender.push(transaction.id);
+            }
+        }
+        if (transaction) {
+            const summary = Buffer.from(JSON.stringify(summarize(transaction)));
+            for (const key of indexKeys(ctx, transaction)) {
+                await ctx.stub.putPrivateData(TRANSACTION_COLLECTION, key, summary);
+            }
+            for (const asset of transaction.assetIds) {
+                await ctx.stub.putPrivateData(TRANSACTION_COLLECTION, ctx.stub.createCompositeKey(ASSET_INDEX_TYPE, [asset.assetId, transaction.id]), Buffer.from(transaction.id));
+            }
+            migrated.push(transaction.id);
+        }
+    }
+    await ctx.stub.deletePrivateData(TRANSACTION_COLLECTION, LEGACY_TRANSACTION_LIST);
+
+    return { migrated, withoutSender };
+}
+
+// removeFromIndex drops the transaction from one org's listing without touching the record.
+async function removeFromIndex(ctx, msp, transaction) {
+    if (transaction.newOwnerMSP === msp) {
+        await ctx.stub.deletePrivateData(TRANSACTION_COLLECTION, indexKey(ctx, msp, Direction.INCOMING, transaction));
+    }
+    if (transaction.ownerMSP === msp) {
+        await ctx.stub.deletePrivateData(TRANSACTION_COLLECTION, indexKey(ctx, msp, Direction.OUTGOING, transaction));
+    }
+}
+
+// readTransactionsOfAsset returns every transaction that moved the asset, of any org.
+async function readTransactionsOfAsset(ctx, assetId) {
+    const transactions = [];
+    const iterator = await ctx.stub.getPrivateDataByPartialCompositeKey(TRANSACTION_COLLECTION, ASSET_INDEX_TYPE, [assetId]);
+    let result = await iterator.next();
+    while (!result.done) {
+        const transaction = await getTransaction(ctx, result.value.value.toString('utf8'));
+        if (transaction) {
+            transactions.push(transaction);
+        }
+        result = await iterator.next();
+    }
+    await iterator.close();
+    return transactions;
+}
+
+function inWindow(summary, filters) {
+    if (filters.from !== undefined && summary.created < filters.from) {
+        return false;
+    }
+    if (filters.to !== undefined && summary.created > filters.to) {
+        return false;
+    }
+    return true;
+}
+
+// readTransactionPage pages through one org's incoming or outgoing transactions.
+// Supported filters are status and a from/to window on the created time, both inclusive.
+async function readTransactionPage(ctx, msp, direction, pageSize, bookmark, filters = {}) {
+    const prefix = filters.status ? [msp, direction, filters.status] : [msp, direction];
+
+    let startKey = ctx.stub.createCompositeKey(TRANSACTION_INDEX_TYPE, prefix);
+    let endKey = startKey + MAX_UNICODE_RUNE_VALUE;
+
+    // within one status the keys are ordered by time, so the window becomes the range
+    if (filters.status && filters.from !== undefined) {
+        startKey = ctx.stub.createCompositeKey(TRANSACTION_INDEX_TYPE, [...prefix, padTimestamp(filters.from)]);
+    }
+    if (filters.status && filters.to !== undefined) {
+        endKey = ctx.stub.createCompositeKey(TRANSACTION_INDEX_TYPE, [...prefix, padTimestamp(filters.to + 1)]);
+    }
+
+    const page = await readPrivatePage(ctx, TRANSACTION_COLLECTION, startKey, endKey, pageSize, bookmark, summary => inWindow(summary, filters));
+
+    return { transactions: page.records, bookmark: page.bookmark };
+}
+
+// countByStatus counts one org's incoming or outgoing transactions per status.
+async function countByStatus(ctx, msp, direction, filters = {}) {
+    const startKey = ctx.stub.createCompositeKey(TRANSACTION_INDEX_TYPE, [msp, direction]);
+    const page = await readPrivatePage(ctx, TRANSACTION_COLLECTION, startKey, startKey + MAX_UNICODE_RUNE_VALUE, 0, '', summary => inWindow(summary, filters));
+
+    const counts = {};
+    for (const summary of page.records) {
+        counts[summary.status] = (counts[summary.status] || 0) + 1;
+    }
+    return counts;
+}
+
+module.exports = {
+    TRANSACTION_COLLECTION,
+    TRANSACTION_INDEX_TYPE,
+    ASSET_INDEX_TYPE,
+    Direction,
+    getTransaction,
+    requireTransaction,
+    putTransaction,
+    removeFromIndex,
+    migrateLegacyTransactions,
+    readTransactionPage,
+    readTransactionsOfAsset,
+    countByStatus,
+};
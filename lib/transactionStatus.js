@@ -0,0 +1,99 @@
+'use strict';
+
+const { ContractError, ErrorCode } = require('./ContractError');
+
+const TransactionStatus = Object.freeze({
+    PENDING: 'PENDING',
+    ACCEPTED: 'ACCEPTED',
+    TRANSFERRED: 'TRANSFERRED',
+    OWNED: 'OWNED',
+    CANCELLED: 'CANCELLED',
+    REJECTED: 'REJECTED',
+    RETURNED: 'RETURNED',
+    RETURN_ACCEPTED: 'RETURN_ACCEPTED',
+    GOT_BACK: 'GOT_BACK',
+    EXPIRED: 'EXPIRED',
+});
+
+// Every legal move of a transfer. A status missing from the table is final.
+const TRANSITIONS = Object.freeze({
+    [TransactionStatus.PENDING]: [TransactionStatus.ACCEPTED, TransactionStatus.CANCELLED, TransactionStatus.REJECTED, TransactionStatus.EXPIRED],
+    [TransactionStatus.ACCEPTED]: [TransactionStatus.TRANSFERRED, TransactionStatus.CANCELLED, TransactionStatus.REJECTED, TransactionStatus.EXPIRED],
+    [TransactionStatus.TRANSFERRED]: [TransactionStatus.OWNED, TransactionStatus.REJECTED, TransactionStatus.EXPIRED],
+    [TransactionStatus.OWNED]: [TransactionStatus.RETURNED],
+    [TransactionStatus.REJECTED]: [TransactionStatus.GOT_BACK],
+    [TransactionStatus.RETURNED]: [TransactionStatus.RETURN_ACCEPTED, TransactionStatus.GOT_BACK],
+});
+
+// Transactions written before the status field existed only carry the old flags.
+function legacyStatus(transaction) {
+    if (transaction.isGotBack) {
+        return TransactionStatus.GOT_BACK;
+    }
+    if (transaction.isReturned) {
+        return TransactionStatus.RETURNED;
+    }
+    if (transaction.isRejected) {
+        return TransactionStatus.REJECTED;
+    }
+    if (transaction.isCancelled) {
+        return TransactionStatus.CANCELLED;
+    }
+    if (transaction.isOwnershipChanged) {
+        return TransactionStatus.OWNED;
+    }
+    if (transaction.isCurrentOwnerApproved) {
+        return TransactionStatus.TRANSFERRED;
+    }
+    if (transaction.isNewOwnerAccepted) {
+        return TransactionStatus.ACCEPTED;
+    }
+    return TransactionStatus.PENDING;
+}
+
+function currentStatus(transaction) {
+    return transaction.status || legacyStatus(transaction);
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// assertTransition throws when the transaction cannot move to the given status.
+function assertTransition(transaction, to) {
+    const from = currentStatus(transaction);
+    if (!canTransition(from, to)) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Transaction ${transaction.id} cannot move from ${from} to ${to}`);
+    }
+}
+
+// missedDeadline returns the deadline the transaction has passed by now, or null. acceptBy
+// is the last moment to accept, transferBy the last moment for the assets to be owned.
+function missedDeadline(transaction, now) {
+    const status = currentStatus(transaction);
+    if (status === TransactionStatus.PENDING && transaction.acceptBy && now > transaction.acceptBy) {
+        return transaction.acceptBy;
+    }
+    if (canTransition(status, TransactionStatus.EXPIRED) && transaction.transferBy && now > transaction.transferBy) {
+        return transaction.transferBy;
+    }
+    return null;
+}
+
+// assertNotExpired throws when the transaction has passed one of its deadlines.
+function assertNotExpired(transaction, now) {
+    const deadline = missedDeadline(transaction, now);
+    if (deadline !== null) {
+        throw new ContractError(ErrorCode.INVALID_STATE, `Transaction ${transaction.id} expired at ${deadline}`);
+    }
+}
+
+module.exports = {
+    TransactionStatus,
+    TRANSITIONS,
+    currentStatus,
+    canTransition,
+    assertTransition,
+    missedDeadline,
+    assertNotExpired,
+};
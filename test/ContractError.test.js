@@ -0,0 +1,48 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const { ContractError, ErrorCode } = require('../lib/ContractError.js');
+const { success, parseArgument } = require('../lib/response.js');
+
+describe('Contract Error Tests', () => {
+    describe('Test ContractError', () => {
+        it('should carry the error envelope in its message', () => {
+            const error = new ContractError(ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+
+            expect(error.code).to.equal(ErrorCode.ASSET_NOT_FOUND);
+            expect(JSON.parse(error.message)).to.eql({ message: 'Error', code: 'ASSET_NOT_FOUND', details: 'Asset asset1 does not exist' });
+        });
+
+        it('should wrap other errors as internal errors', () => {
+            const error = ContractError.from(new Error('boom'));
+
+            expect(error).to.be.an.instanceof(ContractError);
+            expect(error.code).to.equal(ErrorCode.INTERNAL_ERROR);
+            expect(error.details).to.equal('boom');
+        });
+
+        it('should keep contract errors as they are', () => {
+            const error = new ContractError(ErrorCode.INVALID_STATE, 'nope');
+
+            expect(ContractError.from(error)).to.equal(error);
+        });
+    });
+
+    describe('Test response helpers', () => {
+        it('should wrap results in the success envelope', () => {
+            expect(JSON.parse(success(['asset1']))).to.eql({ message: 'Done', details: ['asset1'] });
+        });
+
+        it('should reject arguments that are not JSON', () => {
+            try {
+                parseArgument('[asset1', 'assetIds');
+            } catch (err) {
+                expect(err.code).to.equal(ErrorCode.INVALID_ARGUMENT);
+                expect(err.details).to.match(/^Argument assetIds is not valid JSON/);
+                return;
+            }
+            expect.fail('expected parseArgument to throw');
+        });
+    });
+});
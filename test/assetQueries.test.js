@@ -0,0 +1,49 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const { createdAt, createdInWindow, buildPublicAssetQuery, buildPrivateAssetQuery } = require('../lib/assetQueries.js');
+
+describe('Asset Query Tests', () => {
+    const asset = { assetId: 'asset1', history: [{ org: 'org2', timestamp: 300 }, { org: 'org1', timestamp: 100 }] };
+
+    describe('Test buildAssetQuery', () => {
+        it('should only select assets without filters', () => {
+            expect(JSON.parse(buildPublicAssetQuery({}))).to.eql({
+                selector: { $and: [{ docType: 'asset' }] },
+                use_index: ['_design/indexAssetDoc', 'indexAsset'],
+            });
+        });
+
+        it('should combine every filter', () => {
+            const query = JSON.parse(buildPrivateAssetQuery({ tags: [{ key: 'color', value: 'blue' }], org: 'org1', from: 100, to: 200 }));
+
+            expect(query.selector.$and).to.eql([
+                { assetId: { $gt: null } },
+                { tags: { $elemMatch: { key: 'color', value: 'blue' } } },
+                { history: { $elemMatch: { org: 'org1' } } },
+                { history: { $elemMatch: { timestamp: { $gte: 100, $lte: 200 } } } },
+            ]);
+            expect(query.use_index).to.eql(['_design/indexPrivateAssetDoc', 'indexPrivateAsset']);
+        });
+
+        it('should leave the window open at the start without from', () => {
+            const query = JSON.parse(buildPublicAssetQuery({ to: 200 }));
+
+            expect(query.selector.$and[1]).to.eql({ history: { $elemMatch: { timestamp: { $lte: 200 } } } });
+        });
+    });
+
+    describe('Test createdInWindow', () => {
+        it('should take the oldest history entry as the creation time', () => {
+            expect(createdAt(asset)).to.equal(100);
+            expect(createdInWindow(asset, { from: 100, to: 100 })).to.equal(true);
+            expect(createdInWindow(asset, { from: 200 })).to.equal(false);
+            expect(createdInWindow(asset, {})).to.equal(true);
+        });
+
+        it('should leave out assets without history when a window is given', () => {
+            expect(createdInWindow({ assetId: 'asset1' }, { to: 100 })).to.equal(false);
+        });
+    });
+});
@@ -19,12 +19,41 @@ let assert = sinon.assert;
 chai.use(sinonChai);
 
 describe('Asset Transfer Basic Tests', () => {
-    let transactionContext, chaincodeStub, asset;
+    let transactionContext, chaincodeStub, clientId, mspId, asset;
+
+    function useClient(msp, id) {
+        mspId = msp;
+        clientId = id;
+    }
+
+    // createPrivate stores the private record a public asset has to mirror.
+    async function createPrivate(assetTransfer, assetId) {
+        await assetTransfer.CreatePrivateAsset(transactionContext, 'org1', assetId, JSON.stringify([{ key: 'color', value: 'blue' }]), '[]');
+    }
+
+    // public assets are keyed by the org that created them and their ID
+    function publicKey(assetId, origin = 'Org1MSP') {
+        return ChaincodeStub.prototype.createCompositeKey('publicAsset~origin~assetId', [origin, assetId]);
+    }
+
+    async function createAsset(assetTransfer, assetId, tags) {
+        await createPrivate(assetTransfer, assetId);
+        await assetTransfer.CreateAsset(transactionContext, assetId, JSON.stringify(tags));
+    }
+
     beforeEach(() => {
         transactionContext = new Context();
 
         chaincodeStub = sinon.createStubInstance(ChaincodeStub);
         transactionContext.setChaincodeStub(chaincodeStub);
+        transactionContext.setClientIdentity({ getMSPID: () => mspId, getID: () => clientId });
+        useClient('Org1MSP', 'x509::CN=Tomoko');
+
+        chaincodeStub.createCompositeKey.callsFake(ChaincodeStub.prototype.createCompositeKey);
+        chaincodeStub.getTxTimestamp.returns({ seconds: { low: 1700000000 }, nanos: 0, array: [1700000000, 0] });
+        chaincodeStub.getTxID.returns('tx1');
+        // commitments of new private assets need a salt of the client's own
+        chaincodeStub.getTransient.returns(new Map([['salt', Buffer.from('client-salt')]]));
 
         chaincodeStub.putState.callsFake((key, value) => {
             if (!chaincodeStub.states) {
@@ -48,6 +77,12 @@ describe('Asset Transfer Basic Tests', () => {
             return Promise.resolve(key);
         });
 
+        chaincodeStub.privateStates = {};
+        chaincodeStub.putPrivateData.callsFake(async (collection, key, value) => {
+            chaincodeStub.privateStates[`${collection}/${key}`] = value;
+        });
+        chaincodeStub.getPrivateData.callsFake(async (collection, key) => chaincodeStub.privateStates[`${collection}/${key}`]);
+
         chaincodeStub.getStateByRange.callsFake(async () => {
             function* internalGetStateByRange() {
                 if (chaincodeStub.states) {
@@ -55,7 +90,10 @@ describe('Asset Transfer Basic Tests', () => {
                     const copied = Object.assign({}, chaincodeStub.states);
 
                     for (let key in copied) {
-                        yield {value: copied[key]};
+                        // composite keys, such as those of commitments, are left out of ranges
+                        if (!key.startsWith('\u0000')) {
+                            yield {value: copied[key]};
+                        }
                     }
                 }
             }
@@ -63,129 +101,226 @@ describe('Asset Transfer Basic Tests', () => {
             return Promise.resolve(internalGetStateByRange());
         });
 
+        chaincodeStub.getStateByPartialCompositeKey.callsFake(async (objectType, attributes) => {
+            const prefix = ChaincodeStub.prototype.createCompositeKey(objectType, attributes);
+            const keys = Object.keys(chaincodeStub.states || {}).filter(key => key.startsWith(prefix)).sort();
+            function* internalGetStateByPartialCompositeKey() {
+                for (const key of keys) {
+                    yield { value: chaincodeStub.states[key] };
+                }
+            }
+
+            return internalGetStateByPartialCompositeKey();
+        });
+
         asset = {
-            ID: 'asset1',
-            Color: 'blue',
-            Size: 5,
-            Owner: 'Tomoko',
-            AppraisedValue: 300,
+            schemaVersion: 1,
+            docType: 'asset',
+            assetId: 'asset1',
+            tags: [{ key: 'color', value: 'blue' }, { key: 'size', value: 5 }],
+            subAssets: [],
+            history: [{ org: 'Org1MSP', timestamp: 1700000000, txId: 'tx1', msp: 'Org1MSP' }],
+            owner: { msp: 'Org1MSP', id: 'x509::CN=Tomoko' },
+            privateRecord: { collection: 'Org1MSPPrivateCollection', assetId: 'asset1' },
         };
     });
 
     describe('Test InitLedger', () => {
-        it('should return error on InitLedger', async () => {
-            chaincodeStub.putState.rejects('failed inserting key');
+        it('should return success on InitLedger', async () => {
             let assetTransfer = new AssetTransfer();
-            try {
-                await assetTransfer.InitLedger(transactionContext);
-                assert.fail('InitLedger should have failed');
-            } catch (err) {
-                expect(err.name).to.equal('failed inserting key');
-            }
+            // public assets mirror private records, so there is nothing to seed them from
+            const ret = JSON.parse(await assetTransfer.InitLedger(transactionContext));
+            expect(ret.details).to.equal('Ledger initialized');
+            expect(chaincodeStub.states).to.equal(undefined);
         });
+    });
 
-        it('should return success on InitLedger', async () => {
+    describe('Test VerifyClientMatchesPeer', () => {
+        it('should return the MSP of a client of the peer\'s org', async () => {
+            let assetTransfer = new AssetTransfer();
+            chaincodeStub.getMspID.returns('Org1MSP');
+
+            const ret = JSON.parse(await assetTransfer.VerifyClientMatchesPeer(transactionContext));
+            expect(ret.details).to.equal('Org1MSP');
+        });
+
+        it('should return error for a client of another org', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.InitLedger(transactionContext);
-            let ret = JSON.parse((await chaincodeStub.getState('asset1')).toString());
-            expect(ret).to.eql(Object.assign({docType: 'asset'}, asset));
+            chaincodeStub.getMspID.returns('Org2MSP');
+            try {
+                await assetTransfer.VerifyClientMatchesPeer(transactionContext);
+                assert.fail('VerifyClientMatchesPeer should have failed');
+            } catch (err) {
+                expect(err.details).to.equal('Client from org Org1MSP has no privilege to handle private data from org Org2MSP peer');
+            }
         });
     });
 
     describe('Test CreateAsset', () => {
         it('should return error on CreateAsset', async () => {
-            chaincodeStub.putState.rejects('failed inserting key');
+            let assetTransfer = new AssetTransfer();
+            try {
+                await assetTransfer.CreateAsset(transactionContext, asset.assetId, JSON.stringify(asset.tags));
+                assert.fail('CreateAsset should have failed');
+            } catch(err) {
+                expect(err.details).to.equal('Asset asset1 does not exist');
+            }
+        });
 
+        it('should return error on CreateAsset when the write fails', async () => {
             let assetTransfer = new AssetTransfer();
+            await createPrivate(assetTransfer, asset.assetId);
+            chaincodeStub.putState.rejects('failed inserting key');
             try {
-                await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+                await assetTransfer.CreateAsset(transactionContext, asset.assetId, '[]');
                 assert.fail('CreateAsset should have failed');
             } catch(err) {
                 expect(err.name).to.equal('failed inserting key');
             }
         });
 
+        it('should return error on CreateAsset for an existing asset', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+            try {
+                await assetTransfer.CreateAsset(transactionContext, asset.assetId, '[]');
+                assert.fail('CreateAsset should have failed');
+            } catch(err) {
+                expect(err.details).to.equal('The asset asset1 already exists');
+            }
+        });
+
         it('should return success on CreateAsset', async () => {
             let assetTransfer = new AssetTransfer();
 
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
-            let ret = JSON.parse((await chaincodeStub.getState(asset.ID)).toString());
+            let ret = JSON.parse((await chaincodeStub.getState(publicKey(asset.assetId))).toString());
             expect(ret).to.eql(asset);
         });
+
+        it('should publish an asset without tags', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createPrivate(assetTransfer, asset.assetId);
+
+            await assetTransfer.CreateAsset(transactionContext, asset.assetId);
+            let ret = JSON.parse((await chaincodeStub.getState(publicKey(asset.assetId))).toString());
+            expect(ret.tags).to.eql([]);
+        });
+    });
+
+    describe('Test AssetExists', () => {
+        it('should tell whether the asset is published', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+
+            expect(JSON.parse(await assetTransfer.AssetExists(transactionContext, 'asset1')).details).to.equal(true);
+            expect(JSON.parse(await assetTransfer.AssetExists(transactionContext, 'asset2')).details).to.equal(false);
+        });
     });
 
     describe('Test ReadAsset', () => {
         it('should return error on ReadAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
             try {
                 await assetTransfer.ReadAsset(transactionContext, 'asset2');
                 assert.fail('ReadAsset should have failed');
             } catch (err) {
-                expect(err.message).to.equal('The asset asset2 does not exist');
+                expect(err.details).to.equal('The asset asset2 does not exist');
             }
         });
 
         it('should return success on ReadAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
-            let ret = JSON.parse(await chaincodeStub.getState(asset.ID));
-            expect(ret).to.eql(asset);
+            let ret = JSON.parse(await assetTransfer.ReadAsset(transactionContext, asset.assetId));
+            expect(ret.details).to.eql(asset);
         });
     });
 
     describe('Test UpdateAsset', () => {
         it('should return error on UpdateAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
             try {
-                await assetTransfer.UpdateAsset(transactionContext, 'asset2', 'orange', 10, 'Me', 500);
+                await assetTransfer.UpdateAsset(transactionContext, 'asset2', '[]');
                 assert.fail('UpdateAsset should have failed');
             } catch (err) {
-                expect(err.message).to.equal('The asset asset2 does not exist');
+                expect(err.details).to.equal('The asset asset2 does not exist');
+            }
+        });
+
+        it('should return error on UpdateAsset by another client', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+
+            useClient('Org1MSP', 'x509::CN=Paul');
+            try {
+                await assetTransfer.UpdateAsset(transactionContext, asset.assetId, '[]');
+                assert.fail('UpdateAsset should have failed');
+            } catch (err) {
+                expect(err.details).to.equal('Only the owner of asset asset1 can change it');
             }
         });
 
         it('should return success on UpdateAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
-
-            await assetTransfer.UpdateAsset(transactionContext, 'asset1', 'orange', 10, 'Me', 500);
-            let ret = JSON.parse(await chaincodeStub.getState(asset.ID));
-            let expected = {
-                ID: 'asset1',
-                Color: 'orange',
-                Size: 10,
-                Owner: 'Me',
-                AppraisedValue: 500
-            };
-            expect(ret).to.eql(expected);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+
+            await assetTransfer.UpdateAsset(transactionContext, 'asset1', JSON.stringify([{ key: 'color', value: 'orange' }]));
+            let ret = JSON.parse(await chaincodeStub.getState(publicKey(asset.assetId)));
+            expect(ret).to.eql(Object.assign({}, asset, { tags: [{ key: 'color', value: 'orange' }] }));
         });
     });
 
     describe('Test DeleteAsset', () => {
         it('should return error on DeleteAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
             try {
                 await assetTransfer.DeleteAsset(transactionContext, 'asset2');
                 assert.fail('DeleteAsset should have failed');
             } catch (err) {
-                expect(err.message).to.equal('The asset asset2 does not exist');
+                expect(err.details).to.equal('The asset asset2 does not exist');
+            }
+        });
+
+        it('should return error on DeleteAsset by another org', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+
+            useClient('Org2MSP', 'x509::CN=Tomoko');
+            try {
+                await assetTransfer.DeleteAsset(transactionContext, asset.assetId, 'Org1MSP');
+                assert.fail('DeleteAsset should have failed');
+            } catch (err) {
+                expect(err.details).to.equal('Only the owner of asset asset1 can change it');
+            }
+        });
+
+        it('should return error on DeleteAsset of an asset without a recorded owner', async () => {
+            let assetTransfer = new AssetTransfer();
+            chaincodeStub.states = { asset1: Buffer.from(JSON.stringify({ ID: 'asset1', Color: 'blue', Owner: 'Tomoko' })) };
+
+            try {
+                await assetTransfer.DeleteAsset(transactionContext, asset.assetId);
+                assert.fail('DeleteAsset should have failed');
+            } catch (err) {
+                expect(err.details).to.equal('Asset asset1 has no recorded owner and cannot be changed');
             }
         });
 
         it('should return success on DeleteAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
-            await assetTransfer.DeleteAsset(transactionContext, asset.ID);
-            let ret = await chaincodeStub.getState(asset.ID);
+            await assetTransfer.DeleteAsset(transactionContext, asset.assetId);
+            let ret = await chaincodeStub.getState(publicKey(asset.assetId));
             expect(ret).to.equal(undefined);
         });
     });
@@ -193,23 +328,55 @@ describe('Asset Transfer Basic Tests', () => {
     describe('Test TransferAsset', () => {
         it('should return error on TransferAsset', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
             try {
-                await assetTransfer.TransferAsset(transactionContext, 'asset2', 'Me');
-                assert.fail('DeleteAsset should have failed');
+                await assetTransfer.TransferAsset(transactionContext, 'asset2', 'Org2MSP');
+                assert.fail('TransferAsset should have failed');
             } catch (err) {
-                expect(err.message).to.equal('The asset asset2 does not exist');
+                expect(err.details).to.equal('The asset asset2 does not exist');
             }
         });
 
-        it('should return success on TransferAsset', async () => {
+        it('should refuse to hand the asset to another org', async () => {
             let assetTransfer = new AssetTransfer();
-            await assetTransfer.CreateAsset(transactionContext, asset.ID, asset.Color, asset.Size, asset.Owner, asset.AppraisedValue);
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
 
-            await assetTransfer.TransferAsset(transactionContext, asset.ID, 'Me');
-            let ret = JSON.parse((await chaincodeStub.getState(asset.ID)).toString());
-            expect(ret).to.eql(Object.assign({}, asset, {Owner: 'Me'}));
+            try {
+                await assetTransfer.TransferAsset(transactionContext, asset.assetId, 'Org2MSP');
+                assert.fail('TransferAsset should have failed');
+            } catch (err) {
+                expect(err.details).to.equal('Asset asset1 can only go to Org2MSP through a private transfer, which hands over its public copy once Org2MSP owns it');
+            }
+            let ret = JSON.parse((await chaincodeStub.getState(publicKey(asset.assetId))).toString());
+            expect(ret).to.eql(asset);
+        });
+
+        it('should keep the history and the link when the asset stays with the org', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+
+            await assetTransfer.TransferAsset(transactionContext, asset.assetId, 'Org1MSP', 'x509::CN=Paul');
+            let ret = JSON.parse((await chaincodeStub.getState(publicKey(asset.assetId))).toString());
+            expect(ret).to.eql(Object.assign({}, asset, { owner: { msp: 'Org1MSP', id: 'x509::CN=Paul' } }));
+        });
+
+        it('should hand control to the new owner', async () => {
+            let assetTransfer = new AssetTransfer();
+            await createAsset(assetTransfer, asset.assetId, asset.tags);
+            await assetTransfer.TransferAsset(transactionContext, asset.assetId, 'Org1MSP', 'x509::CN=Van');
+
+            try {
+                await assetTransfer.TransferAsset(transactionContext, asset.assetId, 'Org1MSP');
+                assert.fail('TransferAsset should have failed');
+            } catch (err) {
+                expect(err.details).to.equal('Only the owner of asset asset1 can change it');
+            }
+
+            useClient('Org1MSP', 'x509::CN=Van');
+            await assetTransfer.TransferAsset(transactionContext, asset.assetId, 'Org1MSP');
+            let ret = JSON.parse((await chaincodeStub.getState(publicKey(asset.assetId))).toString());
+            expect(ret.owner).to.eql({ msp: 'Org1MSP' });
         });
     });
 
@@ -217,52 +384,43 @@ describe('Asset Transfer Basic Tests', () => {
         it('should return success on GetAllAssets', async () => {
             let assetTransfer = new AssetTransfer();
 
-            await assetTransfer.CreateAsset(transactionContext, 'asset1', 'blue', 5, 'Robert', 100);
-            await assetTransfer.CreateAsset(transactionContext, 'asset2', 'orange', 10, 'Paul', 200);
-            await assetTransfer.CreateAsset(transactionContext, 'asset3', 'red', 15, 'Troy', 300);
-            await assetTransfer.CreateAsset(transactionContext, 'asset4', 'pink', 20, 'Van', 400);
+            await createAsset(assetTransfer, 'asset1', [{ key: 'color', value: 'blue' }]);
+            await createAsset(assetTransfer, 'asset2', [{ key: 'color', value: 'orange' }]);
+            await createAsset(assetTransfer, 'asset3', [{ key: 'color', value: 'red' }]);
+            await createAsset(assetTransfer, 'asset4', [{ key: 'color', value: 'pink' }]);
 
             let ret = await assetTransfer.GetAllAssets(transactionContext);
-            ret = JSON.parse(ret);
+            ret = JSON.parse(ret).details;
             expect(ret.length).to.equal(4);
 
-            let expected = [
-                {Record: {ID: 'asset1', Color: 'blue', Size: 5, Owner: 'Robert', AppraisedValue: 100}},
-                {Record: {ID: 'asset2', Color: 'orange', Size: 10, Owner: 'Paul', AppraisedValue: 200}},
-                {Record: {ID: 'asset3', Color: 'red', Size: 15, Owner: 'Troy', AppraisedValue: 300}},
-                {Record: {ID: 'asset4', Color: 'pink', Size: 20, Owner: 'Van', AppraisedValue: 400}}
-            ];
-
-            expect(ret).to.eql(expected);
+            expect(ret.map(record => record.assetId)).to.eql(['asset1', 'asset2', 'asset3', 'asset4']);
+            expect(ret.map(record => record.tags[0].value)).to.eql(['blue', 'orange', 'red', 'pink']);
         });
 
         it('should return success on GetAllAssets for non JSON value', async () => {
             let assetTransfer = new AssetTransfer();
 
-            chaincodeStub.putState.onFirstCall().callsFake((key, value) => {
-                if (!chaincodeStub.states) {
-                    chaincodeStub.states = {};
-                }
-                chaincodeStub.states[key] = 'non-json-value';
-            });
-
-            await assetTransfer.CreateAsset(transactionContext, 'asset1', 'blue', 5, 'Robert', 100);
-            await assetTransfer.CreateAsset(transactionContext, 'asset2', 'orange', 10, 'Paul', 200);
-            await assetTransfer.CreateAsset(transactionContext, 'asset3', 'red', 15, 'Troy', 300);
-            await assetTransfer.CreateAsset(transactionContext, 'asset4', 'pink', 20, 'Van', 400);
+            await createAsset(assetTransfer, 'asset1', [{ key: 'color', value: 'blue' }]);
+            await createAsset(assetTransfer, 'asset2', [{ key: 'color', value: 'orange' }]);
+            chaincodeStub.states[publicKey('asset1')] = 'non-json-value';
 
             let ret = await assetTransfer.GetAllAssets(transactionContext);
-            ret = JSON.parse(ret);
-            expect(ret.length).to.equal(4);
+            ret = JSON.parse(ret).details;
+            expect(ret.length).to.equal(2);
+
+            expect(ret[0]).to.equal('non-json-value');
+            expect(ret[1].assetId).to.equal('asset2');
+        });
+
+        it('should list assets published under their plain ID before they were keyed by origin', async () => {
+            let assetTransfer = new AssetTransfer();
 
-            let expected = [
-                {Record: 'non-json-value'},
-                {Record: {ID: 'asset2', Color: 'orange', Size: 10, Owner: 'Paul', AppraisedValue: 200}},
-                {Record: {ID: 'asset3', Color: 'red', Size: 15, Owner: 'Troy', AppraisedValue: 300}},
-                {Record: {ID: 'asset4', Color: 'pink', Size: 20, Owner: 'Van', AppraisedValue: 400}}
-            ];
+            await createAsset(assetTransfer, 'asset1', [{ key: 'color', value: 'blue' }]);
+            chaincodeStub.states.asset9 = Buffer.from(JSON.stringify({ ID: 'asset9', Color: 'red', Owner: 'Tomoko' }));
 
-            expect(ret).to.eql(expected);
+            let ret = JSON.parse(await assetTransfer.GetAllAssets(transactionContext)).details;
+            expect(ret.map(record => record.assetId)).to.eql(['asset9', 'asset1']);
+            expect(JSON.parse(await assetTransfer.ReadAsset(transactionContext, 'asset9')).details.tags).to.eql([{ key: 'color', value: 'red' }]);
         });
     });
 });
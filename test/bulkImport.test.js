@@ -0,0 +1,54 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const { ErrorCode } = require('../lib/ContractError.js');
+const { parseRows } = require('../lib/bulkImport.js');
+
+describe('Bulk Import Tests', () => {
+    describe('Test parseRows', () => {
+        it('should read JSON rows as they are', () => {
+            expect(parseRows('json', '[{"assetId":"asset1"}]')).to.eql([{ assetId: 'asset1' }]);
+        });
+
+        it('should refuse JSON that is not an array', () => {
+            expect(() => parseRows('json', '{"assetId":"asset1"}')).to.throw('Rows must be a JSON array');
+            expect(() => parseRows('json', '[')).to.throw('Rows are not valid JSON');
+        });
+
+        it('should turn CSV columns into fields and tags', () => {
+            const rows = parseRows('csv', 'assetId,quantity,unit,color\r\nasset1,12.5,kg,blue\nasset2,,,\n\n');
+
+            expect(rows).to.eql([
+                { assetId: 'asset1', quantity: 12.5, unit: 'kg', tags: [{ key: 'color', value: 'blue' }] },
+                { assetId: 'asset2', tags: [] },
+            ]);
+        });
+
+        it('should read quoted CSV cells', () => {
+            const rows = parseRows('csv', 'assetId,note\nasset1,"packed, ""sealed""\nand labelled"');
+
+            expect(rows[0].tags).to.eql([{ key: 'note', value: 'packed, "sealed"\nand labelled' }]);
+        });
+
+        it('should keep quantities that are not numbers for validation to report', () => {
+            expect(parseRows('csv', 'assetId,quantity\nasset1,lots')[0].quantity).to.equal('lots');
+        });
+
+        it('should refuse CSV without an assetId column or with an open quote', () => {
+            expect(() => parseRows('csv', 'id,color\nasset1,blue')).to.throw('Rows need a CSV header with an assetId column');
+            expect(() => parseRows('csv', 'assetId\n"asset1')).to.throw('a quoted cell is never closed');
+        });
+
+        it('should refuse unknown formats', () => {
+            try {
+                parseRows('xml', '<rows/>');
+            } catch (err) {
+                expect(err.code).to.equal(ErrorCode.INVALID_ARGUMENT);
+                expect(err.details).to.equal('Format xml is not one of json, csv');
+                return;
+            }
+            expect.fail('expected parseRows to throw');
+        });
+    });
+});
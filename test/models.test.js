@@ -0,0 +1,134 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const { ErrorCode } = require('../lib/ContractError.js');
+const { Model } = require('../lib/Model.js');
+const { Asset } = require('../lib/Asset.js');
+const { Transaction } = require('../lib/Transaction.js');
+const { ActivityEntry } = require('../lib/ActivityEntry.js');
+
+describe('Model Tests', () => {
+    const fields = {
+        assetId: 'asset1',
+        tags: [{ key: 'color', value: 'blue' }],
+        subAssets: ['wheel2', 'wheel1'],
+        history: [{ org: 'org2', timestamp: 200 }, { org: 'org1', timestamp: 100 }],
+    };
+
+    function expectError(fn, code, details) {
+        try {
+            fn();
+        } catch (err) {
+            expect(err.code).to.equal(code);
+            expect(err.details).to.equal(details);
+            return;
+        }
+        expect.fail('expected the call to throw');
+    }
+
+    describe('Test serialize', () => {
+        it('should sort keys but keep the order of arrays', () => {
+            const bytes = new Asset(Object.assign({ unit: 'kg' }, fields)).serialize();
+
+            expect(bytes.toString()).to.equal(
+                '{"assetId":"asset1","history":[{"org":"org2","timestamp":200},{"org":"org1","timestamp":100}],' +
+                '"schemaVersion":1,"subAssets":["wheel2","wheel1"],"tags":[{"key":"color","value":"blue"}],"unit":"kg"}');
+        });
+
+        it('should refuse to write an invalid record', () => {
+            expectError(() => new Asset(Object.assign({}, fields, { history: [] })).serialize(), ErrorCode.INVALID_ARGUMENT, 'Validation failed: asset.history must have at least 1 item(s)');
+        });
+    });
+
+    describe('Test fromBytes', () => {
+        it('should read what serialize wrote', () => {
+            const asset = Asset.fromBytes(new Asset(fields).serialize());
+
+            expect(asset).to.be.an.instanceof(Asset);
+            expect(asset.toJSON()).to.eql(Object.assign({ schemaVersion: 1 }, fields));
+        });
+
+        it('should give null for a missing key', () => {
+            expect(Asset.fromBytes(Buffer.from(''))).to.equal(null);
+            expect(Transaction.fromBytes(undefined)).to.equal(null);
+        });
+
+        it('should refuse records of a newer schema version', () => {
+            expectError(() => Asset.fromBytes(Buffer.from(JSON.stringify(Object.assign({}, fields, { schemaVersion: 2 })))),
+                ErrorCode.INTERNAL_ERROR, 'Asset was stored in schema version 2, this contract only knows up to 1');
+        });
+
+        it('should refuse bytes that are not JSON', () => {
+            expect(() => ActivityEntry.fromBytes(Buffer.from('not json'))).to.throw('Stored ActivityEntry is not valid JSON');
+        });
+    });
+
+    describe('Test upgrade', () => {
+        it('should turn old public assets into tagged ones', () => {
+            const asset = Asset.fromBytes(Buffer.from(JSON.stringify({ ID: 'asset1', Color: 'blue', Size: 5, Owner: 'Tomoko', AppraisedValue: 300 })));
+
+            expect(asset.toJSON()).to.eql({
+                schemaVersion: 1,
+                docType: 'asset',
+                assetId: 'asset1',
+                tags: [{ key: 'color', value: 'blue' }, { key: 'size', value: 5 }, { key: 'appraisedValue', value: 300 }],
+                subAssets: [],
+                history: [{ org: 'Tomoko', timestamp: 0 }],
+            });
+            expect(() => asset.validate()).to.not.throw();
+        });
+
+        it('should give old public assets without an owner an unknown one', () => {
+            const asset = Asset.fromJSON({ ID: 'asset1', Color: 'blue' });
+
+            expect(asset).to.include({ assetId: 'asset1' });
+            expect(asset.tags).to.eql([{ key: 'color', value: 'blue' }]);
+            expect(asset.history).to.eql([{ org: 'unknown', timestamp: 0 }]);
+        });
+
+        it('should keep the fields of records whose model has nothing to upgrade', () => {
+            const entry = ActivityEntry.fromJSON({ initiated: 'Org1MSP', timestamp: 100, txId: 'tx1', description: 'Done', action: 'TEST', assets: [] });
+
+            expect(entry).to.be.an.instanceof(ActivityEntry);
+            expect(entry).to.include({ schemaVersion: 1, description: 'Done' });
+        });
+
+        it('should give old transactions a status', () => {
+            const transaction = Transaction.fromJSON({ id: 'transaction1', isNewOwnerAccepted: true, newOwnerMSP: 'Org2MSP', ownerOrgId: 'org1', newOwnerOrgId: 'org2', assetIds: [fields] });
+
+            expect(transaction).to.include({ status: 'ACCEPTED', schemaVersion: 1, created: 0, cancelledAt: 0 });
+            expect(() => transaction.validate()).to.not.throw();
+        });
+    });
+
+    describe('Test Model', () => {
+        it('should start a record without fields empty', () => {
+            expect(new Asset().toJSON()).to.eql({ schemaVersion: 1 });
+        });
+
+        it('should wrap plain fields and keep records that are models already', () => {
+            const asset = Asset.from(fields);
+
+            expect(asset).to.be.an.instanceof(Asset);
+            expect(Asset.from(asset)).to.equal(asset);
+        });
+
+        it('should refuse to validate records of a model without a schema', () => {
+            expect(() => new Model().validate()).to.throw('Model doesn\'t name its schema');
+        });
+    });
+
+    describe('Test ActivityEntry', () => {
+        it('should record the caller and the current transaction', () => {
+            const ctx = {
+                clientIdentity: { getMSPID: () => 'Org1MSP' },
+                stub: { getTxTimestamp: () => ({ array: [100, 0] }), getTxID: () => 'tx1' },
+            };
+
+            const entry = ActivityEntry.record(ctx, { description: 'Done', action: 'TEST', assets: [] });
+
+            expect(entry.toJSON()).to.eql({ schemaVersion: 1, initiated: 'Org1MSP', timestamp: 100, txId: 'tx1', description: 'Done', action: 'TEST', assets: [] });
+        });
+    });
+});
@@ -0,0 +1,50 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const AssetTransfer = require('../lib/assetTransfer.js');
+const { ErrorCode } = require('../lib/ContractError.js');
+const { PERMISSIONS, clientRoles, assertPermitted } = require('../lib/permissions.js');
+
+describe('Permission Tests', () => {
+    function contextWithRole(role) {
+        return { clientIdentity: { getAttributeValue: name => (name === 'role' ? role : null) } };
+    }
+
+    function expectDenied(ctx, fn, details) {
+        try {
+            assertPermitted(ctx, fn);
+        } catch (err) {
+            expect(err.code).to.equal(ErrorCode.NOT_AUTHORIZED);
+            expect(err.details).to.equal(details);
+            return;
+        }
+        expect.fail(`expected ${fn} to be denied`);
+    }
+
+    it('should cover every contract function', () => {
+        const functions = Object.getOwnPropertyNames(AssetTransfer.prototype)
+            .filter(name => name !== 'constructor' && name !== 'aroundTransaction' && !name.startsWith('_'));
+
+        expect(Object.keys(PERMISSIONS)).to.have.members(functions);
+    });
+
+    it('should read several roles from the role attribute', () => {
+        expect(clientRoles(contextWithRole('warehouse, approver'))).to.eql(['warehouse', 'approver']);
+        expect(clientRoles(contextWithRole(null))).to.eql([]);
+    });
+
+    it('should allow the roles of the matrix', () => {
+        assertPermitted(contextWithRole('warehouse'), 'CreatePrivateTransaction');
+        assertPermitted(contextWithRole('approver'), 'TransferNow');
+        assertPermitted(contextWithRole('auditor'), 'ReadLogs');
+        assertPermitted(contextWithRole('admin'), 'CancelTransaction');
+    });
+
+    it('should explain why a client is denied', () => {
+        expectDenied(contextWithRole('warehouse'), 'TransferNow', 'TransferNow needs one of the roles approver, admin, but the client has warehouse');
+        expectDenied(contextWithRole('auditor'), 'CreatePrivateAsset', 'CreatePrivateAsset needs one of the roles warehouse, admin, but the client has auditor');
+        expectDenied(contextWithRole(null), 'ReadLogs', 'ReadLogs needs one of the roles admin, warehouse, approver, auditor, but the client certificate has no role attribute');
+        expectDenied(contextWithRole('admin'), 'Unknown', 'Unknown is not open to any role');
+    });
+});
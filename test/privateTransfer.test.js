@@ -0,0 +1,2900 @@
+'use strict';
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+
+const { Context } = require('fabric-contract-api');
+const { ChaincodeStub } = require('fabric-shim');
+
+const AssetTransfer = require('../lib/assetTransfer.js');
+const { readActivities } = require('../lib/activityLog.js');
+const { MAX_UNICODE_RUNE_VALUE, readPrivatePage, readPrivateQueryPage } = require('../lib/pagination.js');
+const { countByStatus } = require('../lib/transactionIndex.js');
+const { childIds, readTree } = require('../lib/assetTree.js');
+const simulation = require('../lib/simulation.js');
+const { ErrorCode } = require('../lib/ContractError.js');
+
+chai.use(sinonChai);
+
+describe('Private Asset Transfer Tests', () => {
+    let transactionContext, chaincodeStub, mspId, assetTransfer;
+
+    function privateKeys(collection) {
+        return Object.keys(chaincodeStub.privateStates[collection] || {}).sort();
+    }
+
+    function iteratorOver(collection, keys) {
+        const values = keys.map(key => ({ key, value: chaincodeStub.privateStates[collection][key] }));
+        return {
+            next: async () => (values.length ? { value: values.shift(), done: false } : { done: true }),
+            close: async () => {},
+        };
+    }
+
+    function useIdentity(msp) {
+        mspId = msp;
+    }
+
+    function storeLegacy(collection, key, value) {
+        chaincodeStub.privateStates[collection] = chaincodeStub.privateStates[collection] || {};
+        chaincodeStub.privateStates[collection][key] = Buffer.from(JSON.stringify(value));
+    }
+
+    function assetKey(msp, assetId) {
+        return ChaincodeStub.prototype.createCompositeKey('asset~org~assetId', [msp, assetId]);
+    }
+
+    // commitments of new assets need a salt of the client's own
+    function setTransient(fields = {}) {
+        chaincodeStub.getTransient.returns(new Map([['salt', Buffer.from('client-salt')], ...Object.keys(fields).map(name => [name, Buffer.from(fields[name])])]));
+    }
+
+    beforeEach(() => {
+        transactionContext = new Context();
+
+        chaincodeStub = sinon.createStubInstance(ChaincodeStub);
+        transactionContext.setChaincodeStub(chaincodeStub);
+        transactionContext.setClientIdentity({ getMSPID: () => mspId, getID: () => `x509::CN=${mspId}` });
+        useIdentity('Org1MSP');
+
+        chaincodeStub.privateStates = {};
+        chaincodeStub.states = {};
+        chaincodeStub.keyHistory = {};
+
+        chaincodeStub.createCompositeKey.callsFake(ChaincodeStub.prototype.createCompositeKey);
+        chaincodeStub.splitCompositeKey.callsFake(ChaincodeStub.prototype.splitCompositeKey);
+        chaincodeStub.getTxTimestamp.returns({ seconds: { low: 1700000000 }, nanos: 0, array: [1700000000, 0] });
+        chaincodeStub.getTxID.returns('tx1');
+        setTransient();
+
+        chaincodeStub.putState.callsFake(async (key, value) => {
+            chaincodeStub.states[key] = Buffer.from(value);
+            const modification = { txId: chaincodeStub.getTxID(), timestamp: { seconds: chaincodeStub.getTxTimestamp().array[0], nanos: 0 }, isDelete: false, value: Buffer.from(value) };
+            chaincodeStub.keyHistory[key] = [modification, ...(chaincodeStub.keyHistory[key] || [])];
+        });
+
+        chaincodeStub.getState.callsFake(async (key) => chaincodeStub.states[key]);
+
+        chaincodeStub.getHistoryForKey.callsFake(async (key) => {
+            const values = [...(chaincodeStub.keyHistory[key] || [])];
+            return {
+                next: async () => (values.length ? { value: values.shift(), done: false } : { done: true }),
+                close: async () => {},
+            };
+        });
+
+        chaincodeStub.putPrivateData.callsFake(async (collection, key, value) => {
+            chaincodeStub.privateStates[collection] = chaincodeStub.privateStates[collection] || {};
+            chaincodeStub.privateStates[collection][key] = Buffer.from(value);
+        });
+
+        chaincodeStub.getPrivateData.callsFake(async (collection, key) => {
+            const value = (chaincodeStub.privateStates[collection] || {})[key];
+            return value || Buffer.from('');
+        });
+
+        chaincodeStub.getPrivateDataHash.callsFake(async (collection, key) => {
+            const value = (chaincodeStub.privateStates[collection] || {})[key];
+            return value ? Buffer.from('hash') : Buffer.from('');
+        });
+
+        chaincodeStub.deletePrivateData.callsFake(async (collection, key) => {
+            delete (chaincodeStub.privateStates[collection] || {})[key];
+        });
+
+        chaincodeStub.getPrivateDataByRange.callsFake(async (collection, startKey, endKey) => {
+            return iteratorOver(collection, privateKeys(collection).filter(key => key >= startKey && key < endKey));
+        });
+
+        chaincodeStub.getPrivateDataByPartialCompositeKey.callsFake(async (collection, objectType, attributes) => {
+            const prefix = ChaincodeStub.prototype.createCompositeKey(objectType, attributes);
+            return iteratorOver(collection, privateKeys(collection).filter(key => key.startsWith(prefix)));
+        });
+
+        assetTransfer = new AssetTransfer();
+    });
+
+    async function createAsset(assetId, subAssetIds = []) {
+        return JSON.parse(await assetTransfer.CreatePrivateAsset(transactionContext, 'org1', assetId, JSON.stringify([{ key: 'color', value: 'blue' }]), JSON.stringify(subAssetIds)));
+    }
+
+    async function createTransaction(transactionId, assetIds) {
+        return JSON.parse(await assetTransfer.CreatePrivateTransaction(transactionContext, 'org1', 'org2', transactionId, JSON.stringify(assetIds), 'Org2MSP'));
+    }
+
+    async function expectError(promise, code, details) {
+        try {
+            await promise;
+        } catch (err) {
+            expect(err.code).to.equal(code);
+            if (details !== undefined) {
+                expect(err.details).to.equal(details);
+            }
+            expect(JSON.parse(err.message)).to.include({ message: 'Error', code });
+            return;
+        }
+        expect.fail('expected the call to throw');
+    }
+
+    async function readAssetIds() {
+        return JSON.parse(await assetTransfer.ReadPrivateAssets(transactionContext)).details;
+    }
+
+    async function readTransaction(transactionId) {
+        return JSON.parse(await assetTransfer.ReadTransactionPrivateDetails(transactionContext, transactionId));
+    }
+
+    // as calls the function as a client of the given org and parses its answer.
+    async function as(msp, name, ...args) {
+        useIdentity(msp);
+        const ret = await assetTransfer[name](transactionContext, ...args);
+        useIdentity('Org1MSP');
+        return JSON.parse(ret);
+    }
+
+    async function readAsset(msp, assetId) {
+        return (await as(msp, 'ReadPrivateAsset', assetId)).details;
+    }
+
+    // transferred brings a new transaction of asset1 to TRANSFERRED.
+    async function transferred() {
+        await createAsset('asset1');
+        await createTransaction('transaction1', ['asset1']);
+        await as('Org2MSP', 'AcceptTransaction', 'transaction1');
+        await as('Org1MSP', 'TransferNow', 'transaction1');
+    }
+
+    // failReads makes every read of private data fail, as when the peer is unavailable.
+    function failReads() {
+        chaincodeStub.getPrivateData.rejects(new Error('peer unavailable'));
+        chaincodeStub.getPrivateDataByPartialCompositeKey.rejects(new Error('peer unavailable'));
+        chaincodeStub.getPrivateDataByRange.rejects(new Error('peer unavailable'));
+    }
+
+    describe('Test CreatePrivateAsset', () => {
+        it('should store each asset under its own composite key', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+
+            const key = ChaincodeStub.prototype.createCompositeKey('asset~org~assetId', ['Org1MSP', 'asset1']);
+            const stored = JSON.parse(chaincodeStub.privateStates.Org1MSPPrivateCollection[key].toString());
+
+            expect(stored.assetId).to.equal('asset1');
+            expect(chaincodeStub.privateStates.Org1MSPPrivateCollection).to.not.have.property('assets');
+            expect(await readAssetIds()).to.eql(['asset1', 'asset2']);
+        });
+
+        it('should refuse tags that do not match the schema', async () => {
+            const ret = assetTransfer.CreatePrivateAsset(transactionContext, 'org1', 'asset1', JSON.stringify([{ key: '' }]), '[]');
+
+            await expectError(ret, ErrorCode.INVALID_ARGUMENT, 'Validation failed: tags[0].key must not be empty; tags[0].value is required');
+        });
+
+        it('should return error when a sub asset does not exist', async () => {
+            await expectError(createAsset('asset1', ['missing']), ErrorCode.ASSET_NOT_FOUND, 'Asset missing does not exist');
+        });
+    });
+
+    describe('Test PushAssets', () => {
+        it('should refuse assets that do not match the schema', async () => {
+            const assets = [{ assetId: 'asset1', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1 }] }, { tags: [], subAssets: [], history: 'org1' }];
+
+            await expectError(assetTransfer.PushAssets(transactionContext, JSON.stringify(assets)), ErrorCode.INVALID_ARGUMENT, 'Validation failed: assets[1].assetId is required; assets[1].history must be an array');
+            expect(await readAssetIds()).to.eql([]);
+        });
+    });
+
+    describe('Test transient variants', () => {
+        function useTransient(fields) {
+            const transient = new Map([['salt', Buffer.from('client-salt')]]);
+            for (const name of Object.keys(fields)) {
+                transient.set(name, Buffer.from(JSON.stringify(fields[name])));
+            }
+            chaincodeStub.getTransient.returns(transient);
+        }
+
+        it('should create an asset from the transient map', async () => {
+            await createAsset('asset1');
+            useTransient({ asset: { orgId: 'org1', assetId: 'asset2', tags: [{ key: 'grade', value: 'A' }], subAssetIds: ['asset1'] } });
+
+            const ret = JSON.parse(await assetTransfer.CreatePrivateAssetTransient(transactionContext));
+
+            expect(ret).to.eql({ message: 'Done', details: 'Asset asset2 created' });
+            const asset = JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset2')).details;
+            expect(asset.tags).to.eql([{ key: 'grade', value: 'A' }]);
+            expect(asset.subAssets).to.eql(['asset1']);
+        });
+
+        it('should create an asset without sub assets from the transient map', async () => {
+            useTransient({ asset: { orgId: 'org1', assetId: 'asset1', tags: [] } });
+
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details.subAssets).to.eql([]);
+        });
+
+        it('should update and push assets from the transient map', async () => {
+            await createAsset('asset1');
+            useTransient({
+                asset: { assetId: 'asset1', tags: [] },
+                assets: [{ assetId: 'asset2', tags: [], subAssets: [], history: [{ org: 'org3', timestamp: 1 }] }],
+            });
+
+            await assetTransfer.UpdatePrivateAssetTransient(transactionContext);
+            await assetTransfer.PushAssetsTransient(transactionContext);
+
+            expect(await readAssetIds()).to.eql(['asset1', 'asset2']);
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details.tags).to.eql([]);
+        });
+
+        it('should require the transient field', async () => {
+            useTransient({});
+
+            await expectError(assetTransfer.CreatePrivateAssetTransient(transactionContext), ErrorCode.INVALID_ARGUMENT, 'Transient field asset is required');
+        });
+
+        it('should validate the transient payload', async () => {
+            useTransient({ asset: { orgId: 'org1', tags: [] } });
+
+            await expectError(assetTransfer.CreatePrivateAssetTransient(transactionContext), ErrorCode.INVALID_ARGUMENT, 'Validation failed: asset.assetId is required');
+        });
+
+        it('should warn callers of the positional variants', async () => {
+            const ret = await createAsset('asset1');
+
+            expect(ret.message).to.equal('Done');
+            expect(ret.warnings[0]).to.match(/^CreatePrivateAsset with positional arguments .* use CreatePrivateAssetTransient/);
+        });
+    });
+
+    describe('Test ImportAssets', () => {
+        function withRows(rows) {
+            setTransient({ rows: typeof rows === 'string' ? rows : JSON.stringify(rows) });
+        }
+
+        async function importAssets(format, mode) {
+            return JSON.parse(await assetTransfer.ImportAssets(transactionContext, 'org1', format, mode)).details;
+        }
+
+        beforeEach(async () => {
+            await createAsset('asset1');
+        });
+
+        it('should import every row when all of them are valid', async () => {
+            withRows([{ assetId: 'asset2', tags: [{ key: 'color', value: 'red' }] }, { assetId: 'asset3', quantity: 5, unit: 'kg' }]);
+
+            const report = await importAssets('json', 'ALL_OR_NOTHING');
+
+            expect(report).to.eql({ mode: 'ALL_OR_NOTHING', accepted: ['asset2', 'asset3'], rejected: [], duplicates: [] });
+            expect(await readAssetIds()).to.eql(['asset1', 'asset2', 'asset3']);
+            const asset = JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset3')).details;
+            expect(asset).to.include({ quantity: 5, unit: 'kg' });
+            expect(asset.history[0].org).to.equal('org1');
+        });
+
+        it('should import nothing in all-or-nothing mode when a row is bad', async () => {
+            withRows([{ assetId: 'asset2' }, { assetId: '', quantity: -1 }, { assetId: 'asset1' }, { assetId: 'asset2' }]);
+
+            const report = await importAssets('json', 'ALL_OR_NOTHING');
+
+            expect(report.accepted).to.eql([]);
+            expect(report.rejected).to.eql([
+                { row: 2, assetId: '', reasons: ['rows[2].assetId must not be empty', 'rows[2].quantity must be greater than 0'] },
+                { row: 4, assetId: 'asset2', reasons: ['Asset asset2 is given more than once, first in row 1'] },
+            ]);
+            expect(report.duplicates).to.eql([{ row: 3, assetId: 'asset1' }]);
+            expect(await readAssetIds()).to.eql(['asset1']);
+        });
+
+        it('should import the valid rows in skip-invalid mode', async () => {
+            withRows('assetId,quantity,color\nasset1,,blue\nasset2,3,green\nasset3,many,red\n');
+
+            const report = await importAssets('csv', 'SKIP_INVALID');
+
+            expect(report.accepted).to.eql(['asset2']);
+            expect(report.rejected).to.eql([{ row: 3, assetId: 'asset3', reasons: ['rows[3].quantity must be a number'] }]);
+            expect(report.duplicates).to.eql([{ row: 1, assetId: 'asset1' }]);
+            expect(await readAssetIds()).to.eql(['asset1', 'asset2']);
+        });
+
+        it('should reject rows that are not objects', async () => {
+            withRows([null, { assetId: 'asset2' }]);
+
+            const report = await importAssets('json', 'SKIP_INVALID');
+
+            expect(report.accepted).to.eql(['asset2']);
+            expect(report.rejected).to.eql([{ row: 1, assetId: null, reasons: ['rows[1] must be an object'] }]);
+        });
+
+        it('should only take the asset fields a row may set', async () => {
+            await createAsset('asset2');
+            withRows([{ assetId: 'asset3', orgId: 'org9', subAssetIds: ['asset2'] }, { assetId: 'asset4', subAssetIds: 'zz', parentId: 'asset1' }]);
+
+            const report = await importAssets('json', 'SKIP_INVALID');
+
+            expect(report.accepted).to.eql(['asset3', 'asset4']);
+            const asset3 = JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset3')).details;
+            expect(asset3.subAssets).to.eql([]);
+            expect(asset3.history[0].org).to.equal('org1');
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset2')).details).to.not.have.property('parentId');
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset4')).details).to.not.have.property('parentId');
+        });
+
+        it('should refuse an unknown mode or missing rows', async () => {
+            await expectError(assetTransfer.ImportAssets(transactionContext, 'org1', 'json', 'SOME'), ErrorCode.INVALID_ARGUMENT, 'Mode SOME is not one of ALL_OR_NOTHING, SKIP_INVALID');
+            await expectError(assetTransfer.ImportAssets(transactionContext, 'org1'), ErrorCode.INVALID_ARGUMENT, 'Transient field rows is required');
+        });
+    });
+
+    describe('Test VerifyPrivateAsset', () => {
+        async function readAsset(assetId) {
+            return JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, assetId)).details;
+        }
+
+        async function verify(asset, salt) {
+            return JSON.parse(await assetTransfer.VerifyPrivateAsset(transactionContext, JSON.stringify(asset), salt)).details;
+        }
+
+        it('should publish a salted commitment on create', async () => {
+            await createAsset('asset1');
+
+            const asset = await readAsset('asset1');
+            const commitment = JSON.parse(chaincodeStub.states[ChaincodeStub.prototype.createCompositeKey('commitment~msp~assetId', ['Org1MSP', 'asset1'])].toString());
+
+            expect(asset.salt).to.be.a('string');
+            expect(commitment).to.include({ assetId: 'asset1', msp: 'Org1MSP', txId: 'tx1' });
+            expect(commitment.hash).to.not.include('blue');
+        });
+
+        it('should confirm a matching asset and report the committing transaction', async () => {
+            await createAsset('asset1');
+            const asset = await readAsset('asset1');
+
+            expect(await verify(asset)).to.eql({ assetId: 'asset1', verified: true, current: true, txId: 'tx1', timestamp: 1700000000 });
+        });
+
+        it('should not confirm a tampered asset or a wrong salt', async () => {
+            await createAsset('asset1');
+            const asset = await readAsset('asset1');
+
+            expect((await verify(Object.assign({}, asset, { tags: [] }))).verified).to.equal(false);
+            expect((await verify(asset, 'guess')).verified).to.equal(false);
+        });
+
+        it('should use the salt from the transient map', async () => {
+            setTransient({ salt: 'secret' });
+            await createAsset('asset1');
+
+            expect((await readAsset('asset1')).salt).to.equal('secret');
+        });
+
+        it('should recommit on update and on transfer', async () => {
+            await createAsset('asset1');
+            const created = await readAsset('asset1');
+
+            chaincodeStub.getTxID.returns('tx2');
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'asset1', '[]', '[]');
+
+            expect(await verify(created)).to.include({ verified: true, current: false, txId: 'tx1' });
+            expect(await verify(await readAsset('asset1'))).to.include({ verified: true, current: true, txId: 'tx2' });
+
+            chaincodeStub.getTxID.returns('tx3');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            chaincodeStub.getTxID.returns('tx4');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+
+            expect(await verify(await readAsset('asset1'))).to.include({ verified: true, current: true, txId: 'tx4' });
+        });
+
+        it('should store assets without a commitment when the client sends no salt', async () => {
+            const commitment = assetId => chaincodeStub.states[ChaincodeStub.prototype.createCompositeKey('commitment~msp~assetId', ['Org1MSP', assetId])];
+            chaincodeStub.getTransient.returns(new Map());
+
+            await createAsset('asset1');
+            await assetTransfer.PushAssets(transactionContext, JSON.stringify([{ assetId: 'asset2', subAssets: [], tags: [], history: [{ org: 'org1', timestamp: 1 }] }]));
+            chaincodeStub.getTransient.returns(new Map([['rows', Buffer.from(JSON.stringify([{ assetId: 'asset3', tags: [] }]))]]));
+            await assetTransfer.ImportAssets(transactionContext, 'org1');
+
+            for (const assetId of ['asset1', 'asset2', 'asset3']) {
+                expect(await readAsset(assetId)).to.not.have.property('salt');
+                expect(commitment(assetId)).to.equal(undefined);
+            }
+            await expectError(verify(await readAsset('asset1'), 'guess'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 has no commitment');
+        });
+
+        it('should derive later salts from the client\'s salt', async () => {
+            setTransient({ salt: 'secret' });
+            await createAsset('asset1');
+            chaincodeStub.getTransient.returns(new Map());
+            chaincodeStub.getTxID.returns('tx2');
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'asset1', '[]', '[]');
+
+            const asset = await readAsset('asset1');
+            expect(asset.salt).to.not.equal('secret');
+            expect(asset.salt).to.not.equal(require('crypto').createHash('sha256').update('tx2:asset1').digest('hex'));
+            expect(await verify(asset)).to.include({ verified: true, current: true, txId: 'tx2' });
+        });
+
+        it('should not derive salts from the copies a transaction shares', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createTransaction('transaction1', ['asset1']);
+            await createTransaction('transaction2', ['asset2']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+
+            chaincodeStub.getTransient.returns(new Map());
+            chaincodeStub.getTxID.returns('tx2');
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction2');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+
+            expect(await readAsset('asset1')).to.not.have.property('salt');
+            useIdentity('Org1MSP');
+            expect(await readAsset('asset2')).to.not.have.property('salt');
+
+            setTransient({ salt: 'fresh' });
+            chaincodeStub.getTxID.returns('tx3');
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'asset2', '[]', '[]');
+            expect(await verify(await readAsset('asset2'))).to.include({ verified: true, current: true, txId: 'tx3' });
+        });
+
+        it('should keep the commitments of another org\'s asset of the same ID apart', async () => {
+            await createAsset('asset1');
+            const asset = await readAsset('asset1');
+
+            useIdentity('Org3MSP');
+            chaincodeStub.getTxID.returns('tx2');
+            await createAsset('asset1');
+
+            expect(await verify(asset)).to.include({ verified: true, current: true, txId: 'tx1' });
+            expect(await verify(await readAsset('asset1'))).to.include({ verified: true, current: true, txId: 'tx2' });
+            const ret = JSON.parse(await assetTransfer.VerifyPrivateAsset(transactionContext, JSON.stringify(asset), '', 'Org3MSP')).details;
+            expect(ret.verified).to.equal(false);
+        });
+
+        it('should return error for an asset without commitment', async () => {
+            await expectError(verify({ assetId: 'asset9', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1 }] }, 'salt'), ErrorCode.ASSET_NOT_FOUND);
+        });
+
+        it('should return error without a salt to hash the asset with', async () => {
+            await expectError(verify({ assetId: 'asset9', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1 }] }), ErrorCode.INVALID_ARGUMENT, 'Argument salt is required when the asset has no salt');
+        });
+
+        it('should skip deletes in the history of a commitment', async () => {
+            await createAsset('asset1');
+            const created = await readAsset('asset1');
+            chaincodeStub.getTxID.returns('tx2');
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'asset1', '[]', '[]');
+
+            const key = ChaincodeStub.prototype.createCompositeKey('commitment~msp~assetId', ['Org1MSP', 'asset1']);
+            chaincodeStub.keyHistory[key].splice(1, 0, { txId: 'tx9', isDelete: true, value: Buffer.from('') });
+
+            expect(await verify(created)).to.include({ verified: true, current: false, txId: 'tx1' });
+        });
+    });
+
+    describe('Test lots', () => {
+        async function createLot(assetId, quantity, unit = 'kg') {
+            setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId, tags: [], quantity, unit }) });
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            setTransient();
+        }
+
+        async function readAsset(assetId) {
+            return JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, assetId)).details;
+        }
+
+        it('should split lots off an asset and record the lineage', async () => {
+            await createLot('batch1', 500);
+
+            await assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 120.5 }, { assetId: 'batch1b', quantity: 79.5 }]));
+
+            const remainder = await readAsset('batch1');
+            const lot = await readAsset('batch1a');
+            expect(remainder.quantity).to.equal(300);
+            expect(remainder.lineage[0]).to.include({ operation: 'SPLIT_OFF', txId: 'tx1' });
+            expect(remainder.lineage[0].assetIds).to.eql(['batch1a', 'batch1b']);
+            expect(lot).to.include({ quantity: 120.5, unit: 'kg' });
+            expect(lot.lineage[0].assetIds).to.eql(['batch1']);
+        });
+
+        it('should remove an asset that is split completely', async () => {
+            await createLot('batch1', 10);
+
+            await assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 4 }, { assetId: 'batch1b', quantity: 6 }]));
+
+            expect(await readAssetIds()).to.eql(['batch1a', 'batch1b']);
+        });
+
+        it('should refuse to take more than the asset holds or to reuse an ID', async () => {
+            await createLot('batch1', 10);
+            await createLot('batch2', 10);
+
+            await expectError(assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 11 }])), ErrorCode.INVALID_ARGUMENT, 'Asset batch1 holds 10, 11 cannot be taken from it');
+            await expectError(assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch2', quantity: 1 }])), ErrorCode.INVALID_ARGUMENT, 'Asset batch2 already exists');
+        });
+
+        it('should merge lots of the same unit', async () => {
+            await createLot('batch1', 10);
+            await createLot('batch2', 2.5);
+            await createLot('crate1', 3, 'pcs');
+
+            await expectError(assetTransfer.MergeAssets(transactionContext, 'batch1', JSON.stringify(['batch1', 'crate1'])), ErrorCode.INVALID_ARGUMENT, 'Asset crate1 is measured in pcs, not kg');
+
+            await assetTransfer.MergeAssets(transactionContext, 'batch1', JSON.stringify(['batch1', 'batch2']));
+
+            const merged = await readAsset('batch1');
+            expect(await readAssetIds()).to.eql(['batch1', 'crate1']);
+            expect(merged).to.include({ quantity: 12.5, unit: 'kg' });
+            expect(merged.lineage[0]).to.include({ operation: 'MERGE' });
+            expect(merged.lineage[0].assetIds).to.eql(['batch1', 'batch2']);
+        });
+
+        it('should transfer part of a lot and keep the rest with the sender', async () => {
+            await createLot('batch1', 500);
+
+            await createTransaction('transaction1', [{ assetId: 'batch1', quantity: 200 }]);
+
+            expect(await readAssetIds()).to.eql(['batch1']);
+            expect((await readAsset('batch1')).quantity).to.equal(300);
+
+            const transaction = JSON.parse(await assetTransfer.ReadTransactionPrivateDetails(transactionContext, 'transaction1')).details;
+            expect(transaction.assetIds[0]).to.include({ assetId: 'batch1-transaction1', quantity: 200 });
+
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+
+            expect(await readAssetIds()).to.eql(['batch1-transaction1']);
+        });
+
+        it('should refuse to split an asset without quantity or into the same lot twice', async () => {
+            await createAsset('widget1');
+            await createLot('batch1', 10);
+
+            await expectError(assetTransfer.SplitAsset(transactionContext, 'widget1', JSON.stringify([{ assetId: 'widget1a', quantity: 1 }])), ErrorCode.INVALID_ARGUMENT, 'Asset widget1 has no quantity');
+            await expectError(assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 1 }, { assetId: 'batch1a', quantity: 2 }])), ErrorCode.INVALID_ARGUMENT, 'Asset batch1a is given more than once');
+            await expectError(assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 0 }])), ErrorCode.INVALID_ARGUMENT, 'Validation failed: lots[0].quantity must be greater than 0');
+        });
+
+        it('should merge lots without a unit and refuse to merge fewer than two', async () => {
+            for (const [assetId, quantity] of [['bolts1', 40], ['bolts2', 10]]) {
+                setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId, tags: [], quantity }) });
+                await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            }
+            setTransient();
+
+            await expectError(assetTransfer.MergeAssets(transactionContext, 'bolts3', JSON.stringify(['bolts1'])), ErrorCode.INVALID_ARGUMENT, 'A merge needs at least two different assets');
+            await expectError(assetTransfer.MergeAssets(transactionContext, 'bolts3', JSON.stringify(['bolts1', 'bolts1'])), ErrorCode.INVALID_ARGUMENT, 'A merge needs at least two different assets');
+
+            await assetTransfer.MergeAssets(transactionContext, 'bolts3', JSON.stringify(['bolts1', 'bolts2']));
+
+            const merged = await readAsset('bolts3');
+            expect(merged.quantity).to.equal(50);
+            expect(merged).to.not.have.property('unit');
+        });
+
+        it('should take lineage written before origins were recorded to come from the asset\'s origin', async () => {
+            await createLot('batch1', 10);
+            await assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 4 }]));
+            const stored = await readAsset('batch1a');
+            delete stored.lineage[0].origins;
+            storeLegacy('Org1MSPPrivateCollection', assetKey('Org1MSP', 'batch1a'), stored);
+            await createLot('batch2', 5);
+
+            await assetTransfer.MergeAssets(transactionContext, 'batch3', JSON.stringify(['batch1a', 'batch2']));
+
+            const merged = await readAsset('batch3');
+            expect(merged.lineage.map(entry => [entry.operation, entry.assetIds, entry.origins])).to.eql([
+                ['MERGE', ['batch1a', 'batch2'], ['Org1MSP', 'Org1MSP']],
+                ['SPLIT', ['batch1'], ['Org1MSP']],
+            ]);
+        });
+
+        it('should refuse to take the same asset twice in one transfer', async () => {
+            await createLot('batch1', 500);
+
+            await expectError(createTransaction('transaction1', [{ assetId: 'batch1', quantity: 200, lotId: 'lotA' }, { assetId: 'batch1', quantity: 200, lotId: 'lotB' }]), ErrorCode.INVALID_ARGUMENT, 'Asset batch1 is given more than once');
+            await expectError(createTransaction('transaction1', ['batch1', { assetId: 'batch1', quantity: 200 }]), ErrorCode.INVALID_ARGUMENT, 'Asset batch1 is given more than once');
+            expect((await readAsset('batch1')).quantity).to.equal(500);
+        });
+    });
+
+    describe('Test asset tree', () => {
+        async function readAsset(assetId) {
+            return JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, assetId)).details;
+        }
+
+        beforeEach(async () => {
+            await createAsset('wheel1');
+            await createAsset('wheel2');
+            await createAsset('frame1');
+        });
+
+        it('should link components instead of copying them', async () => {
+            await createAsset('bike1', ['wheel1', 'frame1']);
+
+            const bike = await readAsset('bike1');
+            const wheel = await readAsset('wheel1');
+            expect(bike.subAssets).to.eql(['wheel1', 'frame1']);
+            expect(wheel.parentId).to.equal('bike1');
+            expect(wheel.history[0]).to.include({ event: 'ASSEMBLED', parentId: 'bike1' });
+        });
+
+        it('should resolve the current composition recursively', async () => {
+            await createAsset('bike1', ['wheel1']);
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'wheel1', JSON.stringify([{ key: 'size', value: 28 }]), '[]');
+            await createAsset('pallet1', ['bike1']);
+
+            const tree = JSON.parse(await assetTransfer.ReadAssetTree(transactionContext, 'pallet1')).details;
+
+            expect(tree.subAssets[0].assetId).to.equal('bike1');
+            expect(tree.subAssets[0].subAssets[0]).to.include({ assetId: 'wheel1', parentId: 'bike1' });
+            expect(tree.subAssets[0].subAssets[0].tags).to.eql([{ key: 'size', value: 28 }]);
+        });
+
+        it('should refuse a component that is already used or would make a cycle', async () => {
+            await createAsset('bike1', ['wheel1']);
+
+            await expectError(createAsset('bike2', ['wheel1']), ErrorCode.INVALID_STATE, 'Asset wheel1 is already a component of bike1');
+            await expectError(assetTransfer.AssembleAsset(transactionContext, 'wheel1', JSON.stringify(['bike1'])), ErrorCode.INVALID_ARGUMENT, 'Asset bike1 cannot be a component of wheel1, as that would make a cycle');
+            await expectError(assetTransfer.AssembleAsset(transactionContext, 'frame1', JSON.stringify(['frame1'])), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should assemble and disassemble components and record both in their history', async () => {
+            await assetTransfer.AssembleAsset(transactionContext, 'frame1', JSON.stringify(['wheel1', 'wheel2']));
+            expect((await readAsset('frame1')).subAssets).to.eql(['wheel1', 'wheel2']);
+
+            await assetTransfer.DisassembleAsset(transactionContext, 'frame1', JSON.stringify(['wheel1']));
+            expect((await readAsset('frame1')).subAssets).to.eql(['wheel2']);
+
+            const wheel = await readAsset('wheel1');
+            expect(wheel).to.not.have.property('parentId');
+            expect(wheel.history.map(entry => entry.event)).to.eql(['DISASSEMBLED', 'ASSEMBLED', undefined]);
+
+            await assetTransfer.DisassembleAsset(transactionContext, 'frame1');
+            expect((await readAsset('frame1')).subAssets).to.eql([]);
+            expect(await readAsset('wheel2')).to.not.have.property('parentId');
+        });
+
+        it('should release the components an update leaves out and keep the others', async () => {
+            await createAsset('bike1', ['wheel1', 'wheel2']);
+
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'bike1', '[]', JSON.stringify(['wheel1']));
+
+            expect((await readAsset('bike1')).subAssets).to.eql(['wheel1']);
+            expect((await readAsset('wheel1')).history).to.have.lengthOf(2);
+            expect(await readAsset('wheel2')).to.not.have.property('parentId');
+        });
+
+        it('should refuse components given twice, ones that are not components and removing a component', async () => {
+            await expectError(assetTransfer.AssembleAsset(transactionContext, 'frame1', JSON.stringify(['wheel1', 'wheel1'])), ErrorCode.INVALID_ARGUMENT, 'Components of frame1 are given more than once');
+            await expectError(assetTransfer.DisassembleAsset(transactionContext, 'frame1', JSON.stringify(['wheel1'])), ErrorCode.INVALID_ARGUMENT, 'Asset wheel1 is not a component of frame1');
+
+            await createAsset('bike1', ['wheel1']);
+            await expectError(assetTransfer.RemovePrivateAsset(transactionContext, JSON.stringify(['wheel1'])), ErrorCode.INVALID_STATE, 'Asset wheel1 is a component of bike1, disassemble it first');
+        });
+
+        it('should keep the copies and stale links of assets saved before the links existed', async () => {
+            const copy = { assetId: 'wheel9', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1600000000 }] };
+            storeLegacy('Org1MSPPrivateCollection', assetKey('Org1MSP', 'cart1'), { assetId: 'cart1', tags: [], subAssets: [copy, 'wheel1', 'wheel8'], history: [{ org: 'org1', timestamp: 1600000000 }] });
+
+            const tree = JSON.parse(await assetTransfer.ReadAssetTree(transactionContext, 'cart1')).details;
+            expect(tree.subAssets).to.eql([copy, { assetId: 'wheel1', missing: true }, { assetId: 'wheel8', missing: true }]);
+
+            await assetTransfer.DisassembleAsset(transactionContext, 'cart1', JSON.stringify(['wheel9']));
+            expect((await readAsset('cart1')).subAssets).to.eql(['wheel1', 'wheel8']);
+
+            await createTransaction('transaction1', ['cart1']);
+            expect(await readAssetIds()).to.eql(['frame1', 'wheel1', 'wheel2']);
+        });
+
+        it('should read assets saved without sub assets', async () => {
+            storeLegacy('Org1MSPPrivateCollection', assetKey('Org1MSP', 'cart1'), { assetId: 'cart1', tags: [], history: [{ org: 'org1', timestamp: 1600000000 }] });
+
+            expect(JSON.parse(await assetTransfer.ReadAssetTree(transactionContext, 'cart1')).details.subAssets).to.eql([]);
+            await expectError(assetTransfer.DisassembleAsset(transactionContext, 'cart1', JSON.stringify(['wheel1'])), ErrorCode.INVALID_ARGUMENT, 'Asset wheel1 is not a component of cart1');
+        });
+
+        it('should treat records without sub assets as having no components', async () => {
+            expect(childIds({ assetId: 'cart1' })).to.eql([]);
+            expect((await readTree(transactionContext, 'Org1MSP', { assetId: 'cart1' })).subAssets).to.eql([]);
+        });
+
+        it('should keep the assembly a pushed component names', async () => {
+            await assetTransfer.PushAssets(transactionContext, JSON.stringify([{ assetId: 'part1', subAssets: [], tags: [], history: [{ org: 'org4', timestamp: 1 }], parentId: 'kit1' }]));
+
+            expect((await readAsset('part1')).parentId).to.equal('kit1');
+        });
+
+        it('should move components with their assembly only', async () => {
+            await createAsset('bike1', ['wheel1']);
+
+            await expectError(createTransaction('transaction1', ['wheel1']), ErrorCode.INVALID_STATE);
+            await expectError(assetTransfer.RemovePrivateAsset(transactionContext, JSON.stringify(['bike1'])), ErrorCode.INVALID_STATE);
+
+            await createTransaction('transaction1', ['bike1']);
+            expect(await readAssetIds()).to.eql(['frame1', 'wheel2']);
+
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction1');
+            expect((await readAsset('wheel1')).parentId).to.equal('bike1');
+        });
+    });
+
+    describe('Test RecallAsset', () => {
+        async function transfer(transactionId, items, from, to) {
+            useIdentity(from);
+            await assetTransfer.CreatePrivateTransaction(transactionContext, 'org', 'org', transactionId, JSON.stringify(items), to);
+            useIdentity(to);
+            await assetTransfer.AcceptTransaction(transactionContext, transactionId);
+            useIdentity(from);
+            await assetTransfer.TransferNow(transactionContext, transactionId);
+            useIdentity(to);
+            await assetTransfer.OwnAsset(transactionContext, transactionId);
+        }
+
+        async function createLot(assetId, quantity) {
+            setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId, tags: [], quantity, unit: 'kg' }) });
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            setTransient();
+        }
+
+        beforeEach(async () => {
+            await createLot('batch1', 500);
+
+            await transfer('transaction1', [{ assetId: 'batch1', quantity: 200 }], 'Org1MSP', 'Org2MSP');
+            await createAsset('box1', ['batch1-transaction1']);
+            await transfer('transaction2', ['box1'], 'Org2MSP', 'Org3MSP');
+            useIdentity('Org1MSP');
+        });
+
+        it('should trace lots, assemblies and downstream orgs', async () => {
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated')).details;
+
+            expect(ret.affectedAssets).to.eql(['batch1', 'batch1-transaction1', 'box1']);
+            expect(ret.assemblies).to.eql(['box1']);
+            expect(ret.orgs).to.eql(['Org1MSP', 'Org3MSP', 'Org2MSP']);
+            expect(ret.holders).to.eql({ batch1: 'Org1MSP', 'batch1-transaction1': 'Org3MSP', box1: 'Org3MSP' });
+        });
+
+        it('should refuse to transfer recalled assets', async () => {
+            await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated');
+
+            await expectError(createTransaction('transaction3', [{ assetId: 'batch1', quantity: 10 }]), ErrorCode.INVALID_STATE, 'Asset batch1 is covered by the recall of batch1: contaminated');
+
+            useIdentity('Org3MSP');
+            await expectError(assetTransfer.CreatePrivateTransaction(transactionContext, 'org3', 'org4', 'transaction3', JSON.stringify(['box1']), 'Org4MSP'), ErrorCode.INVALID_STATE);
+        });
+
+        it('should notify the affected orgs through their logs and an event', async () => {
+            await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated');
+
+            const [name, payload] = chaincodeStub.setEvent.lastCall.args;
+            expect(name).to.equal('AssetRecalled');
+            expect(JSON.parse(payload.toString())).to.include({ assetId: 'batch1', recalledBy: 'Org1MSP' });
+
+            useIdentity('Org3MSP');
+            const logs = JSON.parse(await assetTransfer.ReadLogs(transactionContext, '10', '', JSON.stringify({ action: 'RECALL NOTICE' }))).details.logs;
+            expect(logs).to.have.lengthOf(1);
+            expect(logs[0].description).to.equal('Asset batch1 has been recalled by Org1MSP: contaminated');
+        });
+
+        it('should only let orgs that held the asset recall it', async () => {
+            useIdentity('Org4MSP');
+            await expectError(assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated'), ErrorCode.ASSET_NOT_FOUND);
+
+            useIdentity('Org1MSP');
+            await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated');
+            await expectError(assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated'), ErrorCode.INVALID_STATE, 'Asset batch1 is already recalled');
+        });
+
+        it('should trace an asset through cancelled transfers, apart from other orgs\' assets of the ID', async () => {
+            useIdentity('Org3MSP');
+            await createLot('batch1', 20);
+            await assetTransfer.CreatePrivateTransaction(transactionContext, 'org3', 'org4', 'transaction3', JSON.stringify(['batch1']), 'Org4MSP');
+            useIdentity('Org1MSP');
+            await createTransaction('transaction4', ['batch1']);
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction4');
+            await createTransaction('transaction5', ['batch1']);
+
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated')).details;
+            expect(ret.origin).to.equal('Org1MSP');
+            expect(ret.transfers.filter(transfer => transfer.assetId === 'batch1').map(transfer => [transfer.transactionId, transfer.status])).to.eql([['transaction4', 'CANCELLED'], ['transaction5', 'PENDING']]);
+            expect(ret.holders.batch1).to.equal('Org2MSP');
+        });
+
+        it('should name an assembly once however many records of its component point to it', async () => {
+            useIdentity('Org3MSP');
+
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch1-transaction1', 'contaminated')).details;
+            expect(ret.affectedAssets).to.eql(['batch1-transaction1', 'box1']);
+            expect(ret.assemblies).to.eql(['box1']);
+        });
+
+        it('should block splits, merges, assemblies and pulls of recalled assets', async () => {
+            await createLot('batch2', 100);
+            await createAsset('crate1');
+            await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated');
+
+            const covered = 'Asset batch1 is covered by the recall of batch1: contaminated';
+            await expectError(assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 10 }])), ErrorCode.INVALID_STATE, covered);
+            await expectError(assetTransfer.MergeAssets(transactionContext, 'batch3', JSON.stringify(['batch2', 'batch1'])), ErrorCode.INVALID_STATE, covered);
+            await expectError(assetTransfer.AssembleAsset(transactionContext, 'crate1', JSON.stringify(['batch1'])), ErrorCode.INVALID_STATE, covered);
+            await expectError(assetTransfer.PullAssets(transactionContext, JSON.stringify(['batch1'])), ErrorCode.INVALID_STATE, covered);
+
+            useIdentity('Org3MSP');
+            await createAsset('wheel1');
+            await expectError(assetTransfer.AssembleAsset(transactionContext, 'box1', JSON.stringify(['wheel1'])), ErrorCode.INVALID_STATE, 'Asset box1 is covered by the recall of batch1: contaminated');
+        });
+
+        it('should recall the lots and merges made of an asset', async () => {
+            await createLot('batch2', 100);
+            await assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 50 }]));
+            await assetTransfer.MergeAssets(transactionContext, 'batch3', JSON.stringify(['batch1a', 'batch2']));
+
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch2', 'mislabelled')).details;
+            expect(ret.affectedAssets).to.eql(['batch2', 'batch3']);
+            expect(ret.origin).to.equal('Org1MSP');
+
+            await expectError(createTransaction('transaction3', ['batch3']), ErrorCode.INVALID_STATE, 'Asset batch3 is covered by the recall of batch2: mislabelled');
+            await createTransaction('transaction3', [{ assetId: 'batch1', quantity: 10 }]);
+        });
+
+        it('should block merges made of a recalled asset wherever they went', async () => {
+            await assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 50 }]));
+            await createLot('batch2', 100);
+            await assetTransfer.MergeAssets(transactionContext, 'batch3', JSON.stringify(['batch1a', 'batch2']));
+            await assetTransfer.SplitAsset(transactionContext, 'batch3', JSON.stringify([{ assetId: 'batch3a', quantity: 20 }]));
+            await transfer('transaction3', ['batch3a'], 'Org1MSP', 'Org2MSP');
+            useIdentity('Org2MSP');
+            await createLot('batch4', 10);
+            await assetTransfer.MergeAssets(transactionContext, 'batch5', JSON.stringify(['batch3a', 'batch4']));
+
+            useIdentity('Org1MSP');
+            await assetTransfer.RecallAsset(transactionContext, 'batch1a', 'contaminated');
+
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.CreatePrivateTransaction(transactionContext, 'org2', 'org3', 'transaction4', JSON.stringify(['batch5']), 'Org3MSP'), ErrorCode.INVALID_STATE, 'Asset batch5 is covered by the recall of batch1a: contaminated');
+        });
+
+        it('should only recall the asset of the org that created it', async () => {
+            useIdentity('Org3MSP');
+            await createLot('batch1', 20);
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated')).details;
+            expect(ret.origin).to.equal('Org3MSP');
+            expect(ret.affectedAssets).to.eql(['batch1']);
+
+            useIdentity('Org1MSP');
+            await createTransaction('transaction3', [{ assetId: 'batch1', quantity: 10 }]);
+            await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated');
+        });
+
+        it('should let a sender recall an asset it no longer holds', async () => {
+            await transfer('transaction3', ['batch1'], 'Org1MSP', 'Org2MSP');
+
+            useIdentity('Org1MSP');
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated')).details;
+            expect(ret.holders.batch1).to.equal('Org2MSP');
+        });
+
+        it('should skip index entries of transactions that are gone', async () => {
+            const key = ChaincodeStub.prototype.createCompositeKey('transaction~assetId~txId', ['batch1', 'gone1']);
+            chaincodeStub.privateStates.assetCollection[key] = Buffer.from('gone1');
+
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'batch1', 'contaminated')).details;
+            expect(ret.transfers.map(transfer => transfer.transactionId)).to.not.include('gone1');
+        });
+
+        it('should trace pushed components to the assembly they name', async () => {
+            useIdentity('Org4MSP');
+            await assetTransfer.PushAssets(transactionContext, JSON.stringify([{ assetId: 'part1', subAssets: [], tags: [], history: [{ org: 'org4', timestamp: 1700000000, txId: 'tx0', msp: 'Org4MSP' }], parentId: 'kit1' }]));
+
+            const ret = JSON.parse(await assetTransfer.RecallAsset(transactionContext, 'part1', 'faulty')).details;
+            expect(ret.affectedAssets).to.eql(['part1', 'kit1']);
+            expect(ret.assemblies).to.eql(['kit1']);
+        });
+    });
+
+    describe('Test RemovePrivateAsset', () => {
+        it('should delete the asset records', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+
+            await assetTransfer.RemovePrivateAsset(transactionContext, JSON.stringify(['asset1']));
+
+            expect(await readAssetIds()).to.eql(['asset2']);
+        });
+    });
+
+    describe('Test ReadLogs', () => {
+        function setTime(seconds, txId) {
+            chaincodeStub.getTxTimestamp.returns({ seconds: { low: seconds }, nanos: 0, array: [seconds, 0] });
+            chaincodeStub.getTxID.returns(txId);
+        }
+
+        beforeEach(async () => {
+            setTime(100, 'tx1');
+            await createAsset('asset1');
+            setTime(200, 'tx2');
+            await createAsset('asset2');
+            setTime(300, 'tx3');
+            await assetTransfer.RemovePrivateAsset(transactionContext, JSON.stringify(['asset1']));
+        });
+
+        async function readLogs(...args) {
+            return JSON.parse(await assetTransfer.ReadLogs(transactionContext, ...args));
+        }
+
+        it('should page through the logs with bookmarks', async () => {
+            const first = await readLogs('2');
+            expect(first.details.logs.map(log => log.txId)).to.eql(['tx1', 'tx2']);
+            expect(first.details.bookmark).to.not.equal('');
+
+            const second = await readLogs('2', first.details.bookmark);
+            expect(second.details.logs.map(log => log.txId)).to.eql(['tx3']);
+            expect(second.details.bookmark).to.equal('');
+        });
+
+        it('should filter the logs by action, asset and time window', async () => {
+            const byAction = await readLogs('10', '', JSON.stringify({ action: 'CREATE ASSET' }));
+            expect(byAction.details.logs.map(log => log.txId)).to.eql(['tx1', 'tx2']);
+
+            const byAsset = await readLogs('10', '', JSON.stringify({ assetId: 'asset1' }));
+            expect(byAsset.details.logs.map(log => log.txId)).to.eql(['tx1', 'tx3']);
+
+            const byTime = await readLogs('10', '', JSON.stringify({ from: 150, to: 200 }));
+            expect(byTime.details.logs.map(log => log.txId)).to.eql(['tx2']);
+        });
+
+        it('should only return the logs of the caller', async () => {
+            useIdentity('Org2MSP');
+            const ret = await readLogs();
+            expect(ret.details.logs).to.eql([]);
+        });
+
+        describe('with a rich query', () => {
+            // the fake hands back every activity entry in reverse and leaves the selector to CouchDB
+            beforeEach(() => {
+                chaincodeStub.getPrivateDataQueryResult.callsFake(async (collection) => {
+                    const keys = privateKeys(collection).filter(key => key.startsWith('\u0000activity~org~timestamp~txId'));
+                    return iteratorOver(collection, keys.reverse());
+                });
+            });
+
+            async function queryLogs(...args) {
+                return JSON.parse(await assetTransfer.QueryLogs(transactionContext, ...args)).details;
+            }
+
+            function selector() {
+                const [collection, query] = chaincodeStub.getPrivateDataQueryResult.lastCall.args;
+                expect(collection).to.equal('assetCollection');
+                expect(JSON.parse(query).use_index).to.eql(['_design/indexActivityDoc', 'indexActivity']);
+                return JSON.parse(query).selector.$and;
+            }
+
+            it('should page through the logs in key order', async () => {
+                const first = await queryLogs('2');
+                expect(first.logs.map(log => log.txId)).to.eql(['tx1', 'tx2']);
+
+                const second = await queryLogs('2', first.bookmark);
+                expect(second.logs.map(log => log.txId)).to.eql(['tx3']);
+                expect(second.bookmark).to.equal('');
+                expect((await queryLogs()).logs).to.have.lengthOf(3);
+            });
+
+            it('should select the logs of the caller', async () => {
+                useIdentity('Org2MSP');
+                await queryLogs();
+
+                expect(selector()).to.eql([
+                    { initiated: { $gt: null } },
+                    { $or: [{ org: 'Org2MSP' }, { org: { $exists: false }, initiated: 'Org2MSP' }] },
+                ]);
+            });
+
+            it('should send the filters to CouchDB as a selector', async () => {
+                await queryLogs('10', '', JSON.stringify({ action: 'CREATE ASSET', assetId: 'asset1', from: 150, to: 200 }));
+                expect(selector().slice(2)).to.eql([
+                    { action: 'CREATE ASSET' },
+                    { $or: [{ assets: { $elemMatch: { $eq: 'asset1' } } }, { assets: { $elemMatch: { assetId: 'asset1' } } }] },
+                    { timestamp: { $gte: 150, $lte: 200 } },
+                ]);
+
+                await queryLogs('10', '', JSON.stringify({ from: 150 }));
+                expect(selector().slice(2)).to.eql([{ timestamp: { $gte: 150 } }]);
+
+                await queryLogs('10', '', JSON.stringify({ to: 200 }));
+                expect(selector().slice(2)).to.eql([{ timestamp: { $lte: 200 } }]);
+            });
+
+            it('should refuse malformed filters', async () => {
+                await expectError(assetTransfer.QueryLogs(transactionContext, '10', '', '{'), ErrorCode.INVALID_ARGUMENT);
+            });
+        });
+
+        it('should log entries clients pass as arguments', async () => {
+            setTime(400, 'tx4');
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'admin' });
+            await assetTransfer.aroundTransaction(transactionContext, 'LogIt', ['Stock counted', 'COUNT', JSON.stringify(['asset2'])]);
+            await assetTransfer.aroundTransaction(transactionContext, 'LogIt', ['Shelves cleaned', 'CLEAN']);
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'LogIt', ['Stock counted', 'COUNT', '{"assetId":']), ErrorCode.INVALID_ARGUMENT);
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'LogIt', ['Stock counted', 'COUNT', '"asset2"']), ErrorCode.INVALID_ARGUMENT);
+
+            const logs = (await readLogs('10', '', JSON.stringify({ action: 'COUNT' }))).details.logs;
+            expect(logs.map(log => [log.description, log.assets])).to.eql([['Stock counted', ['asset2']]]);
+            expect((await readLogs('10', '', JSON.stringify({ action: 'CLEAN' }))).details.logs[0].assets).to.eql([]);
+        });
+
+        it('should find entries written before they listed their assets', async () => {
+            const key = ChaincodeStub.prototype.createCompositeKey('activity~org~timestamp~txId', ['Org1MSP', '000000000050', 'tx0', '1']);
+            storeLegacy('assetCollection', key, { initiated: 'Org1MSP', description: 'Ledger set up', action: 'SETUP', timestamp: 50, txId: 'tx0' });
+
+            expect((await readLogs('10', '', JSON.stringify({ assetId: 'asset1' }))).details.logs.map(log => log.txId)).to.eql(['tx1', 'tx3']);
+            expect((await readLogs('1')).details.logs[0]).to.include({ action: 'SETUP', schemaVersion: 1 });
+        });
+
+        it('should log asset IDs and still find entries that logged whole records', async () => {
+            const key = ChaincodeStub.prototype.createCompositeKey('activity~org~timestamp~txId', ['Org1MSP', '000000000050', 'tx0', '1']);
+            storeLegacy('assetCollection', key, { initiated: 'Org1MSP', description: 'New asset created', action: 'CREATE ASSET', timestamp: 50, txId: 'tx0', assets: [{ assetId: 'asset1', salt: 'old-salt' }] });
+
+            const logs = (await readLogs('10', '', JSON.stringify({ assetId: 'asset1' }))).details.logs;
+            expect(logs.map(log => [log.txId, log.assets])).to.eql([['tx0', [{ assetId: 'asset1', salt: 'old-salt' }]], ['tx1', ['asset1']], ['tx3', ['asset1']]]);
+        });
+
+        it('should return error on a bookmark of another range', async () => {
+            const first = await readLogs('1');
+
+            useIdentity('Org2MSP');
+            await expectError(readLogs('1', first.details.bookmark), ErrorCode.INVALID_ARGUMENT);
+        });
+    });
+
+    describe('Test incoming and outgoing transactions', () => {
+        beforeEach(async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createTransaction('transaction1', ['asset1']);
+            await createTransaction('transaction2', ['asset2']);
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction2');
+        });
+
+        async function read(direction, pageSize, bookmark, filters) {
+            return JSON.parse(await assetTransfer[`Read${direction}Transactions`](transactionContext, pageSize, bookmark, JSON.stringify(filters || {}))).details;
+        }
+
+        it('should list the transactions sent to the caller with counts per status', async () => {
+            useIdentity('Org2MSP');
+            const ret = await read('Incoming', '10', '');
+
+            expect(ret.transactions.map(transaction => [transaction.id, transaction.status])).to.have.deep.members([['transaction1', 'PENDING'], ['transaction2', 'CANCELLED']]);
+            expect(ret.transactions[0].assetIds).to.have.lengthOf(1);
+            expect(ret.counts).to.eql({ PENDING: 1, CANCELLED: 1 });
+        });
+
+        it('should filter by status and page with bookmarks', async () => {
+            const pending = await read('Outgoing', '10', '', { status: 'PENDING' });
+            expect(pending.transactions.map(transaction => transaction.id)).to.eql(['transaction1']);
+
+            const first = await read('Outgoing', '1', '');
+            const second = await read('Outgoing', '1', first.bookmark);
+            expect(second.bookmark).to.equal('');
+            expect([...first.transactions, ...second.transactions].map(transaction => transaction.id)).to.have.members(['transaction1', 'transaction2']);
+        });
+
+        it('should filter by date range', async () => {
+            const ret = await read('Outgoing', '10', '', { from: 1800000000 });
+            expect(ret.transactions).to.eql([]);
+            expect(ret.counts).to.eql({});
+
+            expect((await read('Outgoing', '10', '', { to: 1600000000 })).transactions).to.eql([]);
+        });
+
+        it('should combine the status with the date range', async () => {
+            const within = await read('Outgoing', '10', '', { status: 'PENDING', from: 1600000000, to: 1800000000 });
+            expect(within.transactions.map(transaction => transaction.id)).to.eql(['transaction1']);
+            expect(within.counts).to.eql({ PENDING: 1, CANCELLED: 1 });
+
+            expect((await read('Outgoing', '10', '', { status: 'PENDING', to: 1600000000 })).transactions).to.eql([]);
+            expect((await read('Outgoing', '10', '', { status: 'CANCELLED', from: 1800000000 })).transactions).to.eql([]);
+        });
+
+        it('should read the first ten of every status by default', async () => {
+            const outgoing = JSON.parse(await assetTransfer.ReadOutgoingTransactions(transactionContext)).details;
+            expect(outgoing.transactions).to.have.lengthOf(2);
+
+            useIdentity('Org2MSP');
+            const incoming = JSON.parse(await assetTransfer.ReadIncomingTransactions(transactionContext)).details;
+            expect(incoming.transactions).to.have.lengthOf(2);
+        });
+
+        it('should count every transaction without filters', async () => {
+            expect(await countByStatus(transactionContext, 'Org1MSP', 'outgoing')).to.eql({ PENDING: 1, CANCELLED: 1 });
+        });
+
+        it('should return error on filters that are not JSON', async () => {
+            await expectError(assetTransfer.ReadOutgoingTransactions(transactionContext, '10', '', '{'), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should not list transactions of other orgs', async () => {
+            expect((await read('Incoming', '10', '')).transactions).to.eql([]);
+
+            useIdentity('Org3MSP');
+            expect(JSON.parse(await assetTransfer.ReadTransactions(transactionContext)).details).to.eql([]);
+        });
+
+        it('should hide a deleted transaction from the caller only', async () => {
+            await assetTransfer.DeleteTransaction(transactionContext, 'transaction2');
+
+            expect((await read('Outgoing', '10', '')).transactions.map(transaction => transaction.id)).to.eql(['transaction1']);
+            useIdentity('Org2MSP');
+            expect((await read('Incoming', '10', '')).transactions).to.have.lengthOf(2);
+
+            await assetTransfer.DeleteTransaction(transactionContext, 'transaction1');
+            expect((await read('Incoming', '10', '')).transactions.map(transaction => transaction.id)).to.eql(['transaction2']);
+            useIdentity('Org1MSP');
+            expect((await read('Outgoing', '10', '')).transactions.map(transaction => transaction.id)).to.eql(['transaction1']);
+        });
+
+        it('should list a transaction stored without its sender\'s MSP as incoming only', async () => {
+            await chaincodeStub.putPrivateData('assetCollection', 'legacy1', Buffer.from(JSON.stringify({ id: 'legacy1', ownerOrgId: 'org1', newOwnerOrgId: 'org2', assetIds: [{ assetId: 'asset3', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1 }] }], newOwnerMSP: 'Org2MSP', isNewOwnerAccepted: false, created: 1700000000 })));
+
+            expect(await as('Org2MSP', 'AcceptTransaction', 'legacy1')).to.eql({ message: 'Done', details: 'Transaction legacy1 accepted by Org2MSP' });
+
+            useIdentity('Org2MSP');
+            expect((await read('Incoming', '10', '', { status: 'ACCEPTED' })).transactions.map(transaction => transaction.id)).to.eql(['legacy1']);
+        });
+    });
+
+    describe('Test MigrateLegacyRecords', () => {
+        const legacyAsset = assetId => ({ assetId, tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1600000000 }] });
+        const conflict = 'Asset asset1 stays under its plain ID, as an asset created since holds its key. Remove that asset and migrate again to move it';
+
+        function legacyTransaction(id, assetId, flags) {
+            return Object.assign({ id, assetIds: [legacyAsset(assetId)], newOwnerMSP: 'Org2MSP', isNewOwnerAccepted: false, isCurrentOwnerApproved: false, isCancelled: false, isReturned: false, isRejected: false, isGotBack: false, cancelledAt: 0, rejectedAt: 0, returnedAt: 0, ownerOrgId: 'org1', newOwnerOrgId: 'org2', isOwnershipChanged: false, created: 1600000000 }, flags);
+        }
+
+        beforeEach(async () => {
+            await createAsset('asset1');
+            storeLegacy('Org1MSPPrivateCollection', 'assets', ['old1', 'asset1', 'gone1']);
+            storeLegacy('Org1MSPPrivateCollection', 'old1', legacyAsset('old1'));
+            storeLegacy('Org1MSPPrivateCollection', 'asset1', legacyAsset('asset1'));
+
+            storeLegacy('assetCollection', 'transactions', [{ id: 'legacy1', created: 1600000000 }, { id: 'gone2', created: 1600000000 }, { id: 'legacy2', created: 1600000000 }, { id: 'legacy3', created: 1600000000 }]);
+            storeLegacy('assetCollection', 'legacy1', legacyTransaction('legacy1', 'old2', { isNewOwnerAccepted: true }));
+            storeLegacy('assetCollection', 'legacy2', legacyTransaction('legacy2', 'old3', { isCancelled: true, cancelledAt: 1600000100 }));
+            storeLegacy('assetCollection', 'legacy3', legacyTransaction('legacy3', 'old4'));
+            storeLegacy('assetCollection', 'activity', [
+                { initiated: 'Org1MSP', description: 'Initiated transfer of asset/s to Org2MSP', assets: [legacyAsset('old4')], action: 'INITIATE TRANSACTION', timestamp: 1600000000 },
+                { initiated: 'Org1MSP', description: 'Initiated transfer of asset/s to Org2MSP', assets: [legacyAsset('old2')], action: 'INITIATE TRANSACTION', timestamp: 1600000000 },
+                { initiated: 'Org1MSP', description: 'Initiated transfer of asset/s to Org2MSP', assets: [legacyAsset('old3')], action: 'INITIATE TRANSACTION', timestamp: 1600000000 },
+                { initiated: 'Org3MSP', description: 'Initiated transfer of asset/s to Org2MSP', assets: [legacyAsset('old3')], action: 'INITIATE TRANSACTION', timestamp: 1600000000 },
+                { initiated: 'Org1MSP', description: 'Success getting back assets', assets: [legacyAsset('old1')], action: 'GET BACK ASSETS', timestamp: 1500000000 },
+            ]);
+        });
+
+        it('should bring legacy assets and transactions into the listings once', async () => {
+            const ret = JSON.parse(await assetTransfer.MigrateLegacyRecords(transactionContext));
+
+            expect(ret.details).to.eql({ assets: ['old1'], transactions: ['legacy1', 'legacy2', 'legacy3'] });
+            expect(ret.warnings).to.eql([conflict, 'Transaction legacy2 names no sender, so only its receiver can act on it']);
+            expect(await readAssetIds()).to.eql(['asset1', 'old1']);
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details.tags).to.eql([{ key: 'color', value: 'blue' }]);
+            expect(privateKeys('Org1MSPPrivateCollection').filter(key => !key.startsWith('\u0000'))).to.have.members(['assets', 'asset1']);
+
+            useIdentity('Org2MSP');
+            const incoming = JSON.parse(await assetTransfer.ReadIncomingTransactions(transactionContext, '10', '', '{}')).details;
+            expect(incoming.transactions.map(transaction => [transaction.id, transaction.status])).to.have.deep.members([['legacy1', 'ACCEPTED'], ['legacy2', 'CANCELLED'], ['legacy3', 'PENDING']]);
+            const provenance = JSON.parse(await assetTransfer.GetAssetProvenance(transactionContext, 'old2')).details;
+            expect(provenance.events.filter(event => event.source === 'transfer').map(event => event.transactionId)).to.include('legacy1');
+
+            useIdentity('Org1MSP');
+            expect(JSON.parse(await assetTransfer.MigrateLegacyRecords(transactionContext))).to.deep.include({ details: { assets: [], transactions: [] }, warnings: [conflict] });
+        });
+
+        it('should keep an old asset whose ID was taken until the key is free', async () => {
+            await assetTransfer.MigrateLegacyRecords(transactionContext);
+            expect(JSON.parse(chaincodeStub.privateStates.Org1MSPPrivateCollection.asset1.toString()).tags).to.eql([]);
+
+            await assetTransfer.RemovePrivateAsset(transactionContext, JSON.stringify(['asset1']));
+            const ret = JSON.parse(await assetTransfer.MigrateLegacyRecords(transactionContext));
+
+            expect(ret.details).to.eql({ assets: ['asset1'], transactions: [] });
+            expect(ret).to.not.have.property('warnings');
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details.tags).to.eql([]);
+            expect(privateKeys('Org1MSPPrivateCollection').filter(key => !key.startsWith('\u0000'))).to.eql([]);
+            expect(JSON.parse(await assetTransfer.MigrateLegacyRecords(transactionContext)).details).to.eql({ assets: [], transactions: [] });
+        });
+
+        it('should report migrated transactions whose sender is unknown', async () => {
+            await assetTransfer.MigrateLegacyRecords(transactionContext);
+
+            useIdentity('Org2MSP');
+            const provenance = JSON.parse(await assetTransfer.GetAssetProvenance(transactionContext, 'old3')).details;
+            expect(provenance.events.filter(event => event.source === 'transfer').map(event => [event.action, event.timestamp, event.txId, event.msp, event.ownerMSP])).to.eql([
+                ['PENDING', 1600000000, null, null, null],
+                ['CANCELLED', 1600000100, null, null, null],
+            ]);
+            const epcis = JSON.parse(await assetTransfer.ExportAssetEpcis(transactionContext, 'old3')).details.epcisBody.eventList;
+            expect(epcis.map(event => [event.bizStep, event['sc:txId']])).to.eql([['commissioning', undefined], ['reserving', undefined], ['void_shipping', undefined]]);
+        });
+
+        it('should let the sender the legacy log names complete or cancel migrated transactions', async () => {
+            await assetTransfer.MigrateLegacyRecords(transactionContext);
+
+            const outgoing = JSON.parse(await assetTransfer.ReadOutgoingTransactions(transactionContext, '10', '', '{}')).details;
+            expect(outgoing.transactions.map(transaction => transaction.id)).to.have.members(['legacy1', 'legacy3']);
+
+            await assetTransfer.CancelTransaction(transactionContext, 'legacy3');
+            expect(await readAssetIds()).to.eql(['asset1', 'old1', 'old4']);
+
+            await assetTransfer.TransferNow(transactionContext, 'legacy1');
+            expect(JSON.parse(chaincodeStub.setEvent.lastCall.args[1].toString())).to.include({ transactionId: 'legacy1', ownerMSP: 'Org1MSP' });
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'legacy1');
+            expect(await readAssetIds()).to.eql(['old2']);
+        });
+
+        it('should leave transactions alone when there is no legacy log', async () => {
+            delete chaincodeStub.privateStates.assetCollection.activity;
+
+            const ret = JSON.parse(await assetTransfer.MigrateLegacyRecords(transactionContext));
+
+            expect(ret.warnings).to.eql([conflict, ...['legacy1', 'legacy2', 'legacy3'].map(id => `Transaction ${id} names no sender, so only its receiver can act on it`)]);
+        });
+    });
+
+    describe('Test aroundTransaction', () => {
+        it('should check the role of the client before running the function', async () => {
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'auditor' });
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'CancelTransaction', ['transaction1']), ErrorCode.NOT_AUTHORIZED, 'CancelTransaction needs one of the roles approver, admin, but the client has auditor');
+
+            const ret = JSON.parse(await assetTransfer.aroundTransaction(transactionContext, 'ReadPrivateAssets', []));
+            expect(ret.details).to.eql([]);
+        });
+
+        it('should report unexpected failures as internal errors', async () => {
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'warehouse' });
+            chaincodeStub.getPrivateData.rejects(new Error('peer unavailable'));
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ReadPrivateAsset', ['asset1']), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+        });
+    });
+
+    describe('Test transaction events', () => {
+        function lastEvent() {
+            const [name, payload] = chaincodeStub.setEvent.lastCall.args;
+            return { name, payload: JSON.parse(payload.toString()) };
+        }
+
+        it('should emit the new status on every step without private data', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            expect(lastEvent()).to.eql({
+                name: 'TransactionStatusChanged',
+                payload: { transactionId: 'transaction1', status: 'PENDING', previousStatus: null, ownerMSP: 'Org1MSP', newOwnerMSP: 'Org2MSP', txId: 'tx1', timestamp: 1700000000 },
+            });
+            expect(chaincodeStub.setEvent.lastCall.args[1].toString()).to.not.include('blue');
+
+            useIdentity('Org2MSP');
+            await assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'damaged');
+            expect(lastEvent().payload).to.include({ status: 'REJECTED', previousStatus: 'PENDING' });
+            expect(lastEvent().payload).to.not.have.property('reason');
+
+            useIdentity('Org1MSP');
+            await assetTransfer.GetBackAssets(transactionContext, 'transaction1');
+            expect(lastEvent().payload).to.include({ status: 'GOT_BACK', previousStatus: 'REJECTED' });
+        });
+
+        it('should emit one event per invocation', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            chaincodeStub.setEvent.resetHistory();
+
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction1');
+
+            expect(chaincodeStub.setEvent).to.have.been.calledOnce;
+            expect(lastEvent().payload.status).to.equal('CANCELLED');
+        });
+    });
+
+    describe('Test transaction lifecycle', () => {
+        it('should hold the assets in the transaction until they are owned', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            expect(await readAssetIds()).to.eql([]);
+
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            const ret = JSON.parse(await assetTransfer.OwnAsset(transactionContext, 'transaction1'));
+
+            expect(ret.message).to.equal('Done');
+            expect(await readAssetIds()).to.eql(['asset1']);
+            const asset = JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details;
+            expect(asset.history.map(entry => entry.org)).to.eql(['org2', 'org1']);
+        });
+
+        it('should give the assets back when the transaction is cancelled', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction1');
+
+            expect(await readAssetIds()).to.eql(['asset1']);
+        });
+
+        it('should give the assets back after a reject', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'damaged');
+            useIdentity('Org1MSP');
+
+            await assetTransfer.GetBackAssets(transactionContext, 'transaction1');
+
+            expect(await readAssetIds()).to.eql(['asset1']);
+        });
+
+        it('should refuse a transaction that does not exist', async () => {
+            await expectError(assetTransfer.TransferNow(transactionContext, 'missing'), ErrorCode.TRANSACTION_NOT_FOUND);
+        });
+
+        it('should only let the sender cancel a transaction', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            useIdentity('Org3MSP');
+            await expectError(assetTransfer.CancelTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to cancel this transaction');
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.CancelTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED);
+
+            expect(privateKeys('Org3MSPPrivateCollection')).to.eql([]);
+            expect(await readAssetIds()).to.eql([]);
+        });
+
+        it('should only let the sender get back rejected assets', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'damaged');
+
+            await expectError(assetTransfer.GetBackAssets(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to get back these assets');
+
+            expect(await readAssetIds()).to.eql([]);
+        });
+
+        it('should give returned assets back to the sender only', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            await assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged');
+
+            await expectError(assetTransfer.AcceptReturnTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to accept this return');
+            useIdentity('Org3MSP');
+            await expectError(assetTransfer.AcceptReturnTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED);
+
+            useIdentity('Org1MSP');
+            await assetTransfer.AcceptReturnTransaction(transactionContext, 'transaction1');
+            expect(await readAssetIds()).to.eql(['asset1']);
+            useIdentity('Org2MSP');
+            expect(await readAssetIds()).to.eql([]);
+        });
+
+        it('should only return assets the receiver still holds, as they are now', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            await assetTransfer.UpdatePrivateAsset(transactionContext, 'asset1', JSON.stringify([{ key: 'color', value: 'red' }]), '[]');
+            await assetTransfer.CreatePrivateTransaction(transactionContext, 'org2', 'org3', 'transaction2', JSON.stringify(['asset1']), 'Org3MSP');
+
+            await expectError(assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction2');
+            await assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged');
+            useIdentity('Org1MSP');
+            await assetTransfer.AcceptReturnTransaction(transactionContext, 'transaction1');
+
+            const asset = JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details;
+            expect(asset.tags).to.eql([{ key: 'color', value: 'red' }]);
+            expect(asset.history.map(entry => entry.org)).to.eql(['org2', 'org1']);
+        });
+
+        it('should refuse to return an asset that was assembled into another', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            await createAsset('asset2');
+            await assetTransfer.AssembleAsset(transactionContext, 'asset1', JSON.stringify(['asset2']));
+
+            await expectError(assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.INVALID_STATE, 'Asset asset1 holds asset2, which didn\'t come with it, disassemble them first');
+
+            await assetTransfer.DisassembleAsset(transactionContext, 'asset1');
+            await createAsset('box1', ['asset1']);
+            await expectError(assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.INVALID_STATE, 'Asset asset1 is a component of box1, disassemble it first');
+        });
+
+        it('should only let the receiver reject, own and return, and the sender transfer', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            await expectError(assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to reject this transaction');
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            await expectError(assetTransfer.TransferNow(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to process this transaction');
+            useIdentity('Org3MSP');
+            await expectError(assetTransfer.TransferNow(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to process this transaction');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            await expectError(assetTransfer.OwnAsset(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to own this asset');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await expectError(assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to return this transaction');
+        });
+
+        it('should refuse to let the sender accept its own transaction', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            await expectError(assetTransfer.AcceptTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED);
+        });
+
+        it('should refuse to accept a cancelled transaction', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction1');
+
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.AcceptTransaction(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 cannot move from CANCELLED to ACCEPTED');
+        });
+    });
+
+    describe('Test private asset functions', () => {
+        it('should copy the sub assets into a new asset', async () => {
+            await createAsset('asset1');
+            const ret = await createAsset('asset2', ['asset1']);
+
+            expect(ret.details).to.equal('Asset asset2 created');
+            const asset = await readAsset('Org1MSP', 'asset2');
+            expect(asset.subAssets).to.eql(['asset1']);
+            expect(asset.history).to.eql([{ org: 'org1', timestamp: 1700000000, txId: 'tx1', msp: 'Org1MSP' }]);
+        });
+
+        it('should return error on tags that are not JSON', async () => {
+            await expectError(assetTransfer.CreatePrivateAsset(transactionContext, 'org1', 'asset1', 'blue', '[]'), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should store pushed assets', async () => {
+            const pushed = [{ assetId: 'asset1', subAssets: [], tags: [], history: [{ org: 'org3', timestamp: 1 }] }];
+
+            expect((await as('Org1MSP', 'PushAssets', JSON.stringify(pushed))).details).to.equal('Asset/s pushed');
+            await as('Org1MSP', 'PushAssets', JSON.stringify([Object.assign({}, pushed[0], { assetId: 'asset2' })]));
+
+            expect(await readAssetIds()).to.eql(['asset1', 'asset2']);
+            expect(await readAsset('Org1MSP', 'asset1')).to.deep.include(pushed[0]);
+        });
+
+        it('should return error on pushed assets that are not JSON', async () => {
+            await expectError(assetTransfer.PushAssets(transactionContext, '['), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should remove pulled assets and return them', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+
+            const ret = await as('Org1MSP', 'PullAssets', JSON.stringify(['asset1']));
+
+            expect(ret.details.map(asset => asset.assetId)).to.eql(['asset1']);
+            expect(await readAssetIds()).to.eql(['asset2']);
+            expect(await as('Org1MSP', 'PullAssets', '[]')).to.eql({ message: 'Done', details: [] });
+        });
+
+        it('should return error on pulling an asset that does not exist', async () => {
+            await expectError(assetTransfer.PullAssets(transactionContext, JSON.stringify(['missing'])), ErrorCode.ASSET_NOT_FOUND, 'Asset missing does not exist');
+        });
+
+        it('should replace the tags and sub assets of an asset', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+
+            const ret = await as('Org1MSP', 'UpdatePrivateAsset', 'asset2', JSON.stringify([{ key: 'grade', value: 'A' }]), JSON.stringify(['asset1']));
+
+            expect(ret.details).to.equal('Asset asset2 updated');
+            const asset = await readAsset('Org1MSP', 'asset2');
+            expect(asset.tags).to.eql([{ key: 'grade', value: 'A' }]);
+            expect(asset.subAssets).to.eql(['asset1']);
+        });
+
+        it('should return error on updating an asset that does not exist', async () => {
+            await expectError(assetTransfer.UpdatePrivateAsset(transactionContext, 'asset1', '[]', '[]'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+            await expectError(assetTransfer.UpdatePrivateAsset(transactionContext, 'asset1', '[]', '['), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should return error on removing an asset that does not exist', async () => {
+            await expectError(assetTransfer.RemovePrivateAsset(transactionContext, JSON.stringify(['asset1'])), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+            await expectError(assetTransfer.RemovePrivateAsset(transactionContext, '['), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should report when there are no assets', async () => {
+            expect(await readAssetIds()).to.eql([]);
+            await expectError(assetTransfer.ReadPrivateAsset(transactionContext, 'asset1'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+        });
+
+        it('should return error when the reads fail', async () => {
+            await createAsset('asset1');
+            failReads();
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'admin' });
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ReadPrivateAssets', []), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ReadPrivateAsset', ['asset1']), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+        });
+    });
+
+    describe('Test transaction steps', () => {
+        it('should move the transaction through each party\'s steps', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+            expect(await createTransaction('transaction1', ['asset1'])).to.eql({ message: 'Done', details: 'Transaction transaction1 created' });
+            expect(await readAssetIds()).to.eql(['asset2']);
+
+            expect(await as('Org2MSP', 'AcceptTransaction', 'transaction1')).to.eql({ message: 'Done', details: 'Transaction transaction1 accepted by Org2MSP' });
+            expect(await as('Org1MSP', 'TransferNow', 'transaction1')).to.eql({ message: 'Done', details: 'Transaction transaction1 has been transferred' });
+            const ret = await as('Org2MSP', 'OwnAsset', 'transaction1');
+
+            expect(ret).to.eql({ message: 'Done', details: 'Transaction transaction1 transferred successfully' });
+            expect((await readTransaction('transaction1')).details.status).to.equal('OWNED');
+        });
+
+        it('should add owned assets to those the receiver holds', async () => {
+            await transferred();
+            useIdentity('Org2MSP');
+            await createAsset('asset9');
+
+            await as('Org2MSP', 'OwnAsset', 'transaction1');
+
+            useIdentity('Org2MSP');
+            expect(await readAssetIds()).to.eql(['asset1', 'asset9']);
+        });
+
+        it('should list every transaction with its details', async () => {
+            expect(JSON.parse(await assetTransfer.ReadTransactions(transactionContext)).details).to.eql([]);
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createTransaction('transaction1', ['asset1']);
+            await createTransaction('transaction2', ['asset2']);
+
+            const ret = JSON.parse(await assetTransfer.ReadTransactions(transactionContext)).details;
+
+            expect(ret.map(transaction => [transaction.id, transaction.status])).to.eql([['transaction1', 'PENDING'], ['transaction2', 'PENDING']]);
+        });
+
+        it('should take a transaction off the list', async () => {
+            await expectError(assetTransfer.DeleteTransaction(transactionContext, 'transaction1'), ErrorCode.TRANSACTION_NOT_FOUND, 'Transaction transaction1 doesn\'t exist');
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createTransaction('transaction1', ['asset1']);
+            await createTransaction('transaction2', ['asset2']);
+
+            const ret = JSON.parse(await assetTransfer.DeleteTransaction(transactionContext, 'transaction1'));
+
+            expect(ret).to.eql({ message: 'Done', details: 'Transaction transaction1 has been deleted' });
+            const listed = JSON.parse(await assetTransfer.ReadTransactions(transactionContext)).details;
+            expect(listed.map(transaction => transaction.id)).to.eql(['transaction2']);
+        });
+
+        it('should return error when reading transactions fails', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            failReads();
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'admin' });
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ReadTransactions', []), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'DeleteTransaction', ['transaction1']), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ReadTransactionPrivateDetails', ['transaction1']), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+        });
+
+        it('should return error on a transaction that does not exist', async () => {
+            await expectError(readTransaction('transaction1'), ErrorCode.TRANSACTION_NOT_FOUND, 'Transaction transaction1 doesn\'t exist');
+        });
+
+        it('should return error on an asset the sender does not hold', async () => {
+            await expectError(createTransaction('transaction1', ['asset1']), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+        });
+
+        it('should let only the sender cancel', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.CancelTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to cancel this transaction');
+            expect(await as('Org1MSP', 'CancelTransaction', 'transaction1')).to.eql({ message: 'Done', details: 'Transaction transaction1 has been canceled' });
+
+            expect((await readTransaction('transaction1')).details.cancelledAt).to.equal(1700000000);
+        });
+
+        it('should let only the receiver reject', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            await expectError(assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to reject this transaction');
+            expect(await as('Org2MSP', 'RejectTransaction', 'transaction1', 'damaged')).to.eql({ message: 'Done', details: 'Transaction transaction1 has been rejected' });
+            expect(await as('Org1MSP', 'GetBackAssets', 'transaction1')).to.eql({ message: 'Done', details: 'Assets successfully got back' });
+
+            expect((await readTransaction('transaction1')).details.status).to.equal('GOT_BACK');
+        });
+
+        it('should return the assets to the sender', async () => {
+            await transferred();
+            await as('Org2MSP', 'OwnAsset', 'transaction1');
+
+            await expectError(assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to return this transaction');
+            expect(await as('Org2MSP', 'ReturnTransaction', 'transaction1', 'damaged')).to.eql({ message: 'Done', details: 'Transaction transaction1 has been returned' });
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.ReadPrivateAsset(transactionContext, 'asset1'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+
+            expect(await as('Org1MSP', 'AcceptReturnTransaction', 'transaction1')).to.eql({ message: 'Done', details: 'Returned assets has been accepted' });
+
+            expect(await readAssetIds()).to.eql(['asset1']);
+            const transaction = (await readTransaction('transaction1')).details;
+            expect([transaction.status, transaction.reason]).to.eql(['RETURN_ACCEPTED', 'damaged']);
+        });
+
+        it('should hand the public copy over along with the private record', async () => {
+            await createAsset('asset1');
+            await as('Org1MSP', 'CreateAsset', 'asset1', '[]');
+            useIdentity('Org3MSP');
+            await createAsset('asset1');
+            await as('Org3MSP', 'CreateAsset', 'asset1', '[]');
+            await createTransaction('transaction1', ['asset1']);
+            await as('Org2MSP', 'AcceptTransaction', 'transaction1');
+            await as('Org1MSP', 'TransferNow', 'transaction1');
+
+            expect((await as('Org2MSP', 'ReadAsset', 'asset1', 'Org1MSP')).details.owner).to.eql({ msp: 'Org1MSP', id: 'x509::CN=Org1MSP' });
+            await as('Org2MSP', 'OwnAsset', 'transaction1');
+
+            const published = (await as('Org2MSP', 'ReadAsset', 'asset1')).details;
+            expect(published.owner).to.eql({ msp: 'Org2MSP' });
+            expect(published.privateRecord).to.eql({ collection: 'Org2MSPPrivateCollection', assetId: 'asset1' });
+            expect(published.history.map(entry => entry.msp)).to.eql(['Org2MSP', 'Org1MSP']);
+            expect(await as('Org2MSP', 'UpdateAsset', 'asset1', JSON.stringify([{ key: 'color', value: 'red' }]))).to.include({ details: 'Asset asset1 updated' });
+            await expectError(assetTransfer.UpdateAsset(transactionContext, 'asset1', '[]'), ErrorCode.NOT_AUTHORIZED, 'Only the owner of asset asset1 can change it');
+            expect((await as('Org3MSP', 'ReadAsset', 'asset1')).details.owner).to.eql({ msp: 'Org3MSP', id: 'x509::CN=Org3MSP' });
+
+            await as('Org2MSP', 'ReturnTransaction', 'transaction1', 'damaged');
+            await as('Org1MSP', 'AcceptReturnTransaction', 'transaction1');
+            expect((await as('Org1MSP', 'ReadAsset', 'asset1')).details).to.include({ assetId: 'asset1' }).and.to.deep.include({ owner: { msp: 'Org1MSP' }, tags: [{ key: 'color', value: 'red' }] });
+        });
+
+        it('should refuse moves the status does not allow', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            await as('Org1MSP', 'CancelTransaction', 'transaction1');
+
+            const refused = (msp, name, ...args) => {
+                useIdentity(msp);
+                return expectError(assetTransfer[name](transactionContext, 'transaction1', ...args), ErrorCode.INVALID_STATE);
+            };
+            await refused('Org1MSP', 'TransferNow');
+            await refused('Org2MSP', 'OwnAsset');
+            await refused('Org1MSP', 'CancelTransaction');
+            await refused('Org2MSP', 'RejectTransaction', 'late');
+            await refused('Org1MSP', 'GetBackAssets');
+            await refused('Org2MSP', 'ReturnTransaction', 'late');
+            await refused('Org1MSP', 'AcceptReturnTransaction');
+            useIdentity('Org1MSP');
+            await expectError(assetTransfer.TransferNow(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 cannot move from CANCELLED to TRANSFERRED');
+        });
+
+        it('should only let each party take its own steps', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            await expectError(assetTransfer.AcceptTransaction(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to accept this transaction');
+            await as('Org2MSP', 'AcceptTransaction', 'transaction1');
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.TransferNow(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to process this transaction');
+            await as('Org1MSP', 'TransferNow', 'transaction1');
+            await expectError(assetTransfer.OwnAsset(transactionContext, 'transaction1'), ErrorCode.NOT_AUTHORIZED, 'You are not allowed to own this asset');
+        });
+
+        it('should return error on transactions that do not exist', async () => {
+            const missing = (msp, name, ...args) => {
+                useIdentity(msp);
+                return expectError(assetTransfer[name](transactionContext, 'transaction1', ...args), ErrorCode.TRANSACTION_NOT_FOUND, 'Transaction transaction1 doesn\'t exist');
+            };
+
+            await missing('Org2MSP', 'RejectTransaction', 'late');
+            await missing('Org1MSP', 'GetBackAssets');
+            await missing('Org2MSP', 'ReturnTransaction', 'late');
+            await missing('Org1MSP', 'AcceptReturnTransaction');
+            await missing('Org1MSP', 'CancelTransaction');
+            await missing('Org2MSP', 'AcceptTransaction');
+            await missing('Org1MSP', 'TransferNow');
+            await missing('Org2MSP', 'OwnAsset');
+        });
+    });
+
+    describe('Test LogIt', () => {
+        async function readLogs(...args) {
+            return JSON.parse(await assetTransfer.ReadLogs(transactionContext, ...args)).details;
+        }
+
+        it('should read every entry of the caller\'s org with a page size of 0', async () => {
+            await assetTransfer.LogIt(transactionContext, 'first', 'CREATE ASSET', []);
+            await assetTransfer.LogIt(transactionContext, 'second', 'CREATE ASSET', []);
+            useIdentity('Org2MSP');
+            await assetTransfer.LogIt(transactionContext, 'other', 'CREATE ASSET', []);
+            useIdentity('Org1MSP');
+
+            const page = await readLogs('0');
+            expect(page.logs.map(entry => entry.description)).to.eql(['first', 'second']);
+            expect(page.bookmark).to.equal('');
+        });
+
+        it('should read no entries before anything is logged', async () => {
+            expect(JSON.parse(await assetTransfer.ReadLogs(transactionContext))).to.eql({ message: 'Done', details: { logs: [], bookmark: '' } });
+        });
+
+        it('should find entries that name their assets by ID', async () => {
+            await assetTransfer.LogIt(transactionContext, 'named', 'NOTE', ['asset1']);
+            await assetTransfer.LogIt(transactionContext, 'unnamed', 'NOTE');
+
+            const ret = await readLogs('10', '', JSON.stringify({ assetId: 'asset1' }));
+            expect(ret.logs.map(entry => entry.description)).to.eql(['named']);
+        });
+
+        it('should read entries without filters', async () => {
+            await assetTransfer.LogIt(transactionContext, 'first', 'CREATE ASSET', []);
+
+            const ret = await readActivities(transactionContext, 'Org1MSP', 0, '');
+            expect(ret.logs.map(entry => entry.description)).to.eql(['first']);
+        });
+
+        it('should return error when the log cannot be written or read', async () => {
+            chaincodeStub.putPrivateData.rejects(new Error('peer unavailable'));
+            chaincodeStub.getPrivateDataByRange.rejects(new Error('peer unavailable'));
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'admin' });
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'LogIt', ['first', 'CREATE ASSET', []]), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ReadLogs', []), ErrorCode.INTERNAL_ERROR, 'peer unavailable');
+        });
+    });
+
+    describe('Test readPrivatePage', () => {
+        it('should read every record in the range without a filter', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+
+            const ret = await readPrivatePage(transactionContext, 'Org1MSPPrivateCollection', '', MAX_UNICODE_RUNE_VALUE, 0, '');
+            expect(ret.records.map(asset => asset.assetId)).to.eql(['asset1', 'asset2']);
+        });
+    });
+
+    describe('Test transaction deadlines', () => {
+        function setTime(seconds) {
+            chaincodeStub.getTxTimestamp.returns({ seconds: { low: seconds }, nanos: 0, array: [seconds, 0] });
+        }
+
+        async function createTransactionWithDeadlines(transactionId, assetIds, deadlines) {
+            return assetTransfer.CreatePrivateTransaction(transactionContext, 'org1', 'org2', transactionId, JSON.stringify(assetIds), 'Org2MSP', JSON.stringify(deadlines));
+        }
+
+        beforeEach(async () => {
+            setTime(1000);
+            await createAsset('asset1');
+        });
+
+        it('should store the deadlines on the transaction', async () => {
+            await createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 2000, transferBy: 3000 });
+
+            const transaction = JSON.parse(chaincodeStub.privateStates.assetCollection.transaction1.toString());
+            expect(transaction).to.include({ acceptBy: 2000, transferBy: 3000 });
+        });
+
+        it('should refuse deadlines that have passed or are out of order', async () => {
+            await expectError(createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 1000 }), ErrorCode.INVALID_ARGUMENT, 'Deadline acceptBy has already passed');
+            await expectError(createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 3000, transferBy: 2000 }), ErrorCode.INVALID_ARGUMENT, 'Deadline transferBy cannot be before acceptBy');
+        });
+
+        it('should refuse to accept after the acceptance deadline', async () => {
+            await createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 2000 });
+
+            setTime(2001);
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.AcceptTransaction(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 expired at 2000');
+        });
+
+        it('should refuse to transfer or own after the transfer deadline', async () => {
+            await createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 2000, transferBy: 3000 });
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+
+            setTime(3001);
+            useIdentity('Org1MSP');
+            await expectError(assetTransfer.TransferNow(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 expired at 3000');
+
+            setTime(2500);
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            setTime(3001);
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.OwnAsset(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 expired at 3000');
+        });
+
+        it('should give the assets of expired transactions back to the sender', async () => {
+            await createAsset('asset2');
+            await createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 2000 });
+            await createTransactionWithDeadlines('transaction2', ['asset2'], { acceptBy: 5000 });
+            expect(await readAssetIds()).to.eql([]);
+
+            setTime(2001);
+            const ret = JSON.parse(await assetTransfer.ExpireTransactions(transactionContext));
+
+            expect(ret.details.expired).to.eql(['transaction1']);
+            expect(await readAssetIds()).to.eql(['asset1']);
+            const transaction = JSON.parse(chaincodeStub.privateStates.assetCollection.transaction1.toString());
+            expect(transaction).to.include({ status: 'EXPIRED', expiredAt: 2001 });
+            const [name, payload] = chaincodeStub.setEvent.lastCall.args;
+            expect(name).to.equal('TransactionsExpired');
+            expect(JSON.parse(payload.toString())).to.eql({ transactionIds: ['transaction1'], ownerMSP: 'Org1MSP', txId: 'tx1', timestamp: 2001 });
+        });
+
+        it('should leave expired transactions alone that would overwrite an asset created since', async () => {
+            await createTransactionWithDeadlines('transaction1', ['asset1'], { acceptBy: 2000 });
+            await createAsset('asset1');
+
+            setTime(2001);
+            const ret = JSON.parse(await assetTransfer.ExpireTransactions(transactionContext));
+
+            expect(ret.details.expired).to.eql([]);
+            expect(ret.warnings).to.eql(['Transaction transaction1 was not expired, as it would overwrite asset(s) asset1']);
+            expect(JSON.parse(chaincodeStub.privateStates.assetCollection.transaction1.toString()).status).to.equal('PENDING');
+        });
+
+        it('should leave transactions without deadlines alone', async () => {
+            await createTransaction('transaction1', ['asset1']);
+
+            setTime(99999);
+            const ret = JSON.parse(await assetTransfer.ExpireTransactions(transactionContext));
+
+            expect(ret.details.expired).to.eql([]);
+            expect(await readAssetIds()).to.eql([]);
+        });
+    });
+
+    describe('Test custody chain', () => {
+        function handOver(transactionId, custodian, location, condition = 'intact') {
+            return assetTransfer.HandOverCustody(transactionContext, transactionId, JSON.stringify({ custodian, location, condition }));
+        }
+
+        async function readCustody(transactionId) {
+            return JSON.parse(await assetTransfer.ReadCustodyChain(transactionContext, transactionId)).details;
+        }
+
+        beforeEach(async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+        });
+
+        it('should record each hand-over in order', async () => {
+            await handOver('transaction1', 'CarrierMSP', 'Manila port');
+            useIdentity('CarrierMSP');
+            await handOver('transaction1', 'Org2MSP', 'Cebu depot', 'one crate dented');
+
+            useIdentity('Org2MSP');
+            const path = await readCustody('transaction1');
+
+            expect(path).to.include({ holder: 'Org2MSP', complete: true, ownerMSP: 'Org1MSP' });
+            expect(path.custody).to.eql([
+                { custodian: 'CarrierMSP', handedOverBy: 'Org1MSP', location: 'Manila port', condition: 'intact', txId: 'tx1', timestamp: 1700000000 },
+                { custodian: 'Org2MSP', handedOverBy: 'CarrierMSP', location: 'Cebu depot', condition: 'one crate dented', txId: 'tx1', timestamp: 1700000000 },
+            ]);
+        });
+
+        it('should start with the sender holding the goods', async () => {
+            const path = await readCustody('transaction1');
+
+            expect(path).to.include({ holder: 'Org1MSP', complete: false });
+            expect(path.custody).to.eql([]);
+        });
+
+        it('should only let the current custodian hand over', async () => {
+            await handOver('transaction1', 'CarrierMSP', 'Manila port');
+
+            await expectError(handOver('transaction1', 'Org2MSP', 'Cebu depot'), ErrorCode.NOT_AUTHORIZED, 'Only CarrierMSP holds the goods of transaction transaction1');
+            useIdentity('CarrierMSP');
+            await expectError(handOver('transaction1', 'CarrierMSP', 'Cebu depot'), ErrorCode.INVALID_ARGUMENT, 'CarrierMSP already holds the goods of transaction transaction1');
+        });
+
+        it('should refuse hand-overs before the transaction is accepted', async () => {
+            await createAsset('asset2');
+            await createTransaction('transaction2', ['asset2']);
+
+            await expectError(handOver('transaction2', 'CarrierMSP', 'Manila port'), ErrorCode.INVALID_STATE);
+        });
+
+        it('should emit a hand-over event', async () => {
+            await handOver('transaction1', 'CarrierMSP', 'Manila port');
+
+            const [name, payload] = chaincodeStub.setEvent.lastCall.args;
+            expect(name).to.equal('CustodyHandedOver');
+            expect(JSON.parse(payload.toString())).to.include({ transactionId: 'transaction1', custodian: 'CarrierMSP', handedOverBy: 'Org1MSP' });
+        });
+
+        it('should refuse to own goods the receiver has not been handed', async () => {
+            await handOver('transaction1', 'CarrierMSP', 'Manila port');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+
+            useIdentity('Org2MSP');
+            await expectError(assetTransfer.OwnAsset(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 is still in the custody of CarrierMSP');
+
+            useIdentity('CarrierMSP');
+            await handOver('transaction1', 'Org2MSP', 'Cebu depot');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            expect(await readAssetIds()).to.eql(['asset1']);
+        });
+    });
+
+    describe('Test cold chain conditions', () => {
+        function setLimits(assetId, limits) {
+            return assetTransfer.SetConditionLimits(transactionContext, assetId, JSON.stringify(limits));
+        }
+
+        function record(assetId, txId, readings) {
+            chaincodeStub.getTxID.returns(txId);
+            return assetTransfer.RecordConditionReadings(transactionContext, assetId, JSON.stringify(readings));
+        }
+
+        async function readConditions(assetId) {
+            return JSON.parse(await assetTransfer.ReadConditions(transactionContext, assetId)).details;
+        }
+
+        beforeEach(async () => {
+            await createAsset('asset1');
+            await setLimits('asset1', { temperature: { min: 2, max: 8 }, shock: { max: 5 } });
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+        });
+
+        it('should flag readings outside the limits', async () => {
+            await record('asset1', 'tx2', [{ deviceId: 'logger1', timestamp: 200, temperature: 5, humidity: 70 }]);
+            await record('asset1', 'tx3', [{ deviceId: 'logger1', timestamp: 100, temperature: 4 }, { deviceId: 'logger1', timestamp: 300, temperature: 9.5, shock: 2 }]);
+
+            const conditions = await readConditions('asset1');
+
+            expect(conditions.limits).to.include({ assetId: 'asset1', setBy: 'Org1MSP' });
+            expect(conditions.readings.map(reading => reading.timestamp)).to.eql([100, 200, 300]);
+            expect(conditions.readings[0]).to.include({ recordedBy: 'Org1MSP', txId: 'tx3' });
+            expect(conditions.compliance).to.eql({
+                status: 'EXCURSION',
+                readings: 3,
+                excursions: [{ measure: 'temperature', value: 9.5, min: 2, max: 8, deviceId: 'logger1', timestamp: 300 }],
+            });
+        });
+
+        it('should report unmonitored and compliant assets', async () => {
+            expect((await readConditions('asset1')).compliance.status).to.equal('UNMONITORED');
+
+            await record('asset1', 'tx2', [{ deviceId: 'logger1', timestamp: 100, temperature: 4 }]);
+
+            expect((await readConditions('asset1')).compliance).to.eql({ status: 'COMPLIANT', readings: 1, excursions: [] });
+        });
+
+        it('should let whoever has custody of the goods record readings', async () => {
+            await assetTransfer.HandOverCustody(transactionContext, 'transaction1', JSON.stringify({ custodian: 'CarrierMSP', location: 'Manila port', condition: 'intact' }));
+
+            await expectError(record('asset1', 'tx2', [{ deviceId: 'logger1', timestamp: 100, temperature: 4 }]), ErrorCode.NOT_AUTHORIZED, 'Only the holder of asset asset1 can record its conditions');
+            useIdentity('CarrierMSP');
+            await record('asset1', 'tx2', [{ deviceId: 'truck7', timestamp: 100, temperature: 4 }]);
+
+            expect((await readConditions('asset1')).readings[0]).to.include({ deviceId: 'truck7', recordedBy: 'CarrierMSP' });
+        });
+
+        it('should let the owner record readings before shipping and refuse orgs outside any transfer', async () => {
+            await createAsset('asset2');
+            await record('asset2', 'tx2', [{ deviceId: 'logger1', timestamp: 100, temperature: 4 }]);
+            expect((await readConditions('asset2')).readings[0]).to.include({ recordedBy: 'Org1MSP' });
+
+            useIdentity('Org3MSP');
+            await expectError(record('asset2', 'tx3', [{ deviceId: 'logger3', timestamp: 200, temperature: 4 }]), ErrorCode.NOT_AUTHORIZED, 'Only the holder of asset asset2 can record its conditions');
+        });
+
+        it('should refuse limits from anybody but the owner and readings without a measure', async () => {
+            useIdentity('Org2MSP');
+            await expectError(setLimits('asset1', { temperature: { max: 20 } }), ErrorCode.NOT_AUTHORIZED, 'Only the owner of asset asset1 can set its condition limits');
+
+            useIdentity('Org1MSP');
+            await expectError(setLimits('asset1', { temperature: { min: 8, max: 2 } }), ErrorCode.INVALID_ARGUMENT, 'Limits of temperature have a min above their max');
+            await expectError(record('asset1', 'tx2', [{ deviceId: 'logger1', timestamp: 100 }]), ErrorCode.INVALID_ARGUMENT, 'Reading of device logger1 at 100 measures none of temperature, humidity, shock');
+        });
+
+        it('should make the receiver choose between rejecting and owning goods with excursions', async () => {
+            await record('asset1', 'tx2', [{ deviceId: 'logger1', timestamp: 300, temperature: 9.5 }]);
+            useIdentity('Org2MSP');
+
+            await expectError(assetTransfer.OwnAsset(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Asset asset1 went outside its limits 1 time(s): temperature 9.5 at 300. Reject transaction transaction1 or own it with acceptExcursions');
+
+            const ret = JSON.parse(await assetTransfer.OwnAsset(transactionContext, 'transaction1', 'true'));
+            expect(ret.warnings).to.eql(['Asset asset1 went outside its limits 1 time(s): temperature 9.5 at 300']);
+            expect(await readAssetIds()).to.eql(['asset1']);
+        });
+
+        it('should keep the conditions of another org\'s asset of the same ID apart', async () => {
+            useIdentity('Org3MSP');
+            await createAsset('asset1');
+            await setLimits('asset1', { temperature: { min: -50, max: 50 } });
+            await record('asset1', 'tx2', [{ deviceId: 'logger3', timestamp: 300, temperature: 30 }]);
+            expect((await readConditions('asset1')).compliance.status).to.equal('COMPLIANT');
+
+            useIdentity('Org1MSP');
+            await record('asset1', 'tx3', [{ deviceId: 'logger1', timestamp: 300, temperature: 9.5 }]);
+            const conditions = await readConditions('asset1');
+            expect(conditions.origin).to.equal('Org1MSP');
+            expect(conditions.limits.temperature).to.eql({ min: 2, max: 8 });
+            expect(conditions.readings.map(reading => reading.deviceId)).to.eql(['logger1']);
+            expect(conditions.compliance.status).to.equal('EXCURSION');
+
+            useIdentity('Org4MSP');
+            await expectError(assetTransfer.ReadConditions(transactionContext, 'asset1'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+            const read = JSON.parse(await assetTransfer.ReadConditions(transactionContext, 'asset1', 'Org3MSP')).details;
+            expect(read.readings.map(reading => reading.deviceId)).to.eql(['logger3']);
+        });
+
+        it('should let the receiver reject goods with excursions', async () => {
+            await record('asset1', 'tx2', [{ deviceId: 'logger1', timestamp: 300, shock: 12 }]);
+            useIdentity('Org2MSP');
+
+            await assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'shock excursion');
+
+            expect(JSON.parse(await assetTransfer.ReadTransactionPrivateDetails(transactionContext, 'transaction1')).details.status).to.equal('REJECTED');
+        });
+    });
+
+    describe('Test document attachments', () => {
+        const invoiceHash = 'a'.repeat(64);
+        const certificateHash = 'B'.repeat(64);
+
+        function attach(target, targetId, type, hash) {
+            const document = { type, hash, filename: `${type}.pdf`, uri: `s3://documents/${type}.pdf` };
+            return assetTransfer.AttachDocument(transactionContext, target, targetId, JSON.stringify(document));
+        }
+
+        async function verify(target, targetId, hash) {
+            return JSON.parse(await assetTransfer.VerifyDocument(transactionContext, target, targetId, hash)).details;
+        }
+
+        beforeEach(async () => {
+            await createAsset('asset1');
+        });
+
+        it('should attach documents to assets and carry them along in transfers', async () => {
+            const attachment = JSON.parse(await attach('asset', 'asset1', 'certificate_of_origin', certificateHash)).details;
+            expect(attachment).to.eql({ type: 'certificate_of_origin', hash: 'b'.repeat(64), filename: 'certificate_of_origin.pdf', uri: 's3://documents/certificate_of_origin.pdf', issuerMSP: 'Org1MSP', txId: 'tx1', timestamp: 1700000000 });
+
+            await createTransaction('transaction1', ['asset1']);
+            await attach('transaction', 'transaction1', 'invoice', invoiceHash);
+
+            const transaction = JSON.parse(await assetTransfer.ReadTransactionPrivateDetails(transactionContext, 'transaction1')).details;
+            expect(transaction.attachments.map(entry => entry.type)).to.eql(['invoice']);
+            expect(transaction.assetIds[0].attachments.map(entry => entry.type)).to.eql(['certificate_of_origin']);
+            expect(chaincodeStub.setEvent.lastCall.args[0]).to.equal('DocumentAttached');
+        });
+
+        it('should verify hashes against what is attached', async () => {
+            await attach('asset', 'asset1', 'certificate_of_origin', certificateHash);
+            await createTransaction('transaction1', ['asset1']);
+            await attach('transaction', 'transaction1', 'invoice', invoiceHash);
+
+            expect(await verify('asset', 'asset1', certificateHash)).to.include({ matches: true });
+            expect(await verify('asset', 'asset1', invoiceHash)).to.eql({ target: 'asset', targetId: 'asset1', matches: false, attachments: [] });
+
+            const result = await verify('transaction', 'transaction1', 'b'.repeat(64));
+            expect(result.matches).to.equal(true);
+            expect(result.attachments[0]).to.include({ assetId: 'asset1', type: 'certificate_of_origin' });
+            expect((await verify('transaction', 'transaction1', invoiceHash)).attachments[0]).to.not.have.property('assetId');
+        });
+
+        it('should only check the caller\'s asset when other orgs use the same ID', async () => {
+            await attach('asset', 'asset1', 'certificate_of_origin', certificateHash);
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org3MSP');
+            await createAsset('asset1');
+
+            expect(await verify('asset', 'asset1', certificateHash)).to.include({ matches: false });
+            useIdentity('Org2MSP');
+            expect(await verify('asset', 'asset1', certificateHash)).to.include({ matches: true });
+            useIdentity('Org4MSP');
+            await expectError(verify('asset', 'asset1', certificateHash), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+        });
+
+        it('should match nothing on records without documents', async () => {
+            expect(await verify('asset', 'asset1', invoiceHash)).to.include({ matches: false });
+
+            await createTransaction('transaction1', ['asset1']);
+            expect(await verify('transaction', 'transaction1', invoiceHash)).to.include({ matches: false });
+        });
+
+        it('should give transactions without documents an empty list', async () => {
+            await createTransaction('transaction1', ['asset1']);
+
+            const transaction = JSON.parse(await assetTransfer.ReadTransactionPrivateDetails(transactionContext, 'transaction1')).details;
+
+            expect(transaction.attachments).to.eql([]);
+        });
+
+        it('should refuse bad hashes, documents attached twice and outsiders', async () => {
+            await expectError(attach('asset', 'asset1', 'invoice', 'abc'), ErrorCode.INVALID_ARGUMENT, 'Hash abc is not a hex SHA-256 hash');
+            await expectError(attach('shipment', 'asset1', 'invoice', invoiceHash), ErrorCode.INVALID_ARGUMENT, 'Target shipment is not one of asset, transaction');
+
+            await attach('asset', 'asset1', 'invoice', invoiceHash);
+            await expectError(attach('asset', 'asset1', 'invoice', invoiceHash.toUpperCase()), ErrorCode.INVALID_ARGUMENT, `Document ${invoiceHash} is already attached to asset asset1`);
+
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org3MSP');
+            await expectError(attach('transaction', 'transaction1', 'invoice', invoiceHash), ErrorCode.NOT_AUTHORIZED, 'Only the parties to transaction transaction1 can attach documents to it');
+            await expectError(verify('asset', 'missing', invoiceHash), ErrorCode.ASSET_NOT_FOUND);
+        });
+    });
+
+    describe('Test asset queries', () => {
+        // the fakes hand back every record and leave the selector to CouchDB
+        beforeEach(() => {
+            chaincodeStub.getPrivateDataQueryResult.callsFake(async (collection) => iteratorOver(collection, privateKeys(collection).reverse()));
+        });
+
+        async function queryPrivateAssets(pageSize, bookmark, filters) {
+            return JSON.parse(await assetTransfer.QueryPrivateAssets(transactionContext, pageSize, bookmark, JSON.stringify(filters))).details;
+        }
+
+        it('should send the filters to CouchDB as a selector', async () => {
+            await queryPrivateAssets('10', '', { tags: [{ key: 'color', value: 'blue' }], org: 'org1' });
+
+            const [collection, query] = chaincodeStub.getPrivateDataQueryResult.lastCall.args;
+            expect(collection).to.equal('Org1MSPPrivateCollection');
+            expect(JSON.parse(query).selector.$and).to.deep.include({ history: { $elemMatch: { org: 'org1' } } });
+        });
+
+        it('should page through the results in key order', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createAsset('asset3');
+
+            const first = await queryPrivateAssets('2', '', {});
+            expect(first.assets.map(asset => asset.assetId)).to.eql(['asset1', 'asset2']);
+
+            const second = await queryPrivateAssets('2', first.bookmark, {});
+            expect(second.assets.map(asset => asset.assetId)).to.eql(['asset3']);
+            expect(second.bookmark).to.equal('');
+        });
+
+        it('should keep to the creation window', async () => {
+            await createAsset('asset1');
+
+            expect((await queryPrivateAssets('10', '', { from: '1700000001' })).assets).to.eql([]);
+            expect((await queryPrivateAssets('10', '', { from: '1700000000', to: '1700000000' })).assets).to.have.lengthOf(1);
+        });
+
+        it('should read the first ten assets by default or all of them with a page size of 0', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createAsset('asset3');
+            chaincodeStub.getPrivateDataQueryResult.callsFake(async (collection) => {
+                const [first, second, third] = privateKeys(collection);
+                return iteratorOver(collection, [second, first, third]);
+            });
+
+            const ret = JSON.parse(await assetTransfer.QueryPrivateAssets(transactionContext)).details;
+            expect(ret.assets.map(asset => asset.assetId)).to.eql(['asset1', 'asset2', 'asset3']);
+            expect((await queryPrivateAssets('0', '', {})).assets).to.have.lengthOf(3);
+        });
+
+        it('should read every match of a query without a filter', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+
+            const ret = await readPrivateQueryPage(transactionContext, 'Org1MSPPrivateCollection', '{}', 0, '');
+            expect(ret.records.map(asset => asset.assetId)).to.eql(['asset1', 'asset2']);
+        });
+
+        it('should refuse malformed filters', async () => {
+            await expectError(queryPrivateAssets('10', '', { org: '' }), ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should page public assets with the bookmark of CouchDB', async () => {
+            const asset = { schemaVersion: 1, docType: 'asset', assetId: 'asset1', tags: [], subAssets: [], history: [{ org: 'Org1MSP', timestamp: 100 }] };
+            const values = [{ key: 'asset1', value: Buffer.from(JSON.stringify(asset)) }];
+            chaincodeStub.getQueryResultWithPagination.resolves({
+                iterator: {
+                    next: async () => (values.length ? { value: values.shift(), done: false } : { done: true }),
+                    close: async () => {},
+                },
+                metadata: { fetchedRecordsCount: 1, bookmark: 'next' },
+            });
+
+            const ret = JSON.parse(await assetTransfer.QueryAssets(transactionContext, '1', '', JSON.stringify({ org: 'Org1MSP' }))).details;
+
+            expect(ret).to.eql({ assets: [asset], bookmark: 'next' });
+            const [query, pageSize, bookmark] = chaincodeStub.getQueryResultWithPagination.lastCall.args;
+            expect(JSON.parse(query).selector.$and[0]).to.eql({ docType: 'asset' });
+            expect([pageSize, bookmark]).to.eql([1, '']);
+        });
+
+        it('should drop public assets created outside the window', async () => {
+            const asset = { schemaVersion: 1, docType: 'asset', assetId: 'asset1', tags: [], subAssets: [], history: [{ org: 'Org1MSP', timestamp: 100 }] };
+            chaincodeStub.getQueryResultWithPagination.callsFake(async () => {
+                const values = [{ key: 'asset1', value: Buffer.from(JSON.stringify(asset)) }];
+                return {
+                    iterator: {
+                        next: async () => (values.length ? { value: values.shift(), done: false } : { done: true }),
+                        close: async () => {},
+                    },
+                    metadata: { fetchedRecordsCount: 1, bookmark: '' },
+                };
+            });
+
+            expect(JSON.parse(await assetTransfer.QueryAssets(transactionContext)).details.assets).to.eql([asset]);
+            expect(chaincodeStub.getQueryResultWithPagination.lastCall.args.slice(1)).to.eql([10, '']);
+            expect(JSON.parse(await assetTransfer.QueryAssets(transactionContext, '10', '', JSON.stringify({ from: 200 }))).details.assets).to.eql([]);
+        });
+    });
+
+    describe('Test GetAssetProvenance', () => {
+        function setTime(seconds, txId) {
+            chaincodeStub.getTxTimestamp.returns({ seconds: { low: seconds }, nanos: 0, array: [seconds, 0] });
+            chaincodeStub.getTxID.returns(txId);
+        }
+
+        async function readProvenance(assetId) {
+            return JSON.parse(await assetTransfer.GetAssetProvenance(transactionContext, assetId)).details;
+        }
+
+        it('should merge public, private and transfer events in chronological order', async () => {
+            setTime(100, 'tx1');
+            await createAsset('asset1');
+            setTime(150, 'tx2');
+            await assetTransfer.CreateAsset(transactionContext, 'asset1', '[]');
+            setTime(200, 'tx3');
+            await createTransaction('transaction1', ['asset1']);
+            setTime(300, 'tx4');
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            setTime(400, 'tx5');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            setTime(500, 'tx6');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+
+            const provenance = await readProvenance('asset1');
+
+            expect(provenance.assetId).to.equal('asset1');
+            expect(provenance.events.map(event => [event.timestamp, event.source, event.action, event.txId, event.msp])).to.eql([
+                [100, 'private', 'HANDLED', 'tx1', 'Org1MSP'],
+                [150, 'public', 'WRITTEN', 'tx2', 'Org1MSP'],
+                [200, 'transfer', 'PENDING', 'tx3', 'Org1MSP'],
+                [300, 'transfer', 'ACCEPTED', 'tx4', 'Org2MSP'],
+                [400, 'transfer', 'TRANSFERRED', 'tx5', 'Org1MSP'],
+                [500, 'public', 'WRITTEN', 'tx6', 'Org2MSP'],
+                [500, 'private', 'HANDLED', 'tx6', 'Org2MSP'],
+                [500, 'transfer', 'OWNED', 'tx6', 'Org2MSP'],
+            ]);
+            expect(provenance.events[2]).to.include({ transactionId: 'transaction1', ownerMSP: 'Org1MSP', newOwnerMSP: 'Org2MSP' });
+        });
+
+        it('should report who wrote the public copy', async () => {
+            setTime(100, 'tx1');
+            await createAsset('asset1');
+            await assetTransfer.CreateAsset(transactionContext, 'asset1', '[]');
+            setTime(200, 'tx2');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            setTime(300, 'tx3');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            setTime(400, 'tx4');
+            await assetTransfer.UpdateAsset(transactionContext, 'asset1', JSON.stringify([{ key: 'color', value: 'red' }]));
+
+            const events = (await readProvenance('asset1')).events.filter(event => event.source === 'public');
+            expect(events.map(event => [event.txId, event.msp])).to.eql([['tx1', 'Org1MSP'], ['tx3', 'Org2MSP'], ['tx4', 'Org2MSP']]);
+            expect(events[1].record.owner).to.eql({ msp: 'Org2MSP' });
+        });
+
+        it('should fall back to the copy a transfer holds once the asset left', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+
+            const provenance = await readProvenance('asset1');
+
+            expect(provenance.events.map(event => event.source)).to.eql(['private', 'transfer']);
+        });
+
+        it('should leave out transfers and copies of other orgs\' assets of the same ID', async () => {
+            setTime(100, 'tx1');
+            await createAsset('asset1');
+            setTime(200, 'tx2');
+            await createTransaction('transaction1', ['asset1']);
+            setTime(300, 'tx3');
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            setTime(400, 'tx4');
+            useIdentity('Org1MSP');
+            await assetTransfer.HandOverCustody(transactionContext, 'transaction1', JSON.stringify({ custodian: 'CarrierMSP', location: 'Manila port', condition: 'intact' }));
+            setTime(500, 'tx5');
+            useIdentity('Org3MSP');
+            await createAsset('asset1');
+            setTime(600, 'tx6');
+            await createTransaction('transaction3', ['asset1']);
+
+            const transfers = events => events.filter(event => event.transactionId).map(event => event.transactionId);
+            const writers = events => events.filter(event => event.source === 'private').map(event => event.msp);
+
+            useIdentity('Org1MSP');
+            const sent = (await readProvenance('asset1')).events;
+            expect(transfers(sent)).to.eql(['transaction1', 'transaction1', 'transaction1']);
+            expect(writers(sent)).to.eql(['Org1MSP']);
+
+            useIdentity('CarrierMSP');
+            const carried = (await readProvenance('asset1')).events;
+            expect(transfers(carried)).to.eql(['transaction1', 'transaction1', 'transaction1']);
+            expect(writers(carried)).to.eql(['Org1MSP']);
+
+            useIdentity('Org3MSP');
+            const other = (await readProvenance('asset1')).events;
+            expect(transfers(other)).to.eql(['transaction3']);
+            expect(writers(other)).to.eql(['Org3MSP']);
+
+            useIdentity('Org4MSP');
+            await expectError(assetTransfer.GetAssetProvenance(transactionContext, 'asset1'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 has no provenance');
+        });
+
+        it('should report deletions of the public copy', async () => {
+            chaincodeStub.keyHistory.asset9 = [{ txId: 'tx9', timestamp: { seconds: { low: 50 }, nanos: 0 }, isDelete: true, value: Buffer.from('') }];
+
+            const provenance = await readProvenance('asset9');
+
+            expect(provenance.events).to.eql([{ source: 'public', action: 'DELETED', txId: 'tx9', timestamp: 50, msp: null, isDelete: true }]);
+        });
+
+        it('should not name the writer of a public copy without an owner', async () => {
+            const asset = { assetId: 'asset9', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 50 }] };
+            chaincodeStub.keyHistory.asset9 = [{ txId: 'tx9', timestamp: { seconds: { low: 50 }, nanos: 0 }, isDelete: false, value: Buffer.from(JSON.stringify(asset)) }];
+
+            expect((await readProvenance('asset9')).events[0]).to.include({ source: 'public', action: 'WRITTEN', msp: null });
+        });
+
+        it('should read the timestamps of key history however they are encoded', async () => {
+            const write = timestamp => ({ txId: 'tx9', timestamp, isDelete: true, value: Buffer.from('') });
+            chaincodeStub.keyHistory.asset9 = [write({ seconds: { toNumber: () => 60 }, nanos: 0 }), write({ seconds: '70', nanos: 0 }), write({ nanos: 0 }), write(undefined)];
+
+            const provenance = await readProvenance('asset9');
+
+            expect(provenance.events.map(event => event.timestamp)).to.eql([0, 0, 60, 70]);
+        });
+
+        it('should report assemblies, lineage and hand-overs', async () => {
+            setTime(100, 'tx1');
+            await createAsset('wheel1');
+            setTime(200, 'tx2');
+            await createAsset('bike1', ['wheel1']);
+            setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId: 'batch1', tags: [], quantity: 10 }) });
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            setTransient();
+            setTime(300, 'tx3');
+            await assetTransfer.SplitAsset(transactionContext, 'batch1', JSON.stringify([{ assetId: 'batch1a', quantity: 4 }]));
+
+            expect((await readProvenance('wheel1')).events.find(event => event.action === 'ASSEMBLED')).to.include({ parentId: 'bike1', txId: 'tx2' });
+            expect((await readProvenance('batch1')).events.find(event => event.source === 'lineage')).to.include({ action: 'SPLIT_OFF', txId: 'tx3', timestamp: 300 });
+
+            setTime(400, 'tx4');
+            await createTransaction('transaction1', ['bike1']);
+            await assetTransfer.CancelTransaction(transactionContext, 'transaction1');
+            setTime(500, 'tx5');
+            await createTransaction('transaction2', ['bike1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction2');
+            useIdentity('Org1MSP');
+            setTime(600, 'tx6');
+            await assetTransfer.HandOverCustody(transactionContext, 'transaction2', JSON.stringify({ custodian: 'CarrierMSP', location: 'Manila port', condition: 'intact' }));
+
+            const events = (await readProvenance('bike1')).events.filter(event => event.source !== 'private');
+            expect(events.map(event => [event.source, event.action, event.transactionId])).to.eql([
+                ['transfer', 'PENDING', 'transaction1'],
+                ['transfer', 'CANCELLED', 'transaction1'],
+                ['transfer', 'PENDING', 'transaction2'],
+                ['transfer', 'ACCEPTED', 'transaction2'],
+                ['custody', 'HANDED_OVER', 'transaction2'],
+            ]);
+            expect(events[4]).to.include({ msp: 'Org1MSP', custodian: 'CarrierMSP', location: 'Manila port' });
+        });
+
+        it('should read the status changes of transactions stored before they kept a history', async () => {
+            const legacyTransaction = (id, asset, fields) => Object.assign({ id, assetIds: [asset], newOwnerMSP: 'Org2MSP', created: 1600000000 }, fields);
+            storeLegacy('assetCollection', 'legacy1', legacyTransaction('legacy1', { assetId: 'old1', tags: [], subAssets: [], history: [{ org: 'org1', timestamp: 1600000000 }] }, { cancelledAt: 1600000100 }));
+            storeLegacy('assetCollection', 'legacy2', legacyTransaction('legacy2', { assetId: 'old2', tags: [], subAssets: [] }, { ownerMSP: 'Org1MSP', rejectedAt: 1600000200 }));
+            for (const [assetId, transactionId] of [['old1', 'legacy1'], ['old2', 'legacy2']]) {
+                chaincodeStub.privateStates.assetCollection[ChaincodeStub.prototype.createCompositeKey('transaction~assetId~txId', [assetId, transactionId])] = Buffer.from(transactionId);
+            }
+
+            expect((await readProvenance('old1')).events.map(event => [event.source, event.action, event.txId, event.msp])).to.eql([
+                ['private', 'HANDLED', null, null],
+                ['transfer', 'PENDING', null, null],
+                ['transfer', 'CANCELLED', null, null],
+            ]);
+            expect((await readProvenance('old2')).events.map(event => [event.action, event.msp, event.timestamp])).to.eql([
+                ['PENDING', 'Org1MSP', 1600000000],
+                ['REJECTED', null, 1600000200],
+            ]);
+        });
+
+        it('should skip index entries of transactions that are gone', async () => {
+            await createAsset('asset1');
+            chaincodeStub.privateStates.assetCollection = { [ChaincodeStub.prototype.createCompositeKey('transaction~assetId~txId', ['asset1', 'gone1'])]: Buffer.from('gone1') };
+
+            expect((await readProvenance('asset1')).events.map(event => event.source)).to.eql(['private']);
+        });
+
+        it('should refuse an asset the ledger knows nothing of', async () => {
+            await expectError(assetTransfer.GetAssetProvenance(transactionContext, 'missing'), ErrorCode.ASSET_NOT_FOUND, 'Asset missing has no provenance');
+        });
+    });
+
+    describe('Test ExportAssetEpcis', () => {
+        function setTime(seconds, txId) {
+            chaincodeStub.getTxTimestamp.returns({ seconds: { low: seconds }, nanos: 0, array: [seconds, 0] });
+            chaincodeStub.getTxID.returns(txId);
+        }
+
+        async function exportEvents(assetId) {
+            const document = JSON.parse(await assetTransfer.ExportAssetEpcis(transactionContext, assetId)).details;
+            expect(document).to.include({ type: 'EPCISDocument', schemaVersion: '2.0' });
+            return document.epcisBody.eventList;
+        }
+
+        it('should report commissioning, shipping and receiving', async () => {
+            setTime(100, 'tx1');
+            await createAsset('asset1');
+            setTime(200, 'tx2');
+            await createTransaction('transaction1', ['asset1']);
+            setTime(300, 'tx3');
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            setTime(400, 'tx4');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            setTime(500, 'tx5');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+
+            const events = await exportEvents('asset1');
+
+            expect(events.map(event => [event.type, event.action, event.bizStep, event.disposition, event.eventTime])).to.eql([
+                ['ObjectEvent', 'ADD', 'commissioning', 'active', '1970-01-01T00:01:40.000Z'],
+                ['TransactionEvent', 'ADD', 'reserving', 'reserved', '1970-01-01T00:03:20.000Z'],
+                ['ObjectEvent', 'OBSERVE', 'shipping', 'in_transit', '1970-01-01T00:06:40.000Z'],
+                ['ObjectEvent', 'OBSERVE', 'receiving', 'in_progress', '1970-01-01T00:08:20.000Z'],
+            ]);
+            expect(events[0]).to.include({ eventTimeZoneOffset: '+00:00', 'sc:txId': 'tx1' });
+            expect(events[0].epcList).to.eql(['urn:supplychain:asset:asset1']);
+            expect(events[2].bizTransactionList).to.eql([{ bizTransaction: 'urn:supplychain:transaction:transaction1' }]);
+            expect(events[2].sourceList).to.eql([{ type: 'owning_party', source: 'urn:supplychain:org:Org1MSP' }]);
+            expect(events[2].destinationList).to.eql([{ type: 'owning_party', destination: 'urn:supplychain:org:Org2MSP' }]);
+        });
+
+        it('should report returns going back to the sender', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction1');
+            await assetTransfer.ReturnTransaction(transactionContext, 'transaction1', 'damaged');
+
+            const returned = (await exportEvents('asset1')).pop();
+
+            expect(returned).to.include({ type: 'ObjectEvent', bizStep: 'shipping', disposition: 'returned' });
+            expect(returned.sourceList[0].source).to.equal('urn:supplychain:org:Org2MSP');
+        });
+
+        it('should report the assembly of components', async () => {
+            setTime(100, 'tx1');
+            await createAsset('wheel1');
+            await createAsset('wheel2');
+            setTime(200, 'tx2');
+            await createAsset('bike1', ['wheel1', 'wheel2']);
+
+            const bikeEvents = await exportEvents('bike1');
+            expect(bikeEvents[1]).to.include({ type: 'AggregationEvent', action: 'ADD', bizStep: 'packing', parentID: 'urn:supplychain:asset:bike1' });
+            expect(bikeEvents[1].childEPCs).to.eql(['urn:supplychain:asset:wheel1', 'urn:supplychain:asset:wheel2']);
+
+            setTime(300, 'tx3');
+            await assetTransfer.DisassembleAsset(transactionContext, 'bike1', JSON.stringify(['wheel1']));
+
+            const wheelEvents = await exportEvents('wheel1');
+            expect(wheelEvents.map(event => [event.type, event.action, event.bizStep])).to.eql([
+                ['ObjectEvent', 'ADD', 'commissioning'],
+                ['AggregationEvent', 'ADD', 'packing'],
+                ['AggregationEvent', 'DELETE', 'unpacking'],
+            ]);
+            expect(wheelEvents[2].childEPCs).to.eql(['urn:supplychain:asset:wheel1']);
+        });
+
+        it('should count lots by quantity and unit', async () => {
+            setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId: 'batch1', tags: [], quantity: 500, unit: 'KGM' }) });
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId: 'bolts1', tags: [], quantity: 40 }) });
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            setTransient();
+            await createTransaction('transaction1', [{ assetId: 'batch1', quantity: 200 }]);
+            await createAsset('crate1', ['batch1', 'bolts1']);
+
+            const lotEvents = await exportEvents('batch1-transaction1');
+            expect(lotEvents.map(event => event.quantityList)).to.eql([
+                [{ epcClass: 'urn:supplychain:asset:batch1-transaction1', quantity: 200, uom: 'KGM' }],
+                [{ epcClass: 'urn:supplychain:asset:batch1-transaction1', quantity: 200, uom: 'KGM' }],
+            ]);
+            expect(lotEvents[0]).to.not.have.property('epcList');
+
+            const crateEvents = await exportEvents('crate1');
+            expect(crateEvents[1].childEPCs).to.eql([]);
+            expect(crateEvents[1].childQuantityList).to.eql([
+                { epcClass: 'urn:supplychain:asset:batch1', quantity: 300, uom: 'KGM' },
+                { epcClass: 'urn:supplychain:asset:bolts1', quantity: 40 },
+            ]);
+            expect((await exportEvents('bolts1'))[1].childQuantityList).to.eql([{ epcClass: 'urn:supplychain:asset:bolts1', quantity: 40 }]);
+        });
+
+        it('should report hand-overs at their location', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            setTime(1800000000, 'tx2');
+            await assetTransfer.HandOverCustody(transactionContext, 'transaction1', JSON.stringify({ custodian: 'CarrierMSP', location: 'urn:epc:id:sgln:0614141.00777.0', condition: 'intact' }));
+            useIdentity('CarrierMSP');
+            setTime(1800000100, 'tx3');
+            await assetTransfer.HandOverCustody(transactionContext, 'transaction1', JSON.stringify({ custodian: 'Org2MSP', location: 'Cebu depot', condition: 'intact' }));
+
+            useIdentity('Org1MSP');
+            const transports = (await exportEvents('asset1')).filter(event => event.bizStep === 'transporting');
+            expect(transports.map(event => [event.readPoint.id, event['sc:txId']])).to.eql([
+                ['urn:epc:id:sgln:0614141.00777.0', 'tx2'],
+                ['urn:supplychain:location:Cebu%20depot', 'tx3'],
+            ]);
+            expect(transports[0]).to.include({ type: 'ObjectEvent', action: 'OBSERVE', disposition: 'in_transit' });
+        });
+
+        it('should report what records saved before they kept a full history tell', async () => {
+            storeLegacy('Org1MSPPrivateCollection', assetKey('Org1MSP', 'bike1'), { assetId: 'bike1', tags: [], subAssets: [{ assetId: 'wheel1', tags: [] }, 'wheel2'], history: [{ org: 'org1', timestamp: 1600000000 }] });
+            storeLegacy('Org1MSPPrivateCollection', assetKey('Org1MSP', 'wheel2'), { assetId: 'wheel2', tags: [], subAssets: [] });
+
+            const events = await exportEvents('bike1');
+            expect(events.map(event => [event.type, event.action])).to.eql([['ObjectEvent', 'ADD'], ['AggregationEvent', 'ADD']]);
+            expect(events[0]).to.not.have.property('sc:txId');
+            expect(events[1].childEPCs).to.eql(['urn:supplychain:asset:wheel1', 'urn:supplychain:asset:wheel2']);
+
+            expect(await exportEvents('wheel2')).to.eql([]);
+        });
+
+        it('should only report the events of the caller\'s asset when other orgs use the same ID', async () => {
+            setTime(100, 'tx1');
+            await createAsset('asset1');
+            setTime(200, 'tx2');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org3MSP');
+            setTime(300, 'tx3');
+            await createAsset('asset1');
+            setTime(400, 'tx4');
+            await createTransaction('transaction3', ['asset1']);
+
+            const summary = events => events.map(event => [event['sc:txId'], event.bizTransactionList ? event.bizTransactionList[0].bizTransaction : null]);
+
+            useIdentity('Org1MSP');
+            expect(summary(await exportEvents('asset1'))).to.eql([
+                ['tx1', null],
+                ['tx2', 'urn:supplychain:transaction:transaction1'],
+            ]);
+            useIdentity('Org3MSP');
+            expect(summary(await exportEvents('asset1'))).to.eql([
+                ['tx3', null],
+                ['tx4', 'urn:supplychain:transaction:transaction3'],
+            ]);
+            useIdentity('Org4MSP');
+            await expectError(assetTransfer.ExportAssetEpcis(transactionContext, 'asset1'), ErrorCode.ASSET_NOT_FOUND, 'Asset asset1 does not exist');
+        });
+
+        it('should keep asset IDs that already are URIs', async () => {
+            await createAsset('urn:epc:id:sgtin:0614141.107346.2017');
+
+            const events = await exportEvents('urn:epc:id:sgtin:0614141.107346.2017');
+
+            expect(events[0].epcList).to.eql(['urn:epc:id:sgtin:0614141.107346.2017']);
+        });
+
+        it('should refuse an asset the caller has no record of', async () => {
+            await expectError(assetTransfer.ExportAssetEpcis(transactionContext, 'missing'), ErrorCode.ASSET_NOT_FOUND, 'Asset missing does not exist');
+        });
+    });
+
+    describe('Test duplicate protection', () => {
+        const tags = JSON.stringify([{ key: 'color', value: 'blue' }]);
+
+        function withIdempotencyKey(key, fields = {}) {
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'warehouse' });
+            setTransient(Object.assign({ idempotencyKey: key }, fields));
+        }
+
+        it('should refuse to create an asset that exists', async () => {
+            await createAsset('asset1');
+
+            await expectError(createAsset('asset1'), ErrorCode.INVALID_ARGUMENT, 'Asset asset1 already exists');
+        });
+
+        it('should refuse to push over an asset that exists', async () => {
+            await createAsset('asset1');
+            const assets = [{ assetId: 'asset1', tags: [], subAssets: [], history: [{ org: 'org3', timestamp: 1 }] }];
+
+            await expectError(assetTransfer.PushAssets(transactionContext, JSON.stringify(assets)), ErrorCode.INVALID_ARGUMENT, 'Asset asset1 already exists');
+        });
+
+        it('should refuse to create a transaction that exists', async () => {
+            await createAsset('asset1');
+            await createAsset('asset2');
+            await createTransaction('transaction1', ['asset1']);
+
+            await expectError(createTransaction('transaction1', ['asset2']), ErrorCode.INVALID_ARGUMENT, 'Transaction transaction1 already exists');
+            expect(await readAssetIds()).to.eql(['asset2']);
+        });
+
+        it('should refuse to cancel or own a transaction over an asset created since', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            await createAsset('asset1');
+
+            await expectError(assetTransfer.CancelTransaction(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 would overwrite asset(s) asset1');
+            expect(JSON.parse(await assetTransfer.ReadPrivateAsset(transactionContext, 'asset1')).details.history).to.have.lengthOf(1);
+
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction1');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction1');
+            useIdentity('Org2MSP');
+            await assetTransfer.CreatePrivateAsset(transactionContext, 'org2', 'asset1', tags, '[]');
+            await expectError(assetTransfer.OwnAsset(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 would overwrite asset(s) asset1');
+        });
+
+        it('should refuse to take back rejected or returned assets over an asset created since', async () => {
+            await createAsset('asset1');
+            await createTransaction('transaction1', ['asset1']);
+            useIdentity('Org2MSP');
+            await assetTransfer.RejectTransaction(transactionContext, 'transaction1', 'damaged');
+            useIdentity('Org1MSP');
+            await createAsset('asset1');
+            await expectError(assetTransfer.GetBackAssets(transactionContext, 'transaction1'), ErrorCode.INVALID_STATE, 'Transaction transaction1 would overwrite asset(s) asset1');
+
+            await createAsset('asset2');
+            await createTransaction('transaction2', ['asset2']);
+            useIdentity('Org2MSP');
+            await assetTransfer.AcceptTransaction(transactionContext, 'transaction2');
+            useIdentity('Org1MSP');
+            await assetTransfer.TransferNow(transactionContext, 'transaction2');
+            useIdentity('Org2MSP');
+            await assetTransfer.OwnAsset(transactionContext, 'transaction2');
+            await assetTransfer.ReturnTransaction(transactionContext, 'transaction2', 'damaged');
+            useIdentity('Org1MSP');
+            await createAsset('asset2');
+            await expectError(assetTransfer.AcceptReturnTransaction(transactionContext, 'transaction2'), ErrorCode.INVALID_STATE, 'Transaction transaction2 would overwrite asset(s) asset2');
+        });
+
+        it('should return the original result to a retry with the same idempotency key', async () => {
+            withIdempotencyKey('key1');
+            const parameters = ['org1', 'asset1', tags, '[]'];
+
+            const first = await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', parameters);
+            const writes = chaincodeStub.putPrivateData.callCount;
+            const retry = await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', parameters);
+
+            expect(retry).to.equal(first);
+            expect(chaincodeStub.putPrivateData.callCount).to.equal(writes);
+        });
+
+        it('should take an empty idempotency key for none', async () => {
+            withIdempotencyKey('');
+            await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', ['org1', 'asset1', tags, '[]']);
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', ['org1', 'asset1', tags, '[]']), ErrorCode.INVALID_ARGUMENT, 'Asset asset1 already exists');
+        });
+
+        it('should refuse an idempotency key reused for another request', async () => {
+            withIdempotencyKey('key1');
+            await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', ['org1', 'asset1', tags, '[]']);
+
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', ['org1', 'asset2', tags, '[]']), ErrorCode.INVALID_ARGUMENT, 'Idempotency key key1 was already used for another CreatePrivateAsset request');
+        });
+
+        it('should tell requests apart by their transient input', async () => {
+            const asset = fields => ({ asset: JSON.stringify(Object.assign({ orgId: 'org1', tags: [] }, fields)) });
+            withIdempotencyKey('key1', asset({ assetId: 'asset1' }));
+            const first = await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAssetTransient', []);
+            expect(await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAssetTransient', [])).to.equal(first);
+
+            withIdempotencyKey('key1', asset({ assetId: 'asset2' }));
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAssetTransient', []), ErrorCode.INVALID_ARGUMENT, 'Idempotency key key1 was already used for another CreatePrivateAssetTransient request');
+
+            withIdempotencyKey('key2', { rows: JSON.stringify([{ assetId: 'asset3' }]) });
+            await assetTransfer.aroundTransaction(transactionContext, 'ImportAssets', ['org1']);
+            withIdempotencyKey('key2', { rows: JSON.stringify([{ assetId: 'asset4' }]) });
+            await expectError(assetTransfer.aroundTransaction(transactionContext, 'ImportAssets', ['org1']), ErrorCode.INVALID_ARGUMENT, 'Idempotency key key2 was already used for another ImportAssets request');
+            expect(await readAssetIds()).to.eql(['asset1', 'asset3']);
+        });
+
+        it('should keep idempotency keys apart per org', async () => {
+            withIdempotencyKey('key1');
+            await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', ['org1', 'asset1', tags, '[]']);
+
+            useIdentity('Org2MSP');
+            await assetTransfer.aroundTransaction(transactionContext, 'CreatePrivateAsset', ['org2', 'asset2', tags, '[]']);
+
+            expect(await readAssetIds()).to.eql(['asset2']);
+        });
+    });
+
+    describe('Test SimulateTransaction', () => {
+        beforeEach(async () => {
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getID: () => `x509::CN=${mspId}`, getAttributeValue: () => 'admin' });
+            await createAsset('asset1');
+        });
+
+        async function simulate(fn, parameters) {
+            return JSON.parse(await assetTransfer.SimulateTransaction(transactionContext, fn, JSON.stringify(parameters))).details;
+        }
+
+        it('should plan a transaction without writing it', async () => {
+            const before = JSON.stringify(chaincodeStub.privateStates);
+
+            const plan = await simulate('CreatePrivateTransaction', ['org1', 'org2', 'transaction1', JSON.stringify(['asset1']), 'Org2MSP']);
+
+            expect(JSON.stringify(chaincodeStub.privateStates)).to.equal(before);
+            expect(chaincodeStub.setEvent.called).to.equal(false);
+            expect(plan.valid).to.equal(true);
+            expect(plan.error).to.equal(null);
+            expect(plan.changes.find(change => change.action === 'DELETE')).to.deep.include({ collection: 'Org1MSPPrivateCollection', objectType: 'asset~org~assetId', attributes: ['Org1MSP', 'asset1'] });
+            expect(plan.changes.find(change => change.key === 'transaction1')).to.include({ action: 'PUT', collection: 'assetCollection' });
+            expect(plan.indexChanges.map(change => change.objectType).sort()).to.eql(['transaction~assetId~txId', 'transaction~msp~direction~status~created~txId', 'transaction~msp~direction~status~created~txId']);
+            expect(plan.event.name).to.equal('TransactionStatusChanged');
+        });
+
+        it('should report the validation that would fail', async () => {
+            const plan = await simulate('CreatePrivateTransaction', ['org1', 'org2', 'transaction1', JSON.stringify(['missing']), 'Org2MSP']);
+
+            expect(plan.valid).to.equal(false);
+            expect(plan.error.code).to.equal(ErrorCode.ASSET_NOT_FOUND);
+            expect(plan.changes).to.eql([]);
+        });
+
+        it('should plan pulling assets and returning a transaction', async () => {
+            const pull = await simulate('PullAssets', [JSON.stringify(['asset1'])]);
+            expect(pull.valid).to.equal(true);
+            expect(pull.changes.filter(change => change.action === 'DELETE').map(change => change.attributes)).to.eql([['Org1MSP', 'asset1']]);
+            expect(await readAssetIds()).to.eql(['asset1']);
+
+            const ret = await simulate('ReturnTransaction', ['transaction1', 'damaged']);
+            expect(ret.valid).to.equal(false);
+            expect(ret.error.code).to.equal(ErrorCode.TRANSACTION_NOT_FOUND);
+        });
+
+        it('should plan the commitments it would write to the world state', async () => {
+            setTransient({ asset: JSON.stringify({ orgId: 'org1', assetId: 'batch1', tags: [], quantity: 10 }) });
+            await assetTransfer.CreatePrivateAssetTransient(transactionContext);
+            setTransient();
+            const states = Object.keys(chaincodeStub.states);
+
+            const plan = await simulate('CreatePrivateTransaction', ['org1', 'org2', 'transaction1', JSON.stringify([{ assetId: 'batch1', quantity: 4 }]), 'Org2MSP']);
+
+            expect(plan.changes.filter(change => change.collection === null).map(change => [change.action, change.objectType, change.attributes])).to.eql([
+                ['PUT', 'commitment~msp~assetId', ['Org1MSP', 'batch1']],
+                ['PUT', 'commitment~msp~assetId', ['Org1MSP', 'batch1-transaction1']],
+            ]);
+            expect(Object.keys(chaincodeStub.states)).to.eql(states);
+        });
+
+        it('should note deletes of the world state and pass on unexpected failures', async () => {
+            const plan = await simulation.simulate(transactionContext, 'DeleteAsset', ['asset1'], async simulated => {
+                await simulated.stub.deleteState('asset1');
+                return JSON.stringify({ message: 'Done' });
+            });
+            expect(plan.changes).to.eql([{ action: 'DELETE', collection: null, key: 'asset1', objectType: null, attributes: [] }]);
+            expect(chaincodeStub.deleteState.called).to.equal(false);
+
+            try {
+                await simulation.simulate(transactionContext, 'DeleteAsset', ['asset1'], async () => {
+                    throw new Error('peer unavailable');
+                });
+            } catch (err) {
+                expect(err.message).to.equal('peer unavailable');
+                return;
+            }
+            expect.fail('expected the simulation to throw');
+        });
+
+        it('should refuse functions that cannot be simulated', async () => {
+            await expectError(assetTransfer.SimulateTransaction(transactionContext, 'DeleteTransaction', '[]'), ErrorCode.INVALID_ARGUMENT, 'DeleteTransaction cannot be simulated, only CreatePrivateTransaction, PullAssets, ReturnTransaction can');
+        });
+
+        it('should run a function without arguments by default', async () => {
+            const plan = JSON.parse(await assetTransfer.SimulateTransaction(transactionContext, 'PullAssets')).details;
+
+            expect(plan.parameters).to.eql([]);
+            expect(plan.valid).to.equal(false);
+            expect(plan.error.code).to.equal(ErrorCode.INVALID_ARGUMENT);
+        });
+
+        it('should refuse a function the client may not call', async () => {
+            transactionContext.setClientIdentity({ getMSPID: () => mspId, getAttributeValue: () => 'auditor' });
+
+            await expectError(assetTransfer.SimulateTransaction(transactionContext, 'PullAssets', '[]'), ErrorCode.NOT_AUTHORIZED);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const { ErrorCode } = require('../lib/ContractError.js');
+const { validate, assertValid } = require('../lib/schema.js');
+
+describe('Schema Tests', () => {
+    const asset = {
+        assetId: 'asset1',
+        tags: [{ key: 'color', value: 'blue' }],
+        subAssets: [],
+        history: [{ org: 'org1', timestamp: 1700000000 }],
+    };
+
+    describe('Test validate', () => {
+        it('should accept a valid asset', () => {
+            expect(validate(asset, 'asset', 'asset')).to.eql([]);
+        });
+
+        it('should list the path of every failing field', () => {
+            const errors = validate([Object.assign({}, asset, { assetId: undefined, history: 'org1' }), Object.assign({}, asset, { tags: [{ value: {} }] })], 'assets', 'assets');
+
+            expect(errors).to.eql([
+                'assets[0].assetId is required',
+                'assets[0].history must be an array',
+                'assets[1].tags[0].key is required',
+                'assets[1].tags[0].value must be a string or a number or a boolean',
+            ]);
+        });
+
+        it('should accept sub assets as IDs or as copies with an ID', () => {
+            expect(validate(Object.assign({}, asset, { subAssets: ['asset2', asset] }), 'asset', 'asset')).to.eql([]);
+
+            const errors = validate(Object.assign({}, asset, { subAssets: ['', { tags: [] }] }), 'asset', 'asset');
+
+            expect(errors).to.eql(['asset.subAssets[0] must not be empty', 'asset.subAssets[1].assetId is required']);
+        });
+
+        it('should require the minimum number of items', () => {
+            expect(validate(Object.assign({}, asset, { history: [] }), 'asset', 'asset')).to.eql(['asset.history must have at least 1 item(s)']);
+        });
+
+        it('should check transaction statuses', () => {
+            const transaction = { id: 'transaction1', status: 'DONE', newOwnerMSP: 'Org2MSP', ownerOrgId: 'org1', newOwnerOrgId: 'org2', assetIds: [asset], created: 1700000000 };
+
+            expect(validate(transaction, 'transaction', 'transaction')).to.have.lengthOf(1);
+            expect(validate(transaction, 'transaction', 'transaction')[0]).to.match(/^transaction\.status must be one of PENDING/);
+        });
+    });
+
+    describe('Test assertValid', () => {
+        it('should throw INVALID_ARGUMENT with all failing paths', () => {
+            try {
+                assertValid(['asset1', ''], 'ids', 'assetIds');
+            } catch (err) {
+                expect(err.code).to.equal(ErrorCode.INVALID_ARGUMENT);
+                expect(err.details).to.equal('Validation failed: assetIds[1] must not be empty');
+                return;
+            }
+            expect.fail('expected assertValid to throw');
+        });
+
+        it('should return the value when valid', () => {
+            expect(assertValid(asset, 'asset')).to.equal(asset);
+        });
+    });
+});
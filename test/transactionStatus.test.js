@@ -0,0 +1,64 @@
+'use strict';
+const chai = require('chai');
+const expect = chai.expect;
+
+const { TransactionStatus, missedDeadline, currentStatus, canTransition, assertTransition } = require('../lib/transactionStatus.js');
+
+describe('Transaction Status Tests', () => {
+    describe('Test currentStatus', () => {
+        it('should prefer the status field', () => {
+            expect(currentStatus({ status: TransactionStatus.OWNED, isNewOwnerAccepted: true })).to.equal(TransactionStatus.OWNED);
+        });
+
+        it('should derive the status of transactions stored with flags', () => {
+            expect(currentStatus({ isNewOwnerAccepted: false })).to.equal(TransactionStatus.PENDING);
+            expect(currentStatus({ isNewOwnerAccepted: true })).to.equal(TransactionStatus.ACCEPTED);
+            expect(currentStatus({ isNewOwnerAccepted: true, isCurrentOwnerApproved: true })).to.equal(TransactionStatus.TRANSFERRED);
+            expect(currentStatus({ isCurrentOwnerApproved: true, isOwnershipChanged: true })).to.equal(TransactionStatus.OWNED);
+            expect(currentStatus({ isCancelled: true })).to.equal(TransactionStatus.CANCELLED);
+            expect(currentStatus({ isRejected: true })).to.equal(TransactionStatus.REJECTED);
+            expect(currentStatus({ isOwnershipChanged: true, isReturned: true })).to.equal(TransactionStatus.RETURNED);
+            expect(currentStatus({ isRejected: true, isGotBack: true })).to.equal(TransactionStatus.GOT_BACK);
+        });
+    });
+
+    describe('Test canTransition', () => {
+        it('should allow declared transitions', () => {
+            expect(canTransition(TransactionStatus.PENDING, TransactionStatus.ACCEPTED)).to.equal(true);
+            expect(canTransition(TransactionStatus.ACCEPTED, TransactionStatus.TRANSFERRED)).to.equal(true);
+            expect(canTransition(TransactionStatus.TRANSFERRED, TransactionStatus.OWNED)).to.equal(true);
+            expect(canTransition(TransactionStatus.OWNED, TransactionStatus.RETURNED)).to.equal(true);
+        });
+
+        it('should refuse undeclared transitions', () => {
+            expect(canTransition(TransactionStatus.CANCELLED, TransactionStatus.ACCEPTED)).to.equal(false);
+            expect(canTransition(TransactionStatus.REJECTED, TransactionStatus.TRANSFERRED)).to.equal(false);
+            expect(canTransition(TransactionStatus.PENDING, TransactionStatus.OWNED)).to.equal(false);
+        });
+    });
+
+    describe('Test assertTransition', () => {
+        it('should name the current and attempted status', () => {
+            expect(() => assertTransition({ id: 'tx1', status: TransactionStatus.CANCELLED }, TransactionStatus.ACCEPTED))
+                .to.throw('Transaction tx1 cannot move from CANCELLED to ACCEPTED');
+        });
+
+        it('should pass on a legal move', () => {
+            expect(() => assertTransition({ id: 'tx1', status: TransactionStatus.PENDING }, TransactionStatus.CANCELLED)).to.not.throw();
+        });
+    });
+
+    describe('Test missedDeadline', () => {
+        it('should only hold pending transactions to the acceptance deadline', () => {
+            expect(missedDeadline({ status: TransactionStatus.PENDING, acceptBy: 100 }, 101)).to.equal(100);
+            expect(missedDeadline({ status: TransactionStatus.PENDING, acceptBy: 100 }, 100)).to.equal(null);
+            expect(missedDeadline({ status: TransactionStatus.ACCEPTED, acceptBy: 100 }, 101)).to.equal(null);
+        });
+
+        it('should hold transactions to the transfer deadline until they are owned', () => {
+            expect(missedDeadline({ status: TransactionStatus.TRANSFERRED, transferBy: 200 }, 201)).to.equal(200);
+            expect(missedDeadline({ status: TransactionStatus.OWNED, transferBy: 200 }, 201)).to.equal(null);
+            expect(missedDeadline({ status: TransactionStatus.PENDING }, 201)).to.equal(null);
+        });
+    });
+});